@@ -0,0 +1,27 @@
+// CV text extraction configuration
+
+module.exports = {
+  // Extracted text shorter than this is treated as empty
+  minTextLength: 50,
+
+  // LLM parsing: CVs are split into section-aligned chunks of about chunkChars,
+  // and output failing schema validation is sent back for repair this many times
+  llm: {
+    model: process.env.CV_PARSER_MODEL || 'gpt-4o-mini',
+    chunkChars: parseInt(process.env.CV_PARSER_CHUNK_CHARS) || 6000,
+    maxChunks: parseInt(process.env.CV_PARSER_MAX_CHUNKS) || 6,
+    repairAttempts: parseInt(process.env.CV_PARSER_REPAIR_ATTEMPTS) || 1
+  },
+
+  // OCR for scanned PDFs without a text layer. Needs the poppler-utils
+  // (pdftoppm) and tesseract binaries on the host; skipped when they're missing.
+  ocr: {
+    enabled: process.env.CV_OCR_ENABLED !== 'false',
+    pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+    language: process.env.CV_OCR_LANGUAGE || 'eng',
+    dpi: parseInt(process.env.CV_OCR_DPI) || 300,
+    maxPages: parseInt(process.env.CV_OCR_MAX_PAGES) || 5,
+    timeoutMs: parseInt(process.env.CV_OCR_TIMEOUT_MS) || 60000
+  }
+};
@@ -53,5 +53,6 @@ pool.on('error', (err) => {
 
 module.exports = {
   pool,
-  query
+  query,
+  transaction
 };
\ No newline at end of file
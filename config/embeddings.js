@@ -0,0 +1,18 @@
+// Embedding configuration for semantic job matching
+
+module.exports = {
+  // 'openai' or 'local'. The local provider is deterministic and needs no network.
+  provider: (process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local')).toLowerCase(),
+
+  // Must match the vector(256) columns in the schema
+  dimensions: 256,
+
+  openaiModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+
+  // Texts per provider call, and characters kept per text
+  batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100,
+  maxInputChars: parseInt(process.env.EMBEDDING_MAX_INPUT_CHARS) || 8000,
+
+  // Listings embedded per daily run
+  jobBatchLimit: parseInt(process.env.EMBEDDING_JOB_BATCH_LIMIT) || 1000
+};
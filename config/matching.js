@@ -0,0 +1,39 @@
+// Match scoring configuration - default weights and per-user presets
+
+// Full points each component's matcher awards. Weights are relative and
+// rescaled to sum to 100, so these double as the balanced preset.
+const DEFAULT_WEIGHTS = {
+  skills: 25,
+  semantic: 15,
+  title: 25,
+  location: 20,
+  salary: 10,
+  jobType: 5,
+  seniority: 10
+};
+
+// Named starting points users can pick instead of setting every weight
+const PRESETS = {
+  balanced: DEFAULT_WEIGHTS,
+  remote_first: { skills: 20, semantic: 10, title: 20, location: 35, salary: 10, jobType: 5, seniority: 5 },
+  compensation_first: { skills: 20, semantic: 10, title: 20, location: 10, salary: 30, jobType: 10, seniority: 5 },
+  skills_first: { skills: 35, semantic: 20, title: 20, location: 15, salary: 5, jobType: 5, seniority: 10 }
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  PRESETS,
+
+  // Matches scoring below this are not saved, unless the user sets their own minimum
+  defaultMinScore: parseInt(process.env.MATCH_MIN_SCORE) || 60,
+
+  // Currency of users' minimum salary; listings paid in another currency score neutral
+  salaryCurrency: (process.env.MATCH_SALARY_CURRENCY || 'USD').toUpperCase(),
+
+  // Daily incremental matching: users scored in parallel, listings fetched per
+  // query, listings scored per user per run, and how far back a new user starts
+  userConcurrency: parseInt(process.env.MATCH_USER_CONCURRENCY) || 4,
+  jobBatchSize: parseInt(process.env.MATCH_JOB_BATCH_SIZE) || 200,
+  maxJobsPerUser: parseInt(process.env.MATCH_MAX_JOBS_PER_USER) || 2000,
+  initialLookbackDays: parseInt(process.env.MATCH_INITIAL_LOOKBACK_DAYS) || 30
+};
@@ -0,0 +1,18 @@
+// LLM rescoring configuration - an optional second pass over the best rule-based matches
+
+module.exports = {
+  // 'openai', 'stub' or 'none'. Off unless set: an OpenAI key alone doesn't opt in to per-match LLM calls.
+  provider: (process.env.RESCORE_PROVIDER || 'none').toLowerCase(),
+
+  openaiModel: process.env.RESCORE_OPENAI_MODEL || 'gpt-4o-mini',
+
+  // Matches rescored per matching call, highest rule-based score first
+  topN: parseInt(process.env.RESCORE_TOP_N) || 5,
+
+  // Share of the final score taken from the LLM fit score
+  blendWeight: parseFloat(process.env.RESCORE_BLEND_WEIGHT) || 0.4,
+
+  // Characters of description and resume sent per request
+  maxJobChars: parseInt(process.env.RESCORE_MAX_JOB_CHARS) || 6000,
+  maxResumeChars: parseInt(process.env.RESCORE_MAX_RESUME_CHARS) || 6000
+};
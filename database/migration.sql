@@ -90,5 +90,202 @@ LEFT JOIN interviews i ON u.id = i.user_id
 LEFT JOIN job_matches jm ON u.id = jm.user_id
 GROUP BY u.id, u.email, u.first_name, u.last_name, u.is_guest, u.tracking_token;
 
+-- Step 13: Track detail page enrichment for scraped listings
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS seniority VARCHAR(50);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS enrichment_status VARCHAR(20) DEFAULT 'complete';
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS enrichment_attempts INTEGER DEFAULT 0;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_enrichment ON job_listings(enrichment_status);
+
+-- Step 14: Cross-source deduplication - duplicates point at a canonical listing
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS company_key VARCHAR(255);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS canonical_id UUID REFERENCES job_listings(id) ON DELETE SET NULL;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS alternate_urls JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_company_key ON job_listings(company_key);
+CREATE INDEX IF NOT EXISTS idx_job_listings_canonical ON job_listings(canonical_id);
+-- Then group existing rows with: npm run dedupe:jobs
+
+-- Step 15: Scraper run history and per-source health
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL,
+    source VARCHAR(50) NOT NULL,
+    keywords VARCHAR(255),
+    location VARCHAR(255),
+    status VARCHAR(20) NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    cards_found INTEGER DEFAULT 0,
+    cards_parsed INTEGER DEFAULT 0,
+    saved INTEGER DEFAULT 0,
+    duplicates INTEGER DEFAULT 0,
+    error_class VARCHAR(50),
+    error_message TEXT,
+    alert VARCHAR(50),
+    baseline_yield NUMERIC(8, 2),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_source ON scrape_runs(source, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_run ON scrape_runs(run_id);
+
+-- Step 16: Liveness checking of active listings
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS closed_reason VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_last_checked ON job_listings(is_active, last_checked_at);
+
+-- Step 17: Record blocked requests on scrape runs
+ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS blocked_count INTEGER DEFAULT 0;
+ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS block_reason VARCHAR(50);
+
+-- Step 18: Structured salaries parsed from salary_range
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_min NUMERIC(12, 2);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_max NUMERIC(12, 2);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_currency VARCHAR(3);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_period VARCHAR(10);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_annual_min INTEGER;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS salary_annual_max INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_salary ON job_listings(salary_annual_max);
+-- Then parse existing rows with: npm run backfill:salaries
+
+-- Step 19: Classify remote_type, job_type and seniority on existing listings
+-- Run: npm run backfill:classify
+
+-- Step 20: Geocoded job locations for radius search
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS location_city VARCHAR(100);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS location_region VARCHAR(100);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS location_country VARCHAR(2);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS location_lat DOUBLE PRECISION;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS location_lng DOUBLE PRECISION;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_geo ON job_listings(location_lat, location_lng);
+-- Then geocode existing rows with: npm run backfill:geocode
+
+-- Step 21: pgvector embeddings for semantic matching (requires the pgvector extension)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS embedding vector(256);
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS resume_embedding vector(256);
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS resume_embedding_model VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_embedding ON job_listings USING hnsw (embedding vector_cosine_ops);
+-- Embeddings are filled in by the daily job and on first match
+
+-- Step 22: Nice-to-have skills next to required_skills (both use skill taxonomy names)
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS preferred_skills JSONB;
+-- Then tag existing rows with: npm run backfill:skills
+
+-- Step 23: Per-user settings, including match weights and minimum score
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferences JSONB DEFAULT '{}';
+
+-- Step 24: When each match was reviewed, so feedback can be replayed in order
+ALTER TABLE job_matches ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+-- Evaluate feedback reranking against past reviews with: npm run eval:feedback
+
+-- Step 25: Company allow/deny list and per-user exclusion rules
+ALTER TABLE company_whitelist ADD COLUMN IF NOT EXISTS list_type VARCHAR(10) NOT NULL DEFAULT 'allow';
+
+CREATE TABLE IF NOT EXISTS match_exclusions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    rule_type VARCHAR(20) NOT NULL,
+    value VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(user_id, rule_type, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_exclusions_user ON match_exclusions(user_id);
+
+-- Step 26: Incremental matching watermarks and run metrics
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS match_watermark_at TIMESTAMP;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS match_watermark_id UUID;
+
+CREATE TABLE IF NOT EXISTS match_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    users_total INTEGER DEFAULT 0,
+    users_failed INTEGER DEFAULT 0,
+    jobs_scanned INTEGER DEFAULT 0,
+    jobs_excluded INTEGER DEFAULT 0,
+    matches_created INTEGER DEFAULT 0,
+    error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_runs_started ON match_runs(started_at DESC);
+
+-- Step 27: Structured per-component match breakdown for explanations
+ALTER TABLE job_matches ADD COLUMN IF NOT EXISTS match_details JSONB;
+
+-- Step 28: Cache for LLM rescoring of top matches
+CREATE TABLE IF NOT EXISTS match_rescore_cache (
+    job_hash CHAR(64) NOT NULL,
+    profile_hash CHAR(64) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    fit_score INTEGER NOT NULL,
+    strengths JSONB,
+    gaps JSONB,
+    summary TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (job_hash, profile_hash, model)
+);
+
+-- Step 29: Years of experience, per-skill years and seniority inferred from the CV
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS years_experience NUMERIC(4,1);
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS skill_years JSONB;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS seniority VARCHAR(50);
+-- Then fill existing profiles with: npm run backfill:experience
+
+-- Step 30: Keep every uploaded CV as a version; the active one feeds user_profiles
+CREATE TABLE IF NOT EXISTS resume_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    resume_url VARCHAR(500),
+    filename VARCHAR(255),
+    original_filename VARCHAR(255),
+    resume_text TEXT,
+    parsed_data JSONB,
+    parse_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    parse_error TEXT,
+    is_active BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    activated_at TIMESTAMP,
+    UNIQUE (user_id, version_number)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_resume_versions_active ON resume_versions(user_id) WHERE is_active;
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS active_resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL;
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL;
+
+-- Existing resumes become version 1
+INSERT INTO resume_versions (user_id, version_number, resume_url, filename, resume_text, parsed_data, parse_status, is_active, activated_at)
+SELECT user_id, 1, resume_url, resume_filename, resume_text,
+       jsonb_build_object('skills', skills, 'experience', experience, 'education', education, 'certifications', certifications),
+       CASE WHEN cv_parsed THEN 'parsed' ELSE 'failed' END,
+       COALESCE(cv_parsed, FALSE), CASE WHEN cv_parsed THEN updated_at END
+FROM user_profiles up
+WHERE resume_url IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM resume_versions rv WHERE rv.user_id = up.user_id);
+
+UPDATE user_profiles up
+SET active_resume_version_id = rv.id
+FROM resume_versions rv
+WHERE rv.user_id = up.user_id AND rv.is_active AND up.active_resume_version_id IS NULL;
+
+-- Step 31: Duplicates are never enriched; release the ones left pending
+UPDATE job_listings
+SET enrichment_status = 'skipped'
+WHERE enrichment_status = 'pending' AND canonical_id IS NOT NULL;
+
 -- Migration complete!
 -- Verify with: SELECT COUNT(*) FROM users WHERE tracking_token IS NOT NULL;
\ No newline at end of file
@@ -4,6 +4,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable pgvector for semantic matching
+CREATE EXTENSION IF NOT EXISTS vector;
+
 -- Users Table (UPDATED)
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -31,6 +34,7 @@ CREATE TABLE users (
     apply_mode VARCHAR(20) DEFAULT 'review', -- 'auto', 'review', 'whitelist'
     daily_application_limit INTEGER DEFAULT 20,
     notification_enabled BOOLEAN DEFAULT TRUE,
+    preferences JSONB DEFAULT '{}', -- {matching: {preset, weights: {...}, minScore}, exclusions: {salaryFloor, excludeRecruiters}}
     
     -- Timestamps
     created_at TIMESTAMP DEFAULT NOW(),
@@ -42,6 +46,30 @@ CREATE TABLE users (
 CREATE INDEX idx_users_tracking_token ON users(tracking_token);
 CREATE INDEX idx_users_email ON users(email);
 
+-- Resume Versions Table (every uploaded CV; the active one feeds user_profiles)
+CREATE TABLE resume_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL, -- 1, 2, 3... per user
+    
+    resume_url VARCHAR(500),
+    filename VARCHAR(255),
+    original_filename VARCHAR(255),
+    
+    resume_text TEXT,
+    parsed_data JSONB, -- {skills, experience, education, certifications, summary}
+    parse_status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'parsed', 'failed'
+    parse_error TEXT,
+    
+    is_active BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    activated_at TIMESTAMP,
+    
+    UNIQUE(user_id, version_number)
+);
+
+CREATE UNIQUE INDEX idx_resume_versions_active ON resume_versions(user_id) WHERE is_active;
+
 -- User Profiles Table (UPDATED)
 CREATE TABLE user_profiles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -51,6 +79,7 @@ CREATE TABLE user_profiles (
     resume_url VARCHAR(500),
     resume_text TEXT,
     resume_filename VARCHAR(255),
+    active_resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL,
     
     -- Skills & Experience (AI Extracted from CV)
     skills JSONB, -- ["JavaScript", "React", "Node.js"]
@@ -58,6 +87,11 @@ CREATE TABLE user_profiles (
     education JSONB, -- [{degree, institution, year}]
     certifications JSONB, -- [string]
     
+    -- Inferred from experience date ranges
+    years_experience NUMERIC(4,1), -- Overlapping roles counted once, gaps excluded
+    skill_years JSONB, -- {"React": 3.5, "PostgreSQL": 6}
+    seniority VARCHAR(50), -- Same levels as job_listings.seniority
+    
     -- Job Preferences (From Initial Form)
     desired_job_titles JSONB, -- ["Software Engineer", "Full Stack Developer"]
     desired_locations JSONB, -- ["Remote", "San Francisco", "New York"]
@@ -66,6 +100,14 @@ CREATE TABLE user_profiles (
     salary_max INTEGER,
     desired_industries JSONB, -- ["Tech", "Finance", "Healthcare"]
     
+    -- Semantic matching
+    resume_embedding vector(256),
+    resume_embedding_model VARCHAR(100), -- Vectors from different models are never compared
+    
+    -- Incremental matching: last listing scored, by (matchable time, id)
+    match_watermark_at TIMESTAMP,
+    match_watermark_id UUID,
+    
     -- Availability
     available_start_date DATE,
     
@@ -99,22 +141,53 @@ CREATE TABLE job_listings (
     
     -- Job Details
     external_id VARCHAR(255), -- ID from source platform
-    source VARCHAR(50) NOT NULL, -- 'linkedin', 'indeed', 'glassdoor', 'angellist'
+    source VARCHAR(50) NOT NULL, -- 'linkedin', 'indeed', 'glassdoor', 'angellist', 'greenhouse', 'lever', 'ashby'
     title VARCHAR(500) NOT NULL,
     company VARCHAR(255) NOT NULL,
     location VARCHAR(255),
-    job_type VARCHAR(50), -- 'full_time', 'part_time', 'contract'
+    location_city VARCHAR(100), -- Normalized against the bundled gazetteer
+    location_region VARCHAR(100),
+    location_country VARCHAR(2), -- ISO 3166 alpha-2
+    location_lat DOUBLE PRECISION, -- Set for city-level matches only
+    location_lng DOUBLE PRECISION,
+    job_type VARCHAR(50), -- 'full_time', 'part_time', 'contract', 'internship'
     remote_type VARCHAR(50), -- 'remote', 'hybrid', 'onsite'
+    seniority VARCHAR(50), -- 'intern', 'entry', 'mid', 'senior', 'lead', 'executive'
     
     -- Description
     description TEXT,
-    required_skills JSONB,
+    required_skills JSONB, -- Canonical taxonomy names, e.g. ["PostgreSQL", "React"]
+    preferred_skills JSONB, -- Nice-to-haves from the same description
     salary_range VARCHAR(100),
     
+    -- Structured salary parsed from salary_range
+    salary_min NUMERIC(12, 2),
+    salary_max NUMERIC(12, 2),
+    salary_currency VARCHAR(3), -- ISO code, NULL if not stated
+    salary_period VARCHAR(10), -- 'hourly', 'daily', 'weekly', 'monthly', 'yearly'
+    salary_annual_min INTEGER,
+    salary_annual_max INTEGER,
+    
     -- Application
     application_url TEXT NOT NULL,
     posted_date TIMESTAMP,
     expires_date TIMESTAMP,
+    last_checked_at TIMESTAMP, -- Last liveness check
+    closed_reason VARCHAR(50), -- 'not_found', 'closed', 'expired', 'removed_from_board'
+    
+    -- Cross-source deduplication
+    company_key VARCHAR(255), -- Normalized company name used to find duplicates
+    canonical_id UUID REFERENCES job_listings(id) ON DELETE SET NULL, -- NULL = this is the canonical listing
+    alternate_urls JSONB DEFAULT '[]', -- [{source, url}] apply URLs of grouped duplicates
+    
+    -- Detail page enrichment
+    enrichment_status VARCHAR(20) DEFAULT 'complete', -- 'pending', 'complete', 'failed', 'skipped' (duplicate)
+    enrichment_attempts INTEGER DEFAULT 0,
+    enriched_at TIMESTAMP,
+    
+    -- Semantic matching
+    embedding vector(256),
+    embedding_model VARCHAR(100),
     
     -- Metadata
     scraped_at TIMESTAMP DEFAULT NOW(),
@@ -132,6 +205,78 @@ CREATE INDEX idx_job_listings_location ON job_listings(location);
 CREATE INDEX idx_job_listings_source ON job_listings(source);
 CREATE INDEX idx_job_listings_posted_date ON job_listings(posted_date DESC);
 CREATE INDEX idx_job_listings_active ON job_listings(is_active);
+CREATE INDEX idx_job_listings_last_checked ON job_listings(is_active, last_checked_at);
+CREATE INDEX idx_job_listings_enrichment ON job_listings(enrichment_status);
+CREATE INDEX idx_job_listings_company_key ON job_listings(company_key);
+CREATE INDEX idx_job_listings_canonical ON job_listings(canonical_id);
+CREATE INDEX idx_job_listings_salary ON job_listings(salary_annual_max);
+CREATE INDEX idx_job_listings_geo ON job_listings(location_lat, location_lng);
+CREATE INDEX idx_job_listings_embedding ON job_listings USING hnsw (embedding vector_cosine_ops);
+
+-- Scrape Runs Table (one row per source per scraping run)
+CREATE TABLE scrape_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL, -- Groups all sources scraped in one run
+    source VARCHAR(50) NOT NULL,
+    keywords VARCHAR(255),
+    location VARCHAR(255),
+    
+    status VARCHAR(20) NOT NULL, -- 'success', 'empty', 'failed'
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    
+    -- Yield
+    cards_found INTEGER DEFAULT 0, -- Cards on the results page
+    cards_parsed INTEGER DEFAULT 0, -- Cards that normalized into a job
+    saved INTEGER DEFAULT 0, -- New listings stored
+    duplicates INTEGER DEFAULT 0, -- Already stored or grouped under a canonical listing
+    blocked_count INTEGER DEFAULT 0, -- Requests answered with 429 / CAPTCHA / 403
+    block_reason VARCHAR(50), -- 'rate_limited', 'captcha', 'forbidden' if the run ended blocked
+    
+    -- Failure & health
+    error_class VARCHAR(50), -- 'selector_timeout', 'navigation_timeout', 'network', 'blocked', 'robots_disallowed', ...
+    error_message TEXT,
+    alert VARCHAR(50), -- 'zero_yield', 'yield_drop'
+    baseline_yield NUMERIC(8, 2), -- Average cards_parsed of recent runs
+    
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_scrape_runs_source ON scrape_runs(source, started_at DESC);
+CREATE INDEX idx_scrape_runs_run ON scrape_runs(run_id);
+
+-- Match Runs Table (one row per daily incremental matching run)
+CREATE TABLE match_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL, -- 'success', 'partial' (some users failed), 'failed'
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    
+    users_total INTEGER DEFAULT 0,
+    users_failed INTEGER DEFAULT 0,
+    jobs_scanned INTEGER DEFAULT 0, -- Listings scored or excluded, summed over users
+    jobs_excluded INTEGER DEFAULT 0, -- Ruled out by user exclusions
+    matches_created INTEGER DEFAULT 0,
+    error_message TEXT
+);
+
+CREATE INDEX idx_match_runs_started ON match_runs(started_at DESC);
+
+-- LLM Rescoring Cache (one assessment per listing content, CV content and model)
+CREATE TABLE match_rescore_cache (
+    job_hash CHAR(64) NOT NULL, -- sha256 of title, company, description
+    profile_hash CHAR(64) NOT NULL, -- sha256 of resume text, skills, experience, desired titles
+    model VARCHAR(100) NOT NULL,
+    fit_score INTEGER NOT NULL, -- 0-100
+    strengths JSONB,
+    gaps JSONB,
+    summary TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    PRIMARY KEY (job_hash, profile_hash, model)
+);
 
 -- Job Matches Table (AI matching results)
 CREATE TABLE job_matches (
@@ -142,11 +287,13 @@ CREATE TABLE job_matches (
     -- Match Score
     match_score INTEGER, -- 0-100
     match_reasons JSONB, -- ["Skills match: Python, React", "Location: Remote"]
+    match_details JSONB, -- Per-component breakdown: {skills: {points, maxPoints, matched, missing}, title, location, salary, ...}
     
     -- Status
-    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'applied'
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'applied', 'expired'
     reviewed BOOLEAN DEFAULT FALSE,
     approved BOOLEAN DEFAULT FALSE,
+    reviewed_at TIMESTAMP, -- Orders review history for feedback learning
     
     created_at TIMESTAMP DEFAULT NOW(),
     
@@ -163,6 +310,7 @@ CREATE TABLE applications (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     job_id UUID REFERENCES job_listings(id) ON DELETE SET NULL,
     match_id UUID REFERENCES job_matches(id) ON DELETE SET NULL,
+    resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL, -- CV active when applying
     
     -- Application Details
     status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'submitted', 'reviewing', 'interview_scheduled', 'rejected', 'offered'
@@ -236,11 +384,25 @@ CREATE TABLE company_whitelist (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     company_name VARCHAR(255) NOT NULL,
+    list_type VARCHAR(10) NOT NULL DEFAULT 'allow', -- 'allow' or 'deny' (never match)
     added_at TIMESTAMP DEFAULT NOW(),
     
     UNIQUE(user_id, company_name)
 );
 
+-- Match Exclusions Table (jobs matching a rule are never matched)
+CREATE TABLE match_exclusions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    rule_type VARCHAR(20) NOT NULL, -- 'keyword' (title or description), 'title_keyword', 'source'
+    value VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    UNIQUE(user_id, rule_type, value)
+);
+
+CREATE INDEX idx_match_exclusions_user ON match_exclusions(user_id);
+
 -- Application Queue Table (for async processing)
 CREATE TABLE application_queue (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -248,7 +410,7 @@ CREATE TABLE application_queue (
     job_id UUID REFERENCES job_listings(id) ON DELETE CASCADE,
     match_id UUID REFERENCES job_matches(id) ON DELETE SET NULL,
     
-    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed'
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed', 'cancelled'
     attempts INTEGER DEFAULT 0,
     retry_count INTEGER DEFAULT 0,
     max_attempts INTEGER DEFAULT 3,
@@ -388,6 +550,7 @@ ORDER BY i.scheduled_at ASC;
 COMMENT ON TABLE users IS 'Users - supports both guest (passwordless) and registered users';
 COMMENT ON TABLE user_profiles IS 'User resume, skills, and job preferences';
 COMMENT ON TABLE job_listings IS 'Scraped job postings from various platforms';
+COMMENT ON TABLE scrape_runs IS 'Per-source scraper run history used for health monitoring';
 COMMENT ON TABLE job_matches IS 'AI-generated job matches for users';
 COMMENT ON TABLE applications IS 'Job applications submitted by JobInt';
 COMMENT ON TABLE interviews IS 'Scheduled interviews';
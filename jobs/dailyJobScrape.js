@@ -1,6 +1,10 @@
 const jobScraperService = require('../services/jobScraperServices');
-const matchingService = require('../services/matchingServices');
-const { query } = require('../config/database');
+const jobEnrichmentService = require('../services/jobEnrichmentService');
+const atsIngestionService = require('../services/atsIngestionService');
+const embeddingService = require('../services/embeddingService');
+const searchQueryService = require('../services/searchQueryService');
+const scraperConfig = require('../config/scrapers');
+const matchRunService = require('../services/matchRunService');
 const logger = require('../utils/logger');
 
 /**
@@ -11,35 +15,55 @@ async function dailyJobScrape() {
   try {
     logger.info('Starting daily job scraping...');
 
-    // Scrape jobs from all sources
-    const result = await jobScraperService.scrapeAll();
-    
-    logger.info(`Scraped ${result.total} jobs, saved ${result.saved} new jobs`);
-
-    // Get all active users
-    const usersResult = await query(
-      'SELECT id FROM users WHERE profile_completed = TRUE'
-    );
-
-    logger.info(`Matching jobs for ${usersResult.rows.length} users`);
+    // Build search queries from users' desired titles and locations
+    const searchQueries = await searchQueryService.buildQueries();
+    const maxWeight = Math.max(1, ...searchQueries.map(q => q.weight));
 
-    // Match jobs for each user
-    let totalMatches = 0;
-    for (const user of usersResult.rows) {
+    // Scrape jobs from all sources for each query
+    const result = { total: 0, saved: 0 };
+    for (const searchQuery of searchQueries) {
       try {
-        const matches = await matchingService.matchJobsForUser(user.id, 10);
-        totalMatches += matches.length;
+        // Queries shared by more users get a deeper scrape
+        const limit = Math.max(10, Math.round(scraperConfig.limitPerSource * searchQuery.weight / maxWeight));
+        const queryResult = await jobScraperService.scrapeAll(searchQuery.keywords, searchQuery.location, { limit });
+
+        result.total += queryResult.total;
+        result.saved += queryResult.saved;
       } catch (error) {
-        logger.error(`Matching failed for user ${user.id}:`, error);
+        logger.error(`Scraping failed for "${searchQuery.keywords}" in "${searchQuery.location}":`, error);
       }
     }
+    
+    logger.info(`Scraped ${result.total} jobs for ${searchQueries.length} queries, saved ${result.saved} new jobs`);
+
+    // Structured JSON ingestion from public ATS boards
+    const atsResult = await atsIngestionService.ingestAll();
+
+    // Fill in detail page data before new listings become matchable
+    const enrichment = await jobEnrichmentService.enrichPending();
+
+    // Vectors for semantic matching; matching embeds any stragglers itself
+    let jobsEmbedded = 0;
+    try {
+      jobsEmbedded = await embeddingService.embedPendingJobs();
+    } catch (error) {
+      logger.error('Job embedding failed:', error);
+    }
+
+    // Score only listings each user hasn't seen since their last run
+    const matchRun = await matchRunService.runAll();
 
-    logger.info(`Job scraping complete. Total matches: ${totalMatches}`);
+    logger.info(`Job scraping complete. Total matches: ${matchRun.matchesCreated}`);
     
     return { 
+      searchQueries: searchQueries.length,
       jobsScraped: result.total, 
       jobsSaved: result.saved,
-      matchesCreated: totalMatches
+      atsJobsSaved: atsResult.saved,
+      jobsEnriched: enrichment.enriched,
+      jobsEmbedded,
+      usersMatched: matchRun.usersTotal - matchRun.usersFailed,
+      matchesCreated: matchRun.matchesCreated
     };
   } catch (error) {
     logger.error('Daily job scrape error:', error);
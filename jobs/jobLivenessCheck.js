@@ -0,0 +1,21 @@
+const jobLivenessService = require('../services/jobLivenessService');
+const logger = require('../utils/logger');
+
+/**
+ * Job listing liveness check
+ * Runs every 6 hours
+ */
+async function jobLivenessCheck() {
+  try {
+    logger.info('Starting job liveness check...');
+
+    const result = await jobLivenessService.checkActive();
+
+    logger.info(`Liveness check complete. Checked: ${result.checked}, Closed: ${result.closed}`);
+    return result;
+  } catch (error) {
+    logger.error('Job liveness check error:', error);
+  }
+}
+
+module.exports = jobLivenessCheck;
@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+
+/**
+ * Admin-only routes: requires X-Admin-Key matching ADMIN_API_KEY
+ */
+const adminAuth = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  if (req.headers['x-admin-key'] !== adminKey) {
+    logger.warn(`Admin auth failed: ${req.method} ${req.path}`, { ip: req.ip });
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
@@ -22,18 +22,27 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter - only allow PDF, DOC, DOCX
+// File filter - only allow CV formats the parser can read
+const allowedTypes = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.oasis.opendocument.text',
+  'application/rtf',
+  'text/rtf',
+  'text/plain'
+];
+
+// Browsers often send RTF and ODT as application/octet-stream, so the extension also counts
+const allowedExtensions = ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt'];
+
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-  ];
+  const ext = path.extname(file.originalname).toLowerCase();
 
-  if (allowedTypes.includes(file.mimetype)) {
+  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, and DOCX files are allowed.'), false);
+    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, ODT, RTF and TXT files are allowed.'), false);
   }
 };
 
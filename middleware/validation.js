@@ -1,4 +1,16 @@
 const Joi = require('joi');
+const { DEFAULT_WEIGHTS, PRESETS } = require('../config/matching');
+
+// Relative weight per match component; omitted components keep the preset's weight
+const matchWeights = Joi.object(Object.fromEntries(
+  Object.keys(DEFAULT_WEIGHTS).map(key => [key, Joi.number().min(0).max(100)])
+));
+
+const matchPreferences = Joi.object({
+  preset: Joi.string().valid(...Object.keys(PRESETS)),
+  weights: matchWeights,
+  minScore: Joi.number().integer().min(0).max(100)
+});
 
 // Validation schemas
 const schemas = {
@@ -20,9 +32,31 @@ const schemas = {
     lastName: Joi.string().min(1).max(100),
     phone: Joi.string().max(20),
     location: Joi.string().max(255),
-    preferences: Joi.object()
+    // Exclusion settings have their own route, which merges them and restarts matching
+    preferences: Joi.object({
+      matching: matchPreferences,
+      exclusions: Joi.forbidden()
+    }).unknown(true)
+  }),
+
+  matchPreferences,
+
+  companyListEntry: Joi.object({
+    companyName: Joi.string().trim().min(1).max(255).required(),
+    listType: Joi.string().valid('allow', 'deny').required()
+  }),
+
+  exclusionRule: Joi.object({
+    ruleType: Joi.string().valid('keyword', 'title_keyword', 'source').required(),
+    value: Joi.string().trim().min(2).max(255).required()
   }),
 
+  // null clears the salary floor
+  exclusionSettings: Joi.object({
+    salaryFloor: Joi.number().integer().min(0).max(10000000).allow(null),
+    excludeRecruiters: Joi.boolean()
+  }).min(1),
+
   addSkill: Joi.object({
     skillName: Joi.string().required(),
     yearsExperience: Joi.number().min(0).max(50),
@@ -55,5 +89,9 @@ module.exports = {
   validateRegister: validate(schemas.register),
   validateLogin: validate(schemas.login),
   validateUpdateProfile: validate(schemas.updateProfile),
-  validateAddSkill: validate(schemas.addSkill)
+  validateMatchPreferences: validate(schemas.matchPreferences),
+  validateAddSkill: validate(schemas.addSkill),
+  validateCompanyListEntry: validate(schemas.companyListEntry),
+  validateExclusionRule: validate(schemas.exclusionRule),
+  validateExclusionSettings: validate(schemas.exclusionSettings)
 };
\ No newline at end of file
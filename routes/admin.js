@@ -0,0 +1,70 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const scrapeRunService = require('../services/scrapeRunService');
+const matchRunService = require('../services/matchRunService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+/**
+ * GET /api/admin/scrape-runs
+ * Browse scraper run history
+ * Query: source, status, alerts=true, page, limit
+ */
+router.get('/scrape-runs', async (req, res) => {
+  try {
+    const { source, status, alerts, page = 1, limit = 50 } = req.query;
+
+    const runs = await scrapeRunService.getRuns({
+      source,
+      status,
+      alertsOnly: alerts === 'true',
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(200, parseInt(limit) || 50)
+    });
+
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Get scrape runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch scrape runs' });
+  }
+});
+
+/**
+ * GET /api/admin/scrape-runs/health
+ * Per-source health over the last 7 days
+ */
+router.get('/scrape-runs/health', async (req, res) => {
+  try {
+    const sources = await scrapeRunService.getSourceHealth();
+    res.json({ sources });
+  } catch (error) {
+    logger.error('Get scraper health error:', error);
+    res.status(500).json({ error: 'Failed to fetch scraper health' });
+  }
+});
+
+/**
+ * GET /api/admin/match-runs
+ * Daily matching run history
+ * Query: page, limit
+ */
+router.get('/match-runs', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const runs = await matchRunService.getRuns({
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(200, parseInt(limit) || 50)
+    });
+
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Get match runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch match runs' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { uploadCV, handleUploadError } = require('../middleware/fileUpload');
+const { validateMatchPreferences } = require('../middleware/validation');
 const cvParserService = require('../services/cvParserService');
 const emailService = require('../services/emailServices'); // Fixed: added 's'
 const matchingService = require('../services/matchingServices');
+const resumeVersionService = require('../services/resumeVersionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -85,6 +87,13 @@ router.post('/submit', uploadCV, handleUploadError, async (req, res) => {
     const cvFilePath = req.file.path;
     const cvUrl = `/uploads/resumes/${req.file.filename}`;
 
+    // Every upload is kept as a version; it becomes active once parsed
+    const resumeVersion = await resumeVersionService.create(userId, {
+      resumeUrl: cvUrl,
+      filename: req.file.filename,
+      originalFilename: req.file.originalname
+    });
+
     // Log activity
     await query(
       `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
@@ -92,6 +101,7 @@ router.post('/submit', uploadCV, handleUploadError, async (req, res) => {
       [userId, userId, JSON.stringify({ 
         email, 
         cvFilename: req.file.filename,
+        resumeVersion: resumeVersion.version_number,
         jobTitles: jobTitlesArray 
       })]
     );
@@ -115,7 +125,8 @@ router.post('/submit', uploadCV, handleUploadError, async (req, res) => {
       trackingToken,
       trackingUrl: `${process.env.CLIENT_URL}/track/${trackingToken}`,
       userId,
-      isNewUser
+      isNewUser,
+      resumeVersionId: resumeVersion.id
     });
 
     // ✅ FIX: Process CV asynchronously AFTER response is sent
@@ -124,6 +135,7 @@ router.post('/submit', uploadCV, handleUploadError, async (req, res) => {
         userId, 
         cvFilePath, 
         cvUrl, 
+        resumeVersion.id,
         jobTitlesArray, 
         remotePreference || 'any', 
         email, 
@@ -154,7 +166,7 @@ router.get('/track/:token', async (req, res) => {
 
     // Get user by tracking token
     const userResult = await query(
-      `SELECT id, email, first_name, last_name, created_at, is_guest
+      `SELECT id, email, first_name, last_name, created_at, is_guest, preferences
        FROM users WHERE tracking_token = $1`,
       [token]
     );
@@ -165,9 +177,16 @@ router.get('/track/:token', async (req, res) => {
 
     const user = userResult.rows[0];
 
-    // Get user profile
+    // Get user profile - embeddings and matching bookkeeping stay server-side
     const profileResult = await query(
-      'SELECT * FROM user_profiles WHERE user_id = $1',
+      `SELECT id, user_id, resume_url, resume_text, resume_filename, active_resume_version_id,
+              skills, experience, education, certifications,
+              years_experience, skill_years, seniority,
+              desired_job_titles, desired_locations, remote_preference,
+              salary_min, salary_max, desired_industries,
+              available_start_date,
+              profile_completed, cv_parsed, created_at, updated_at
+       FROM user_profiles WHERE user_id = $1`,
       [user.id]
     );
 
@@ -177,6 +196,8 @@ router.get('/track/:token', async (req, res) => {
          a.id,
          a.status,
          a.applied_at,
+         a.resume_version_id,
+         rv.version_number as resume_version,
          jl.title as job_title,
          jl.company,
          jl.location,
@@ -184,6 +205,7 @@ router.get('/track/:token', async (req, res) => {
          jl.remote_type
        FROM applications a
        JOIN job_listings jl ON a.job_id = jl.id
+       LEFT JOIN resume_versions rv ON a.resume_version_id = rv.id
        WHERE a.user_id = $1
        ORDER BY a.applied_at DESC`,
       [user.id]
@@ -203,11 +225,18 @@ router.get('/track/:token', async (req, res) => {
          jl.location,
          jl.description,
          jl.application_url as url,
+         jl.alternate_urls,
          jl.salary_range,
+         jl.salary_currency,
+         jl.salary_period,
+         jl.salary_annual_min,
+         jl.salary_annual_max,
          jl.remote_type
        FROM job_matches jm
        JOIN job_listings jl ON jm.job_id = jl.id
        WHERE jm.user_id = $1 AND jm.reviewed = FALSE
+       AND jl.canonical_id IS NULL
+       AND jm.status <> 'expired'
        ORDER BY jm.match_score DESC
        LIMIT 20`,
       [user.id]
@@ -252,6 +281,7 @@ router.get('/track/:token', async (req, res) => {
         isGuest: user.is_guest
       },
       profile: profileResult.rows[0] || null,
+      matchSettings: matchingService.resolveMatchSettings(user.preferences),
       applications: applicationsResult.rows,
       pendingMatches: matchesResult.rows,
       interviews: interviewsResult.rows,
@@ -269,6 +299,166 @@ router.get('/track/:token', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/guest/track/:token/match-preferences
+ * Set match weights and minimum score - NO authentication required
+ * Body: { preset, weights: { skills, semantic, title, location, salary, jobType }, minScore }
+ */
+router.put('/track/:token/match-preferences', validateMatchPreferences, async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { preset, weights, minScore } = req.body;
+
+    // Fields left out of the body keep their saved values
+    const result = await query(
+      `UPDATE users
+       SET preferences = jsonb_set(
+             COALESCE(preferences, '{}'::jsonb),
+             '{matching}',
+             COALESCE(preferences->'matching', '{}'::jsonb) || $1::jsonb
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE tracking_token = $2
+       RETURNING id, preferences`,
+      [JSON.stringify({ preset, weights, minScore }), token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid tracking token' });
+    }
+
+    // Listings scored below the old minimum get another look
+    await matchingService.resetWatermark(result.rows[0].id);
+
+    res.json({ matchSettings: matchingService.resolveMatchSettings(result.rows[0].preferences) });
+
+  } catch (error) {
+    logger.error('Update match preferences error:', error);
+    res.status(500).json({ error: 'Failed to update match preferences' });
+  }
+});
+
+/**
+ * GET /api/guest/track/:token/matches/:matchId/explain
+ * Why a job matched - NO authentication required
+ */
+router.get('/track/:token/matches/:matchId/explain', async (req, res) => {
+  try {
+    const { token, matchId } = req.params;
+
+    const userResult = await query(
+      'SELECT id FROM users WHERE tracking_token = $1',
+      [token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid tracking token' });
+    }
+
+    const explanation = await matchingService.explainMatch(userResult.rows[0].id, matchId);
+
+    if (!explanation) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json({ explanation });
+
+  } catch (error) {
+    logger.error('Explain match error:', error);
+    res.status(500).json({ error: 'Failed to explain match' });
+  }
+});
+
+/**
+ * GET /api/guest/track/:token/resume-versions
+ * Uploaded CVs, newest first, with changes since the previous version - NO authentication required
+ */
+router.get('/track/:token/resume-versions', async (req, res) => {
+  try {
+    const userResult = await query(
+      'SELECT id FROM users WHERE tracking_token = $1',
+      [req.params.token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid tracking token' });
+    }
+
+    const versions = await resumeVersionService.list(userResult.rows[0].id);
+    res.json({ versions });
+
+  } catch (error) {
+    logger.error('List resume versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume versions' });
+  }
+});
+
+/**
+ * GET /api/guest/track/:token/resume-versions/:versionId/diff?against=:otherVersionId
+ * Skills, roles, education and certifications changed between two versions
+ * (by default the previous parsed one) - NO authentication required
+ */
+router.get('/track/:token/resume-versions/:versionId/diff', async (req, res) => {
+  try {
+    const { token, versionId } = req.params;
+
+    const userResult = await query(
+      'SELECT id FROM users WHERE tracking_token = $1',
+      [token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid tracking token' });
+    }
+
+    const diff = await resumeVersionService.compare(userResult.rows[0].id, versionId, req.query.against || null);
+
+    if (!diff) {
+      return res.status(404).json({ error: 'Resume version not found' });
+    }
+
+    res.json(diff);
+
+  } catch (error) {
+    logger.error('Resume version diff error:', error);
+    res.status(500).json({ error: 'Failed to compare resume versions' });
+  }
+});
+
+/**
+ * PUT /api/guest/track/:token/resume-versions/:versionId/activate
+ * Use an earlier (or the latest) CV for matching and applications - NO authentication required
+ */
+router.put('/track/:token/resume-versions/:versionId/activate', async (req, res) => {
+  try {
+    const { token, versionId } = req.params;
+
+    const userResult = await query(
+      'SELECT id FROM users WHERE tracking_token = $1',
+      [token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid tracking token' });
+    }
+
+    const version = await resumeVersionService.activate(userResult.rows[0].id, versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Resume version not found or not yet parsed' });
+    }
+
+    res.json({
+      message: `Resume version ${version.version_number} is now active`,
+      version
+    });
+
+  } catch (error) {
+    logger.error('Activate resume version error:', error);
+    res.status(500).json({ error: 'Failed to activate resume version' });
+  }
+});
+
 /**
  * PUT /api/guest/track/:token/review-match/:matchId
  * Review a job match (approve/reject) - NO authentication required
@@ -297,7 +487,7 @@ router.put('/track/:token/review-match/:matchId', async (req, res) => {
     // Update match
     const updateResult = await query(
       `UPDATE job_matches 
-       SET reviewed = TRUE, approved = $1, status = $2
+       SET reviewed = TRUE, approved = $1, status = $2, reviewed_at = NOW()
        WHERE id = $3 AND user_id = $4
        RETURNING *`,
       [approved, approved ? 'approved' : 'rejected', matchId, userId]
@@ -333,12 +523,13 @@ router.put('/track/:token/review-match/:matchId', async (req, res) => {
  * Background CV processing function
  * ✅ This runs AFTER the response is sent
  */
-async function processCVAsync(userId, cvFilePath, cvUrl, jobTitles, remotePreference, email, firstName, trackingToken) {
+async function processCVAsync(userId, cvFilePath, cvUrl, resumeVersionId, jobTitles, remotePreference, email, firstName, trackingToken) {
   try {
     logger.info(`🔄 Starting background CV processing for user ${userId}`);
 
     // Process CV
     const cvResult = await cvParserService.processCV(cvFilePath);
+    await resumeVersionService.recordParse(resumeVersionId, cvResult);
 
     if (cvResult.success) {
       // Infer preferences
@@ -347,32 +538,21 @@ async function processCVAsync(userId, cvFilePath, cvUrl, jobTitles, remotePrefer
         { jobTitles, remotePreference }
       );
 
-      // Create or update user profile
+      // Create or update the user's preferences
       await query(
         `INSERT INTO user_profiles 
-         (user_id, resume_url, resume_text, resume_filename, skills, experience, education, 
-          certifications, desired_job_titles, remote_preference, cv_parsed, profile_completed)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, TRUE, TRUE)
+         (user_id, desired_job_titles, remote_preference, profile_completed)
+         VALUES ($1, $2, $3, TRUE)
          ON CONFLICT (user_id) 
          DO UPDATE SET 
-           resume_url = $2, resume_text = $3, resume_filename = $4, 
-           skills = $5, experience = $6, education = $7, certifications = $8,
-           desired_job_titles = $9, remote_preference = $10, 
-           cv_parsed = TRUE, profile_completed = TRUE, updated_at = CURRENT_TIMESTAMP`,
-        [
-          userId,
-          cvUrl,
-          cvResult.cvText,
-          cvFilePath.split('/').pop(),
-          JSON.stringify(cvResult.parsedData.skills),
-          JSON.stringify(cvResult.parsedData.experience),
-          JSON.stringify(cvResult.parsedData.education),
-          JSON.stringify(cvResult.parsedData.certifications),
-          JSON.stringify(preferences.desiredJobTitles),
-          remotePreference
-        ]
+           desired_job_titles = $2, remote_preference = $3,
+           profile_completed = TRUE, updated_at = CURRENT_TIMESTAMP`,
+        [userId, JSON.stringify(preferences.desiredJobTitles), remotePreference]
       );
 
+      // The new upload becomes the active version: resume fields, parsed data and embedding
+      await resumeVersionService.activate(userId, resumeVersionId);
+
       logger.info(`✅ Profile created for user ${userId}`);
 
       // Run job matching (only if OpenAI is configured)
@@ -2,10 +2,14 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const { query } = require('../config/database');
 const matchingService = require('../services/matchingServices');
+const geocodingService = require('../services/geocodingService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
 
 
 /**
@@ -55,6 +59,25 @@ router.post('/matches/trigger', auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs/matches/:matchId/explain
+ * Why a job matched: skills, title overlap, salary and location reasoning
+ */
+router.get('/matches/:matchId/explain', auth, async (req, res) => {
+  try {
+    const explanation = await matchingService.explainMatch(req.userId, req.params.matchId);
+
+    if (!explanation) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json({ explanation });
+  } catch (error) {
+    logger.error('Explain match error:', error);
+    res.status(500).json({ error: 'Failed to explain match' });
+  }
+});
+
 /**
  * PUT /api/jobs/matches/:matchId/review
  * Review a job match (approve or reject)
@@ -145,51 +168,131 @@ router.get('/', auth, async (req, res) => {
       location,
       remote,
       source,
+      minSalary,
+      currency,
+      near,
+      radiusKm,
+      sort,
       page = 1,
       limit = 20
     } = req.query;
 
     const offset = (page - 1) * limit;
 
-    let sql = `
-      SELECT id, source, title, company, location, description, 
-             url, salary, job_type, remote, posted_at, scraped_at
-      FROM job_listings
-      WHERE is_active = TRUE
-    `;
+    // near = "San Francisco" or "37.77,-122.41"
+    let point = null;
+    let radius = DEFAULT_RADIUS_KM;
+    if (near) {
+      point = geocodingService.resolvePoint(near);
+      if (!point) {
+        return res.status(400).json({ error: `Unknown location: ${near}` });
+      }
+
+      if (radiusKm !== undefined) {
+        radius = parseFloat(radiusKm);
+        if (!(radius > 0)) {
+          return res.status(400).json({ error: 'radiusKm must be a positive number' });
+        }
+        radius = Math.min(radius, MAX_RADIUS_KM);
+      }
+    }
+
+    let columns = `
+      id, source, title, company, location, location_city, location_region, location_country,
+      description, application_url as url, salary_range, salary_min, salary_max, salary_currency,
+      salary_period, salary_annual_min, salary_annual_max,
+      job_type, remote_type, posted_date, scraped_at`;
+    let filters = '';
     const params = [];
     let paramIndex = 1;
 
     if (search) {
-      sql += ` AND (title ILIKE $${paramIndex} OR company ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
+      filters += ` AND (title ILIKE $${paramIndex} OR company ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
       params.push(`%${search}%`);
       paramIndex++;
     }
 
     if (location) {
-      sql += ` AND location ILIKE $${paramIndex}`;
+      filters += ` AND location ILIKE $${paramIndex}`;
       params.push(`%${location}%`);
       paramIndex++;
     }
 
     if (remote === 'true') {
-      sql += ` AND remote = TRUE`;
+      filters += ` AND remote_type = 'remote'`;
     }
 
     if (source) {
-      sql += ` AND source = $${paramIndex}`;
+      filters += ` AND source = $${paramIndex}`;
       params.push(source);
       paramIndex++;
     }
 
-    sql += ` ORDER BY scraped_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    // Annualized salary, so hourly and monthly listings compare with yearly ones
+    if (minSalary) {
+      filters += ` AND salary_annual_max >= $${paramIndex}`;
+      params.push(parseInt(minSalary));
+      paramIndex++;
+    }
+
+    if (currency) {
+      filters += ` AND salary_currency = $${paramIndex}`;
+      params.push(currency.toUpperCase());
+      paramIndex++;
+    }
+
+    let distance = null;
+    if (point) {
+      // Bounding box first so the lat/lng index narrows the rows, then exact haversine distance
+      const latDelta = radius / 111.32;
+      const lngDelta = radius / (111.32 * Math.max(Math.cos(point.lat * Math.PI / 180), 0.01));
+      const lat = `$${paramIndex}`;
+      const lng = `$${paramIndex + 1}`;
+
+      distance = `(6371 * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(location_lat - ${lat}) / 2), 2) +
+        COS(RADIANS(${lat})) * COS(RADIANS(location_lat)) * POWER(SIN(RADIANS(location_lng - ${lng}) / 2), 2)
+      )))`;
+
+      filters += ` AND location_lat BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`;
+      filters += ` AND location_lng BETWEEN $${paramIndex + 4} AND $${paramIndex + 5}`;
+      filters += ` AND ${distance} <= $${paramIndex + 6}`;
+      params.push(
+        point.lat,
+        point.lng,
+        point.lat - latDelta,
+        point.lat + latDelta,
+        point.lng - lngDelta,
+        point.lng + lngDelta,
+        radius
+      );
+      paramIndex += 7;
+
+      columns += `, ROUND(${distance}::NUMERIC, 1) as distance_km`;
+    }
+
+    let orderBy = 'scraped_at DESC';
+    if (sort === 'salary') {
+      orderBy = 'salary_annual_max DESC NULLS LAST, scraped_at DESC';
+    } else if (sort === 'distance' && distance) {
+      orderBy = `${distance} ASC, scraped_at DESC`;
+    }
+
+    const countParams = params.slice();
+    const sql = `
+      SELECT ${columns}
+      FROM job_listings
+      WHERE is_active = TRUE AND canonical_id IS NULL${filters}
+      ORDER BY ${orderBy}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
     params.push(limit, offset);
 
     const result = await query(sql, params);
 
     // Get total count
     const countResult = await query(
-      'SELECT COUNT(*) FROM job_listings WHERE is_active = TRUE'
+      `SELECT COUNT(*) FROM job_listings WHERE is_active = TRUE AND canonical_id IS NULL${filters}`,
+      countParams
     );
     const total = parseInt(countResult.rows[0].count);
 
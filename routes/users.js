@@ -1,7 +1,15 @@
 const express = require('express');
 const auth = require('../middleware/auth');
-const { validateUpdateProfile, validateAddSkill } = require('../middleware/validation');
+const {
+  validateUpdateProfile,
+  validateAddSkill,
+  validateCompanyListEntry,
+  validateExclusionRule,
+  validateExclusionSettings
+} = require('../middleware/validation');
 const { query } = require('../config/database');
+const exclusionService = require('../services/exclusionService');
+const matchingService = require('../services/matchingServices');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -37,10 +45,12 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-// PUT /api/users/profile - Update profile
+// PUT /api/users/profile - Update profile (preferences are merged by top-level key,
+// preferences.matching by field like the match-preferences route)
 router.put('/profile', auth, validateUpdateProfile, async (req, res) => {
   try {
     const { firstName, lastName, phone, location, preferences } = req.body;
+    const { matching, ...otherPreferences } = preferences || {};
 
     const result = await query(
       `UPDATE users 
@@ -48,13 +58,31 @@ router.put('/profile', auth, validateUpdateProfile, async (req, res) => {
            last_name = COALESCE($2, last_name),
            phone = COALESCE($3, phone),
            location = COALESCE($4, location),
-           preferences = COALESCE($5, preferences),
+           preferences = CASE WHEN $6::jsonb IS NULL
+             THEN COALESCE(preferences, '{}'::jsonb) || $5::jsonb
+             ELSE jsonb_set(
+               COALESCE(preferences, '{}'::jsonb) || $5::jsonb,
+               '{matching}',
+               COALESCE(preferences->'matching', '{}'::jsonb) || $6::jsonb
+             )
+           END,
            updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6
+       WHERE id = $7
        RETURNING *`,
-      [firstName, lastName, phone, location, preferences ? JSON.stringify(preferences) : null, req.userId]
+      [
+        firstName,
+        lastName,
+        phone,
+        location,
+        JSON.stringify(otherPreferences),
+        matching ? JSON.stringify(matching) : null,
+        req.userId
+      ]
     );
 
+    // Listings scored under the old weights or minimum get another look
+    if (matching) await matchingService.resetWatermark(req.userId);
+
     res.json({ profile: result.rows[0] });
   } catch (error) {
     logger.error('Update profile error:', error);
@@ -98,6 +126,82 @@ router.delete('/skills/:skillId', auth, async (req, res) => {
   }
 });
 
+// GET /api/users/exclusions - Companies, keywords and sources that are never matched
+router.get('/exclusions', auth, async (req, res) => {
+  try {
+    const rules = await exclusionService.getRules(req.userId);
+    res.json({ exclusions: rules });
+  } catch (error) {
+    logger.error('Get exclusions error:', error);
+    res.status(500).json({ error: 'Failed to fetch exclusions' });
+  }
+});
+
+// PUT /api/users/exclusions - Salary floor and recruiter filtering
+router.put('/exclusions', auth, validateExclusionSettings, async (req, res) => {
+  try {
+    const settings = await exclusionService.updateSettings(req.userId, req.body);
+    res.json({ settings });
+  } catch (error) {
+    logger.error('Update exclusions error:', error);
+    res.status(500).json({ error: 'Failed to update exclusions' });
+  }
+});
+
+// POST /api/users/exclusions/rules - Exclude a keyword, title keyword or source
+router.post('/exclusions/rules', auth, validateExclusionRule, async (req, res) => {
+  try {
+    const { ruleType, value } = req.body;
+    const rule = await exclusionService.addRule(req.userId, ruleType, value);
+    res.status(201).json({ rule });
+  } catch (error) {
+    logger.error('Add exclusion rule error:', error);
+    res.status(500).json({ error: 'Failed to add exclusion rule' });
+  }
+});
+
+// DELETE /api/users/exclusions/rules/:ruleId - Remove an exclusion rule
+router.delete('/exclusions/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const removed = await exclusionService.removeRule(req.userId, req.params.ruleId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule removed' });
+  } catch (error) {
+    logger.error('Remove exclusion rule error:', error);
+    res.status(500).json({ error: 'Failed to remove exclusion rule' });
+  }
+});
+
+// POST /api/users/companies - Allow or deny a company
+router.post('/companies', auth, validateCompanyListEntry, async (req, res) => {
+  try {
+    const { companyName, listType } = req.body;
+    const company = await exclusionService.setCompany(req.userId, companyName, listType);
+    res.status(201).json({ company });
+  } catch (error) {
+    logger.error('Set company list error:', error);
+    res.status(500).json({ error: 'Failed to update company list' });
+  }
+});
+
+// DELETE /api/users/companies/:companyId - Remove a company from the allow/deny list
+router.delete('/companies/:companyId', auth, async (req, res) => {
+  try {
+    const removed = await exclusionService.removeCompany(req.userId, req.params.companyId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ message: 'Company removed' });
+  } catch (error) {
+    logger.error('Remove company error:', error);
+    res.status(500).json({ error: 'Failed to remove company' });
+  }
+});
+
 // PUT /api/users/wallet - Connect wallet
 router.put('/wallet', auth, async (req, res) => {
   try {
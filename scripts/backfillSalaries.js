@@ -0,0 +1,20 @@
+// Parse salary_range into structured salary columns for existing listings
+// Usage: node scripts/backfillSalaries.js
+require('dotenv').config();
+const { pool } = require('../config/database');
+const salaryService = require('../services/salaryService');
+const logger = require('../utils/logger');
+
+async function run() {
+  try {
+    const result = await salaryService.backfill();
+    logger.info(`Scanned ${result.scanned} listings, parsed ${result.parsed} salaries`);
+  } catch (error) {
+    logger.error('Salary backfill script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,20 @@
+// Derive remote_type, job_type and seniority for existing listings
+// Usage: node scripts/classifyJobs.js
+require('dotenv').config();
+const { pool } = require('../config/database');
+const jobClassifierService = require('../services/jobClassifierService');
+const logger = require('../utils/logger');
+
+async function run() {
+  try {
+    const result = await jobClassifierService.backfill();
+    logger.info(`Scanned ${result.scanned} listings, classified ${result.updated}`);
+  } catch (error) {
+    logger.error('Classification script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,22 @@
+// Group existing job listings under canonical listings
+// Usage: node scripts/dedupeJobs.js [days]
+require('dotenv').config();
+const { pool } = require('../config/database');
+const jobDedupeService = require('../services/jobDedupeService');
+const logger = require('../utils/logger');
+
+async function run() {
+  const days = parseInt(process.argv[2]) || 60;
+
+  try {
+    const result = await jobDedupeService.dedupeExisting(days);
+    logger.info(`Scanned ${result.scanned} listings, grouped ${result.duplicates} duplicates`);
+  } catch (error) {
+    logger.error('Dedupe script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,28 @@
+// Replay past match reviews to see whether feedback adjustments rank approvals higher
+// Usage: node scripts/evaluateFeedback.js [userId]
+require('dotenv').config();
+const { pool } = require('../config/database');
+const matchFeedbackService = require('../services/matchFeedbackService');
+const logger = require('../utils/logger');
+
+const format = value => (value === null ? 'n/a' : value.toFixed(3));
+
+async function run() {
+  const userId = process.argv[2] || null;
+
+  try {
+    const decisions = await matchFeedbackService.getDecisions(userId);
+    const result = matchFeedbackService.evaluate(decisions);
+
+    logger.info(`Replayed ${result.decisions} reviews from ${result.users} users (approval rate ${format(result.approvalRate)})`);
+    logger.info(`AUC without feedback: ${format(result.baseAuc)}, with feedback: ${format(result.adjustedAuc)}`);
+    logger.info(`Adjusted ${result.adjustedDecisions} scores, ${format(result.adjustmentAgreement)} in the direction of the decision`);
+  } catch (error) {
+    logger.error('Feedback evaluation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
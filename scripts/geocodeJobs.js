@@ -0,0 +1,20 @@
+// Normalize locations of existing listings against the offline gazetteer
+// Usage: node scripts/geocodeJobs.js
+require('dotenv').config();
+const { pool } = require('../config/database');
+const geocodingService = require('../services/geocodingService');
+const logger = require('../utils/logger');
+
+async function run() {
+  try {
+    const result = await geocodingService.backfill();
+    logger.info(`Scanned ${result.scanned} listings, geocoded ${result.geocoded}`);
+  } catch (error) {
+    logger.error('Geocoding script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
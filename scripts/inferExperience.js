@@ -0,0 +1,20 @@
+// Compute years of experience, per-skill years and seniority for existing profiles
+// Usage: node scripts/inferExperience.js
+require('dotenv').config();
+const { pool } = require('../config/database');
+const experienceService = require('../services/experienceService');
+const logger = require('../utils/logger');
+
+async function run() {
+  try {
+    const result = await experienceService.backfill();
+    logger.info(`Updated ${result.updated} of ${result.scanned} profiles`);
+  } catch (error) {
+    logger.error('Experience inference script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
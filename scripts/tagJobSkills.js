@@ -0,0 +1,20 @@
+// Extract required and nice-to-have skills for existing listings
+// Usage: node scripts/tagJobSkills.js
+require('dotenv').config();
+const { pool } = require('../config/database');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const logger = require('../utils/logger');
+
+async function run() {
+  try {
+    const result = await skillTaxonomyService.backfill();
+    logger.info(`Tagged ${result.tagged} listings`);
+  } catch (error) {
+    logger.error('Skill tagging script failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
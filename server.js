@@ -21,9 +21,11 @@ const interviewRoutes = require('./routes/interviews');  // ✅ Fixed: plural
 const calendarRoutes = require('./routes/calendar');
 const blockchainRoutes = require('./routes/blockchain');
 const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
 
 const dailyJobScrape = require('./jobs/dailyJobScrape');
 const interviewReminders = require('./jobs/interviewReminders');
+const jobLivenessCheck = require('./jobs/jobLivenessCheck');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -54,7 +56,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Tracking-Token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Tracking-Token', 'X-Admin-Key']
 }));
 
 // Body parsers
@@ -126,6 +128,7 @@ app.use('/api/interviews', apiLimiter, interviewRoutes);
 app.use('/api/calendar', apiLimiter, calendarRoutes);
 app.use('/api/blockchain', apiLimiter, blockchainRoutes);
 app.use('/api/notifications', apiLimiter, notificationRoutes);
+app.use('/api/admin', apiLimiter, adminRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -190,6 +193,11 @@ function setupCronJobs() {
     interviewReminders();
   });
 
+  cron.schedule('30 */6 * * *', () => {
+    logger.info('Running job liveness check...');
+    jobLivenessCheck();
+  });
+
   logger.info('✅ Cron jobs scheduled');
 }
 
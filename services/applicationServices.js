@@ -25,6 +25,19 @@ class ApplicationService {
     return this.browser;
   }
 
+  /**
+   * Create the application record, tagged with the CV version active when applying
+   */
+  async recordApplication(userId, jobId) {
+    const result = await query(
+      `INSERT INTO applications (user_id, job_id, status, resume_version_id)
+       VALUES ($1, $2, 'applied', (SELECT active_resume_version_id FROM user_profiles WHERE user_id = $1))
+       RETURNING id`,
+      [userId, jobId]
+    );
+    return result.rows[0].id;
+  }
+
   async closeBrowser() {
     if (this.browser) {
       await this.browser.close();
@@ -84,15 +97,7 @@ class ApplicationService {
       }
 
       if (success) {
-        // Create application record
-        const appResult = await query(
-          `INSERT INTO applications (user_id, job_listing_id, status)
-           VALUES ($1, $2, 'applied')
-           RETURNING id`,
-          [userId, jobListingId]
-        );
-
-        const applicationId = appResult.rows[0].id;
+        const applicationId = await this.recordApplication(userId, jobListingId);
 
         // Record on blockchain (async, don't wait)
         blockchainService.recordApplication(userId, jobListingId)
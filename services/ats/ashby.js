@@ -0,0 +1,49 @@
+const { htmlToText } = require('../scrapers/helpers');
+
+const EMPLOYMENT_TYPES = {
+  FullTime: 'full_time',
+  PartTime: 'part_time',
+  Contract: 'contract',
+  Temporary: 'contract',
+  Intern: 'internship'
+};
+
+const WORKPLACE_TYPES = {
+  Remote: 'remote',
+  Hybrid: 'hybrid',
+  OnSite: 'onsite'
+};
+
+/**
+ * Ashby public job board API
+ * https://developers.ashbyhq.com/docs/public-job-posting-api
+ */
+module.exports = {
+  name: 'ashby',
+
+  buildUrl(slug) {
+    return `https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(slug)}?includeCompensation=true`;
+  },
+
+  /**
+   * Normalize job board response into jobs for saveJobs
+   */
+  normalize(payload, slug, company = slug) {
+    return (payload.jobs || [])
+      .filter(job => job.isListed !== false)
+      .map(job => ({
+        source: this.name,
+        externalId: `${slug}:${job.id}`,
+        title: job.title,
+        company: payload.organizationName || company,
+        location: job.location || '',
+        url: job.jobUrl || job.applyUrl,
+        description: job.descriptionPlain || htmlToText(job.descriptionHtml),
+        salary: job.compensation?.compensationTierSummary || null,
+        jobType: EMPLOYMENT_TYPES[job.employmentType] || null,
+        remoteType: WORKPLACE_TYPES[job.workplaceType] || (job.isRemote ? 'remote' : null),
+        postedAt: job.publishedAt || new Date().toISOString(),
+        remote: Boolean(job.isRemote)
+      }));
+  }
+};
@@ -0,0 +1,37 @@
+const cheerio = require('cheerio');
+const { htmlToText, isRemoteLocation } = require('../scrapers/helpers');
+
+/**
+ * Greenhouse job board API
+ * https://developers.greenhouse.io/job-board.html
+ */
+module.exports = {
+  name: 'greenhouse',
+
+  buildUrl(slug) {
+    return `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(slug)}/jobs?content=true`;
+  },
+
+  /**
+   * Normalize board response into jobs for saveJobs
+   */
+  normalize(payload, slug, company = slug) {
+    return (payload.jobs || []).map((job) => {
+      const location = job.location?.name || '';
+      // Greenhouse returns HTML-escaped HTML in `content`
+      const description = htmlToText(cheerio.load(job.content || '').root().text());
+
+      return {
+        source: this.name,
+        externalId: `${slug}:${job.id}`,
+        title: job.title,
+        company: job.company_name || company,
+        location,
+        url: job.absolute_url,
+        description,
+        postedAt: job.first_published || job.updated_at || new Date().toISOString(),
+        remote: isRemoteLocation(location)
+      };
+    });
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Public ATS job board providers
+ *
+ * A provider exposes:
+ *   name                     - stored in job_listings.source
+ *   buildUrl(slug)           -> public JSON endpoint for a company's board
+ *   normalize(payload, slug, company) -> jobs for saveJobs; company is the board's
+ *                            display name, used when the feed doesn't name the company
+ *
+ * normalize is pure so providers can be exercised against recorded JSON responses.
+ */
+const providers = {
+  greenhouse: require('./greenhouse'),
+  lever: require('./lever'),
+  ashby: require('./ashby')
+};
+
+module.exports = {
+  get: (name) => providers[name] || null,
+  list: () => Object.values(providers)
+};
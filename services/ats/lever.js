@@ -0,0 +1,69 @@
+const { htmlToText, isRemoteLocation } = require('../scrapers/helpers');
+
+const COMMITMENT_TYPES = {
+  'full-time': 'full_time',
+  'part-time': 'part_time',
+  contract: 'contract',
+  contractor: 'contract',
+  internship: 'internship',
+  intern: 'internship'
+};
+
+/**
+ * Lever postings API
+ * https://github.com/lever/postings-api
+ */
+module.exports = {
+  name: 'lever',
+
+  buildUrl(slug) {
+    return `https://api.lever.co/v0/postings/${encodeURIComponent(slug)}?mode=json`;
+  },
+
+  /**
+   * Normalize postings response into jobs for saveJobs. Postings don't name
+   * the company, so it comes from the board's display name.
+   */
+  normalize(payload, slug, company = slug) {
+    return (Array.isArray(payload) ? payload : []).map((posting) => {
+      const location = posting.categories?.location || '';
+      const lists = (posting.lists || [])
+        .map(list => `${list.text}\n${htmlToText(list.content)}`)
+        .join('\n');
+
+      return {
+        source: this.name,
+        externalId: `${slug}:${posting.id}`,
+        title: posting.text,
+        company,
+        location,
+        url: posting.hostedUrl || posting.applyUrl,
+        description: [posting.descriptionPlain, lists, posting.additionalPlain]
+          .filter(Boolean)
+          .join('\n')
+          .replace(/\n{2,}/g, '\n')
+          .trim(),
+        salary: this.formatSalary(posting.salaryRange),
+        jobType: COMMITMENT_TYPES[(posting.categories?.commitment || '').toLowerCase()] || null,
+        remoteType: posting.workplaceType && posting.workplaceType !== 'unspecified'
+          ? posting.workplaceType.replace('on-site', 'onsite')
+          : null,
+        postedAt: posting.createdAt ? new Date(posting.createdAt).toISOString() : new Date().toISOString(),
+        remote: posting.workplaceType === 'remote' || isRemoteLocation(location)
+      };
+    });
+  },
+
+  /**
+   * Turn Lever's structured salaryRange into a salary_range string
+   */
+  formatSalary(range) {
+    if (!range || !range.min) return null;
+
+    const interval = range.interval || '';
+    const period = interval.includes('hour') ? '/hr' : interval.includes('month') ? '/month' : '/year';
+    const amounts = range.max && range.max !== range.min ? `${range.min} - ${range.max}` : `${range.min}`;
+
+    return `${range.currency || 'USD'} ${amounts}${period}`;
+  }
+};
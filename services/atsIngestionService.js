@@ -0,0 +1,93 @@
+const atsProviders = require('./ats');
+const jobScraperService = require('./jobScraperServices');
+const scrapeRunService = require('./scrapeRunService');
+const jobLivenessService = require('./jobLivenessService');
+const domainScheduler = require('./scrapers/domainScheduler');
+const scraperConfig = require('../config/scrapers');
+const logger = require('../utils/logger');
+
+// "acme-labs" -> "Acme Labs", for boards without a configured display name
+const titleCase = slug => slug
+  .split(/[-_\s]+/)
+  .filter(Boolean)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join(' ');
+
+class ATSIngestionService {
+  /**
+   * Fetch one company board and normalize its postings. `company` is the
+   * display name for feeds that don't include one (defaults to the slug, title-cased).
+   */
+  async fetchBoard(providerName, slug, company = null) {
+    const provider = atsProviders.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown ATS provider: ${providerName}`);
+    }
+
+    const url = provider.buildUrl(slug);
+    logger.info(`Fetching ${providerName} board: ${url}`);
+    await domainScheduler.wait(url);
+
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(scraperConfig.atsRequestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${providerName} board "${slug}" returned ${response.status}`);
+    }
+
+    const payload = await response.json();
+    return provider.normalize(payload, slug, company || titleCase(slug)).filter(job => job.title && job.url);
+  }
+
+  /**
+   * Ingest every configured board into job_listings
+   */
+  async ingestAll(boards = scraperConfig.atsBoards) {
+    if (boards.length === 0) {
+      return { total: 0, saved: 0 };
+    }
+
+    logger.info(`Starting ATS ingestion for ${boards.length} boards...`);
+
+    const runId = scrapeRunService.newRunId();
+    const runs = [];
+    let total = 0;
+    let saved = 0;
+
+    for (const { provider, slug, company } of boards) {
+      const run = { runId, source: provider, keywords: slug, startedAt: new Date() };
+
+      try {
+        const jobs = await this.fetchBoard(provider, slug, company);
+        const saveResult = await jobScraperService.saveJobs(jobs);
+
+        total += jobs.length;
+        saved += saveResult.saved;
+        Object.assign(run, { cardsFound: jobs.length, cardsParsed: jobs.length, ...saveResult });
+
+        // The board feed lists every open posting, so anything missing has closed
+        if (jobs.length > 0) {
+          await jobLivenessService.deactivateMissing(provider, slug, jobs.map(job => job.externalId));
+        }
+      } catch (error) {
+        logger.error(`ATS ingestion failed for ${provider}:${slug}:`, error);
+        run.error = error;
+      }
+
+      try {
+        runs.push(await scrapeRunService.recordRun(run));
+      } catch (error) {
+        logger.error(`Failed to record ATS run for ${provider}:${slug}:`, error);
+      }
+    }
+
+    await scrapeRunService.notifyAlerts(runs);
+
+    logger.info(`ATS ingestion complete. Total: ${total}, Saved: ${saved}`);
+    return { runId, total, saved };
+  }
+}
+
+module.exports = new ATSIngestionService();
@@ -0,0 +1,53 @@
+/**
+ * Date ranges as they appear on CVs: "Jan 2020 - Present", "03/2018 – 06/2021",
+ * "2015 to 2019", "September 2019 – Current".
+ */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:${MONTH}\\.?,?\\s+|(\\d{1,2})[/.])?((?:19|20)\\d{2})`;
+const PRESENT = '(present|current(?:ly)?|now|today|ongoing|date)';
+
+const RANGE_PATTERN = new RegExp(
+  `(?<![\\w/.])${DATE}\\s*(?:-|–|—|to|until|till)\\s*(?:${DATE}|${PRESENT})(?![\\w/])`,
+  'i'
+);
+const YEAR_PATTERN = /(?<![\w/.])(?:19|20)\d{2}(?![\w/])/g;
+
+const toDate = (monthName, monthNumber, year) => {
+  let month = null;
+  if (monthName) month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+  else if (monthNumber && monthNumber >= 1 && monthNumber <= 12) month = parseInt(monthNumber);
+  return { year: parseInt(year), month };
+};
+
+/**
+ * First date range in the text: { text, raw, start, end, current } where
+ * start and end are { year, month } (month null if not given) and end is null
+ * for ongoing roles. Null if the text has no range.
+ */
+function findDateRange(text) {
+  const match = RANGE_PATTERN.exec(text || '');
+  if (!match) return null;
+
+  const start = toDate(match[1], match[2], match[3]);
+  const current = Boolean(match[7]);
+  const end = current ? null : toDate(match[4], match[5], match[6]);
+
+  // An end before the start is a typo, not something to compute durations from
+  if (end && end.year < start.year) return null;
+
+  return { text: match[0].replace(/\s*(-|–|—)\s*/, ' - '), raw: match[0], start, end, current };
+}
+
+/**
+ * Four-digit years mentioned in the text, in order
+ */
+function findYears(text) {
+  return [...(text || '').matchAll(YEAR_PATTERN)].map(match => parseInt(match[0]));
+}
+
+module.exports = {
+  findDateRange,
+  findYears
+};
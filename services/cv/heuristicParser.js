@@ -0,0 +1,225 @@
+/**
+ * Rule-based CV parser for when no LLM is configured or its output can't be used.
+ *
+ * Sections come from splitSections. Within experience and education, lines are
+ * grouped into entries: heading lines (role, employer, dates) followed by
+ * bullet or sentence lines (the description). A new entry starts after a blank
+ * line, when a heading line follows description lines, or when a second date
+ * range appears. Output depends only on the text, so the same CV always parses
+ * the same way.
+ */
+const skillTaxonomyService = require('../skillTaxonomyService');
+const { splitSections } = require('./sections');
+const { findDateRange, findYears } = require('./dates');
+
+const BULLET = /^\s*([•●▪■◦‣∙·*\-–—>]|\d{1,2}[.)])\s+/;
+
+const ROLE_WORDS = /\b(engineer|developer|programmer|architect|manager|director|head|lead|chief|officer|vp|vice president|president|founder|co-founder|cto|ceo|cfo|coo|analyst|scientist|researcher|designer|consultant|specialist|administrator|admin|coordinator|assistant|associate|intern|internship|trainee|apprentice|technician|tester|qa|devops|sre|owner|scrum master|representative|executive|supervisor|accountant|teacher|lecturer|professor|nurse|editor|writer|marketer|recruiter|strategist|advisor|adviser|operator|agent|clerk|freelance|freelancer|contractor|partner|staff)\b/i;
+const COMPANY_WORDS = /\b(inc|ltd|llc|llp|plc|gmbh|ag|sa|bv|corp|corporation|co|company|group|holdings|technologies|technology|labs|solutions|systems|software|studios?|bank|agency|partners|consulting|ventures|limited)\b\.?$/i;
+const LOCATION_WORDS = /^(remote|hybrid|on-?site|worldwide|[a-z .'-]+,\s*([a-z]{2}|[a-z .'-]+))$/i;
+
+const DEGREE_WORDS = /\b(bachelor'?s?|master'?s?|doctor(ate)?|ph\.?\s?d|mba|m\.?b\.?a|b\.?\s?sc|m\.?\s?sc|b\.?\s?eng|m\.?\s?eng|b\.?\s?tech|m\.?\s?tech|b\.?a\.?|m\.?a\.?|b\.?s\.?|m\.?s\.?|ll\.?b|ll\.?m|j\.?d|associate'?s? degree|diploma|certificate|high school|a-levels?|gcses?|hnd|bootcamp)(?![a-z])/i;
+const INSTITUTION_WORDS = /\b(university|universit[éäa]t?|college|institute|institut|school|academy|polytechnic|conservatory|bootcamp)\b/i;
+
+const SEPARATORS = /\s+(?:at|@)\s+|\s*[|•·]\s*|\s+[-–—]\s+|,\s+|\t+|\s{3,}/i;
+
+const unbalanced = text => (text.match(/\(/g) || []).length !== (text.match(/\)/g) || []).length;
+
+// Trim separators and bullets; brackets only when the other half is missing, so "(Contract)" survives
+const clean = (text) => {
+  let result = text
+    .replace(BULLET, '')
+    .replace(/\s*\((?:19|20)\d{2}\)\s*$/, '')
+    .replace(/^[\s,;:|]+|[\s,;:|]+$/g, '');
+  if (unbalanced(result)) result = result.replace(/^\(+|\)+$/g, '');
+  return result.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Lines that describe an entry rather than name it: bullets and full sentences
+ */
+function isDescriptionLine(line) {
+  const trimmed = line.trim();
+  if (BULLET.test(line)) return true;
+  return /[.;]$/.test(trimmed) && (trimmed.length > 80 || trimmed.split(/\s+/).length >= 6);
+}
+
+/**
+ * Group a section's lines into [{ heading: [lines], description: [lines], range }].
+ * The range is cut out of the heading line it was found on.
+ */
+function groupEntries(text, startsEntry = () => false) {
+  const entries = [];
+  let current = null;
+  let afterBlank = false;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      afterBlank = true;
+      continue;
+    }
+
+    if (current && isDescriptionLine(line)) {
+      current.description.push(clean(line));
+      afterBlank = false;
+      continue;
+    }
+
+    const range = findDateRange(line);
+    const startNew = !current
+      || (afterBlank && current.heading.length > 0)
+      || current.description.length > 0
+      || (range && current.range)
+      || startsEntry(line, current);
+
+    if (startNew) {
+      current = { heading: [], description: [], range: null };
+      entries.push(current);
+    }
+
+    if (range && !current.range) {
+      current.range = range;
+      current.heading.push(line.replace(range.raw, '\t'));
+    } else {
+      current.heading.push(line);
+    }
+    afterBlank = false;
+  }
+
+  return entries;
+}
+
+/**
+ * Heading lines split into fragments, plus the two sides of "role at company" if written that way
+ */
+function headingFragments(entry) {
+  const text = entry.heading.join('\t');
+  const fragments = text.split(SEPARATORS).map(clean).filter(fragment => fragment && !/^(?:19|20)\d{2}$/.test(fragment));
+
+  const atMatch = entry.heading[0].match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  const at = atMatch && { left: clean(atMatch[1]), right: clean(atMatch[2].split(SEPARATORS)[0]) };
+
+  return { fragments, at };
+}
+
+function parseExperience(text) {
+  return groupEntries(text).map(entry => {
+    const { fragments, at } = headingFragments(entry);
+
+    let role = null;
+    let company = null;
+
+    if (at) {
+      role = at.left;
+      company = at.right;
+    } else {
+      const candidates = fragments.filter(fragment => !LOCATION_WORDS.test(fragment) || COMPANY_WORDS.test(fragment));
+      role = candidates.find(fragment => ROLE_WORDS.test(fragment) && !COMPANY_WORDS.test(fragment)) || null;
+      company = candidates.find(fragment => fragment !== role && COMPANY_WORDS.test(fragment))
+        || candidates.find(fragment => fragment !== role)
+        || null;
+
+      // Neither fragment looks like a title: CVs list the role first more often than not
+      if (!role && company && candidates.length > 1) {
+        role = company;
+        company = candidates.find(fragment => fragment !== role) || null;
+      }
+    }
+
+    return {
+      company,
+      role,
+      duration: entry.range ? entry.range.text : null,
+      description: entry.description.join(' ').slice(0, 1000) || null
+    };
+  }).filter(item => item.company || item.role);
+}
+
+function parseEducation(text) {
+  const startsEntry = (line, current) => DEGREE_WORDS.test(line)
+    && current.heading.some(heading => DEGREE_WORDS.test(heading));
+
+  return groupEntries(text, startsEntry).map(entry => {
+    const { fragments } = headingFragments(entry);
+
+    const degree = fragments.find(fragment => DEGREE_WORDS.test(fragment)) || null;
+    const institution = fragments.find(fragment => fragment !== degree && INSTITUTION_WORDS.test(fragment))
+      || fragments.find(fragment => fragment !== degree && !LOCATION_WORDS.test(fragment))
+      || null;
+
+    // Graduation year: end of the range, or the last year mentioned
+    const years = findYears(entry.heading.join(' '));
+    const year = entry.range
+      ? (entry.range.end ? entry.range.end.year : null)
+      : years[years.length - 1] || null;
+
+    return { degree, institution, year: year ? String(year) : null };
+  }).filter(item => item.degree || item.institution);
+}
+
+function parseCertifications(text) {
+  const certifications = new Map();
+
+  for (const line of text.split('\n')) {
+    for (const item of line.split(/\s*[;•]\s*/)) {
+      const name = clean(item.replace(/[\s,(–—-]*(?:19|20)\d{2}\)?$/, ''));
+      if (name.length > 2 && !certifications.has(name.toLowerCase())) certifications.set(name.toLowerCase(), name);
+    }
+  }
+
+  return [...certifications.values()];
+}
+
+function parseSkills(text) {
+  const skills = [];
+
+  for (const line of text.split('\n')) {
+    // "Languages: Python, Go" lists skills after a label
+    const list = line.replace(/^[^:,]{1,30}:\s*/, '');
+    for (const item of list.split(/\s*[,;|•·]\s*/)) {
+      const name = clean(item);
+      if (name && name.length <= 40 && name.split(' ').length <= 4) skills.push(name);
+    }
+  }
+
+  return skills;
+}
+
+function parseSummary(text) {
+  const summary = text.split('\n').map(clean).filter(Boolean).join(' ');
+  if (!summary) return null;
+
+  const sentences = summary.match(/.+?[.!?](?=\s|$)/g) || [summary];
+  return sentences.slice(0, 3).join(' ').replace(/\s+/g, ' ').trim().slice(0, 500);
+}
+
+/**
+ * Parse CV text into the same shape as the LLM parser:
+ * { skills, experience, education, certifications, summary }
+ */
+function parseCVHeuristically(cvText) {
+  const text = (cvText || '').replace(/\r\n?/g, '\n');
+  const sections = splitSections(text);
+  // Section text without its heading line
+  const textOf = name => sections
+    .filter(section => section.name === name)
+    .map(section => section.text.slice(section.text.indexOf('\n') + 1))
+    .join('\n');
+  const has = name => sections.some(section => section.name === name);
+
+  return {
+    skills: skillTaxonomyService.normalizeSkills([
+      ...(has('skills') ? parseSkills(textOf('skills')) : []),
+      ...skillTaxonomyService.extractSkills(text)
+    ]),
+    experience: has('experience') ? parseExperience(textOf('experience')) : [],
+    education: has('education') ? parseEducation(textOf('education')) : [],
+    certifications: has('certifications') ? parseCertifications(textOf('certifications')) : [],
+    summary: has('summary') ? parseSummary(textOf('summary')) : null
+  };
+}
+
+module.exports = {
+  parseCVHeuristically
+};
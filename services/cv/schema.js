@@ -0,0 +1,55 @@
+const Joi = require('joi');
+
+/**
+ * Shape the CV parsing model must return. Fields the model leaves out or
+ * sets to null default to empty, and unknown keys are dropped.
+ */
+const text = Joi.string().trim().allow('', null);
+
+// At least one of the fields must have text; .or() would accept nulls and empty strings
+const nonEmptyOneOf = (...keys) => (value, helpers) => (keys.some(key => value[key])
+  ? value
+  : helpers.message(`{{#label}} must have a non-empty ${keys.map(key => `"${key}"`).join(' or ')}`));
+
+const parsedCVSchema = Joi.object({
+  skills: Joi.array().items(Joi.string().trim().min(1).max(100)).default([]),
+  experience: Joi.array().items(Joi.object({
+    company: text,
+    role: text,
+    duration: text,
+    description: text
+  }).custom(nonEmptyOneOf('company', 'role'))).default([]),
+  education: Joi.array().items(Joi.object({
+    degree: text,
+    institution: text,
+    year: Joi.alternatives(Joi.string().trim(), Joi.number().integer()).allow('', null)
+  }).custom(nonEmptyOneOf('degree', 'institution'))).default([]),
+  certifications: Joi.array().items(Joi.string().trim().min(1)).default([]),
+  summary: text.default(null)
+});
+
+/**
+ * Validated and cleaned model output, or { error } listing what's wrong
+ */
+function validateParsedCV(data) {
+  // The model sometimes sends null for empty lists
+  const input = data && typeof data === 'object' && !Array.isArray(data)
+    ? Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null))
+    : data;
+
+  const { value, error } = parsedCVSchema.validate(input, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  return { value };
+}
+
+module.exports = {
+  parsedCVSchema,
+  validateParsedCV
+};
@@ -0,0 +1,110 @@
+/**
+ * Section-aware splitting of CV text for chunked parsing.
+ *
+ * Headings are short lines naming a standard CV section ("Work Experience",
+ * "EDUCATION", "Skills:"). Chunks are packed from whole sections so a role or
+ * degree isn't cut in half; only a section longer than a chunk is split, on
+ * blank lines and then on lines.
+ */
+const SECTION_HEADINGS = {
+  summary: /^(professional\s+)?(summary|profile|about( me)?|objective|career objective)$/,
+  experience: /^((work|professional|employment|relevant)\s+)?(experience|history|employment( history)?|career history)$/,
+  education: /^(education|academic background|qualifications|education (and|&) training)$/,
+  skills: /^((technical|core|key)\s+)?(skills|competencies|technologies|tech stack|expertise)( (and|&) tools)?$/,
+  certifications: /^(certifications?|licen[cs]es( (and|&) certifications)?|courses)$/,
+  projects: /^((personal|selected|side)\s+)?projects$/,
+  other: /^(languages|interests|hobbies|awards|publications|volunteer(ing| experience)?|references)$/
+};
+
+/**
+ * Section name if the line is a heading, else null
+ */
+function headingOf(line) {
+  const trimmed = line.trim().replace(/[:\-–—_=*#|]+$/, '').replace(/^[#*=\-–—_|]+/, '').trim();
+  if (!trimmed || trimmed.length > 40) return null;
+
+  const key = trimmed.toLowerCase().replace(/\s+/g, ' ');
+  for (const [name, pattern] of Object.entries(SECTION_HEADINGS)) {
+    if (pattern.test(key)) return name;
+  }
+  return null;
+}
+
+/**
+ * [{ name, text }] in document order. Text before the first heading is "header".
+ */
+function splitSections(text) {
+  const sections = [{ name: 'header', text: '' }];
+
+  for (const line of text.split(/\r?\n/)) {
+    const name = headingOf(line);
+    if (name) {
+      sections.push({ name, text: `${line.trim()}\n` });
+    } else {
+      sections[sections.length - 1].text += `${line}\n`;
+    }
+  }
+
+  return sections.filter(section => section.text.trim());
+}
+
+/**
+ * Break text longer than maxChars on paragraph, then line, then hard boundaries
+ */
+function splitLong(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const pieces = [];
+  let current = '';
+
+  const separator = text.includes('\n\n') ? '\n\n' : '\n';
+  for (const part of text.split(separator)) {
+    const candidate = current ? `${current}${separator}${part}` : part;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) pieces.push(current);
+    if (part.length <= maxChars) {
+      current = part;
+    } else if (separator === '\n\n') {
+      const lines = splitLong(part, maxChars);
+      current = lines.pop();
+      pieces.push(...lines);
+    } else {
+      for (let i = 0; i < part.length; i += maxChars) pieces.push(part.slice(i, i + maxChars));
+      current = '';
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Pack sections into chunks of at most maxChars
+ */
+function chunkCV(text, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  for (const section of splitSections(text)) {
+    for (const piece of splitLong(section.text.trim(), maxChars)) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+module.exports = {
+  headingOf,
+  splitSections,
+  chunkCV
+};
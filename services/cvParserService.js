@@ -1,9 +1,59 @@
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const JSZip = require('jszip');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const { chunkCV } = require('./cv/sections');
+const { validateParsedCV } = require('./cv/schema');
+const { parseCVHeuristically } = require('./cv/heuristicParser');
+const cvParserConfig = require('../config/cvParser');
 const logger = require('../utils/logger');
 
+const execFileAsync = promisify(execFile);
+
+// RTF groups whose text is metadata, not document content
+const RTF_SKIPPED_GROUPS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+  'footerl', 'footerr', 'listtable', 'listoverridetable', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'rsidtbl', 'generator', 'xmlnstbl', 'object', 'fldinst'
+]);
+
+const PARSE_INSTRUCTIONS = `Extract the following information from this resume text and return it as a valid JSON object with this exact structure (use null for missing fields, [] for missing lists):
+{
+  "skills": ["skill1", "skill2", "skill3"],
+  "experience": [
+    {
+      "company": "Company Name",
+      "role": "Job Title",
+      "duration": "Jan 2020 - Present",
+      "description": "Brief description"
+    }
+  ],
+  "education": [
+    {
+      "degree": "Degree Name",
+      "institution": "University Name",
+      "year": "2020"
+    }
+  ],
+  "certifications": ["Certification 1", "Certification 2"],
+  "summary": "Brief professional summary (2-3 sentences)"
+}
+
+Important: Return ONLY valid JSON, no explanations or markdown formatting.`;
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n',
+  tab: '\t', cell: '\t',
+  emdash: '—', endash: '–', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
 // ✅ FIX: Only declare OpenAI once
 let openai = null;
 
@@ -21,18 +71,73 @@ if (process.env.OPENAI_API_KEY) {
 }
 
 class CVParserService {
+  constructor() {
+    // Null without an API key; tests swap in a stub client
+    this.openai = openai;
+  }
+
   /**
-   * Extract text from PDF file
+   * Extract text from PDF file, falling back to OCR when there is no text layer
    */
   async extractTextFromPDF(filePath) {
+    let text;
     try {
       const dataBuffer = await fs.readFile(filePath);
       const data = await pdf(dataBuffer);
-      return data.text;
+      text = data.text || '';
     } catch (error) {
       logger.error('PDF extraction error:', error);
       throw new Error('Failed to extract text from PDF');
     }
+
+    if (text.trim().length >= cvParserConfig.minTextLength) return text;
+
+    logger.info('📷 PDF has no usable text layer - trying OCR');
+    const ocrText = await this.ocrPDF(filePath);
+    return ocrText.trim().length > text.trim().length ? ocrText : text;
+  }
+
+  /**
+   * Render PDF pages to images and read them with tesseract.
+   * Returns '' when OCR is disabled, the tools aren't installed, or it fails.
+   */
+  async ocrPDF(filePath) {
+    const { enabled, pdftoppmPath, tesseractPath, language, dpi, maxPages, timeoutMs } = cvParserConfig.ocr;
+    if (!enabled) return '';
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-ocr-'));
+    try {
+      await execFileAsync(
+        pdftoppmPath,
+        ['-r', String(dpi), '-l', String(maxPages), '-png', filePath, path.join(workDir, 'page')],
+        { timeout: timeoutMs }
+      );
+
+      // pdftoppm zero-pads page numbers, so name order is page order
+      const pages = (await fs.readdir(workDir)).filter(name => name.endsWith('.png')).sort();
+
+      const texts = [];
+      for (const page of pages) {
+        const { stdout } = await execFileAsync(
+          tesseractPath,
+          [path.join(workDir, page), 'stdout', '-l', language],
+          { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }
+        );
+        texts.push(stdout);
+      }
+
+      logger.info(`📷 OCR read ${pages.length} pages`);
+      return texts.join('\n');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn('⚠️  OCR unavailable: install poppler-utils and tesseract, or set PDFTOPPM_PATH / TESSERACT_PATH');
+      } else {
+        logger.error('OCR error:', error);
+      }
+      return '';
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
   }
 
   /**
@@ -48,140 +153,337 @@ class CVParserService {
     }
   }
 
+  /**
+   * Extract text from legacy Word 97-2003 (.doc) file
+   */
+  async extractTextFromDOC(filePath) {
+    try {
+      const document = await new WordExtractor().extract(filePath);
+      return [document.getBody(), document.getTextboxes({ includeHeadersAndFooters: false })]
+        .filter(Boolean)
+        .join('\n');
+    } catch (error) {
+      logger.error('DOC extraction error:', error);
+      throw new Error('Failed to extract text from DOC');
+    }
+  }
+
+  /**
+   * Extract text from OpenDocument (.odt) file
+   */
+  async extractTextFromODT(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+      const content = zip.file('content.xml');
+      if (!content) throw new Error('content.xml missing');
+
+      const xml = await content.async('string');
+      return this.odtXmlToText(xml);
+    } catch (error) {
+      logger.error('ODT extraction error:', error);
+      throw new Error('Failed to extract text from ODT');
+    }
+  }
+
+  odtXmlToText(xml) {
+    return xml
+      .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count) || 1))
+      .replace(/<text:tab\s*\/>/g, '\t')
+      .replace(/<text:line-break\s*\/>/g, '\n')
+      .replace(/<\/text:(p|h)>/g, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Extract text from RTF file
+   */
+  async extractTextFromRTF(filePath) {
+    try {
+      const rtf = await fs.readFile(filePath, 'latin1');
+      return this.rtfToText(rtf);
+    } catch (error) {
+      logger.error('RTF extraction error:', error);
+      throw new Error('Failed to extract text from RTF');
+    }
+  }
+
+  /**
+   * Plain text of an RTF document: control words are dropped, paragraph and
+   * tab controls become whitespace, and metadata groups (fonts, styles, images) are skipped
+   */
+  rtfToText(rtf) {
+    const output = [];
+    const stack = [];
+    let skipping = false;
+    let unicodeSkip = 1;
+    let pendingSkip = 0;
+
+    const token = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+    let match;
+
+    while ((match = token.exec(rtf)) !== null) {
+      const [, word, param, hex, symbol, brace, text] = match;
+
+      if (brace === '{') {
+        stack.push({ skipping, unicodeSkip });
+        continue;
+      }
+      if (brace === '}') {
+        ({ skipping, unicodeSkip } = stack.pop() || { skipping: false, unicodeSkip: 1 });
+        continue;
+      }
+
+      // Characters standing in for the previous \u escape
+      if (pendingSkip > 0 && (hex || text)) {
+        if (hex) {
+          pendingSkip--;
+          continue;
+        }
+        const skipped = Math.min(pendingSkip, text.length);
+        pendingSkip -= skipped;
+        if (skipped === text.length) continue;
+        if (!skipping) output.push(text.slice(skipped));
+        continue;
+      }
+
+      if (word) {
+        const lower = word.toLowerCase();
+        if (RTF_SKIPPED_GROUPS.has(lower)) skipping = true;
+        else if (lower === 'uc') unicodeSkip = parseInt(param) || 0;
+        else if (lower === 'u' && !skipping) {
+          let code = parseInt(param);
+          if (code < 0) code += 65536;
+          output.push(String.fromCharCode(code));
+          pendingSkip = unicodeSkip;
+        } else if (RTF_SYMBOLS[lower] && !skipping) output.push(RTF_SYMBOLS[lower]);
+      } else if (symbol) {
+        // "{\*\destination ...}" groups are optional content readers may ignore
+        if (symbol === '*') skipping = true;
+        else if (!skipping && '\\{}'.includes(symbol)) output.push(symbol);
+        else if (!skipping && symbol === '~') output.push(' ');
+      } else if (hex && !skipping) {
+        output.push(Buffer.from(hex, 'hex').toString('latin1'));
+      } else if (text && !skipping) {
+        output.push(text);
+      }
+    }
+
+    return output.join('').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Extract text from plain text file (UTF-8 or UTF-16 with BOM)
+   */
+  async extractTextFromTXT(filePath) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString('utf16le', 2);
+      if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+      return buffer.toString('utf8').replace(/^\uFEFF/, '');
+    } catch (error) {
+      logger.error('TXT extraction error:', error);
+      throw new Error('Failed to extract text from TXT');
+    }
+  }
+
+  /**
+   * File format from its leading bytes, falling back to the extension.
+   * Catches common mislabels such as RTF or DOCX files saved as ".doc".
+   */
+  async detectFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    const handle = await fs.open(filePath, 'r');
+    const header = Buffer.alloc(8);
+    try {
+      await handle.read(header, 0, 8, 0);
+    } finally {
+      await handle.close();
+    }
+
+    if (header.subarray(0, 4).toString('latin1') === '%PDF') return '.pdf';
+    if (header.subarray(0, 5).toString('latin1') === '{\\rtf') return '.rtf';
+    if (header.readUInt32BE(0) === 0xd0cf11e0) return '.doc';
+    if (header.readUInt32BE(0) === 0x504b0304) return ext === '.odt' ? '.odt' : '.docx';
+    return ext;
+  }
+
   /**
    * Extract text from CV based on file type
    */
   async extractTextFromCV(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
+    const format = await this.detectFormat(filePath);
     
-    switch (ext) {
+    switch (format) {
       case '.pdf':
         return await this.extractTextFromPDF(filePath);
       case '.docx':
         return await this.extractTextFromDOCX(filePath);
       case '.doc':
-        return await this.extractTextFromDOCX(filePath);
+        return await this.extractTextFromDOC(filePath);
+      case '.odt':
+        return await this.extractTextFromODT(filePath);
+      case '.rtf':
+        return await this.extractTextFromRTF(filePath);
+      case '.txt':
+        return await this.extractTextFromTXT(filePath);
       default:
         throw new Error('Unsupported file format');
     }
   }
 
   /**
-   * Parse CV text using OpenAI to extract structured data
+   * Parse CV text using OpenAI to extract structured data.
+   * Long CVs are parsed in section-aligned chunks and the results merged.
    */
   async parseCV(cvText) {
     // ✅ Check if OpenAI is available
-    if (!openai) {
+    if (!this.openai) {
       logger.warn('⚠️  OpenAI not configured - using basic parsing');
-      return {
-        skills: this.extractBasicSkills(cvText),
-        experience: [],
-        education: [],
-        certifications: [],
-        summary: null,
-        parseError: false
-      };
+      return this.parseBasic(cvText, false);
     }
 
-    try {
-      const prompt = `
-You are a professional resume parser. Extract the following information from this resume and return it as a valid JSON object.
+    const { chunkChars, maxChunks } = cvParserConfig.llm;
+    const chunks = chunkCV(cvText, chunkChars);
+    if (chunks.length > maxChunks) {
+      logger.warn(`CV split into ${chunks.length} chunks - parsing the first ${maxChunks}`);
+    }
 
-Resume text:
-${cvText.substring(0, 3000)}
+    const results = [];
+    let failed = 0;
+    for (const [index, chunk] of chunks.slice(0, maxChunks).entries()) {
+      try {
+        results.push(await this.parseChunk(chunk, index, Math.min(chunks.length, maxChunks)));
+      } catch (error) {
+        logger.error(`CV parsing error in chunk ${index + 1}:`, error);
+        failed++;
 
-Extract and return a JSON object with this exact structure (use null for missing fields):
-{
-  "skills": ["skill1", "skill2", "skill3"],
-  "experience": [
-    {
-      "company": "Company Name",
-      "role": "Job Title",
-      "duration": "Jan 2020 - Present",
-      "description": "Brief description"
+        // Rule-based parse of the chunks the model couldn't handle
+        results.push(parseCVHeuristically(chunk));
+      }
     }
-  ],
-  "education": [
-    {
-      "degree": "Degree Name",
-      "institution": "University Name",
-      "year": "2020"
+
+    if (failed === results.length) {
+      // Fallback to basic parsing
+      return this.parseBasic(cvText, true);
     }
-  ],
-  "certifications": ["Certification 1", "Certification 2"],
-  "summary": "Brief professional summary (2-3 sentences)"
-}
 
-Important: Return ONLY valid JSON, no explanations or markdown formatting.
-`;
-
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          { 
-            role: 'system', 
-            content: 'You are a professional resume parser. Extract structured data from resumes and return only valid JSON.' 
-          },
-          { role: 'user', content: prompt }
-        ],
+    const merged = this.mergeParsedChunks(results);
+    if (failed > 0) merged.parseError = true;
+
+    return merged;
+  }
+
+  /**
+   * Rule-based parse used without OpenAI, in the same shape as parseCV
+   */
+  parseBasic(cvText, parseError) {
+    const parsed = parseCVHeuristically(cvText);
+    return {
+      ...parsed,
+      skills: parsed.skills.length > 0 ? parsed.skills : ['General'],
+      parseError
+    };
+  }
+
+  /**
+   * Parse one chunk, sending invalid output back to the model for repair
+   */
+  async parseChunk(chunk, index, total) {
+    const part = total > 1 ? ` This is part ${index + 1} of ${total} of the resume; extract only what appears in this part.` : '';
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are a professional resume parser. Extract structured data from resumes and return only valid JSON.'
+      },
+      { role: 'user', content: `${PARSE_INSTRUCTIONS}${part}\n\nResume text:\n${chunk}` }
+    ];
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.openai.chat.completions.create({
+        model: cvParserConfig.llm.model,
+        messages,
+        response_format: { type: 'json_object' },
         temperature: 0.3,
-        max_tokens: 1500
+        max_tokens: 2000
       });
 
       const content = response.choices[0].message.content.trim();
-      
-      // Remove markdown code blocks if present
-      const jsonContent = content
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
 
-      const parsedData = JSON.parse(jsonContent);
+      let problem;
+      try {
+        // Remove markdown code blocks if present
+        const jsonContent = content
+          .replace(/```json\n?/g, '')
+          .replace(/```\n?/g, '')
+          .trim();
 
-      return {
-        skills: parsedData.skills || [],
-        experience: parsedData.experience || [],
-        education: parsedData.education || [],
-        certifications: parsedData.certifications || [],
-        summary: parsedData.summary || null
-      };
-    } catch (error) {
-      logger.error('CV parsing error:', error);
-      
-      // Fallback to basic parsing
-      return {
-        skills: this.extractBasicSkills(cvText),
-        experience: [],
-        education: [],
-        certifications: [],
-        summary: null,
-        parseError: true
-      };
+        const { value, error } = validateParsedCV(JSON.parse(jsonContent));
+        if (!error) return value;
+        problem = `The JSON does not match the required structure: ${error}`;
+      } catch (error) {
+        problem = `The response is not valid JSON: ${error.message}`;
+      }
+
+      if (attempt >= cvParserConfig.llm.repairAttempts) {
+        throw new Error(`Invalid parser output after ${attempt + 1} attempts: ${problem}`);
+      }
+
+      logger.warn(`CV chunk ${index + 1} output invalid, asking for a repair: ${problem}`);
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `${problem}\nReturn the corrected JSON object only, with the exact structure requested.` }
+      );
     }
   }
 
   /**
-   * Extract basic skills without AI (fallback)
+   * Combine per-chunk results into one profile: lists are concatenated in
+   * document order, repeated entries (a role split across chunks) merged
    */
-  extractBasicSkills(text) {
-    const commonSkills = [
-      'JavaScript', 'Python', 'Java', 'React', 'Node.js', 'SQL',
-      'AWS', 'Docker', 'Kubernetes', 'TypeScript', 'Git', 'HTML',
-      'CSS', 'MongoDB', 'PostgreSQL', 'Express', 'Angular', 'Vue',
-      'C++', 'C#', 'Ruby', 'PHP', 'Swift', 'Kotlin', 'Go', 'Rust',
-      'Linux', 'Azure', 'GCP', 'Jenkins', 'CI/CD', 'Agile', 'Scrum'
-    ];
+  mergeParsedChunks(results) {
+    const key = (...parts) => parts.map(part => (part || '').toString().toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
 
-    const foundSkills = [];
-    const lowerText = text.toLowerCase();
+    const mergeBy = (items, keyOf) => {
+      const merged = new Map();
+      for (const item of items) {
+        const itemKey = keyOf(item);
+        const existing = merged.get(itemKey);
+        if (!existing) {
+          merged.set(itemKey, { ...item });
+          continue;
+        }
 
-    commonSkills.forEach(skill => {
-      if (lowerText.includes(skill.toLowerCase())) {
-        foundSkills.push(skill);
+        // Fill gaps and keep the fuller description
+        for (const [field, value] of Object.entries(item)) {
+          if (!value) continue;
+          if (!existing[field] || (field === 'description' && value.length > existing[field].length)) {
+            existing[field] = value;
+          }
+        }
       }
-    });
+      return [...merged.values()];
+    };
+
+    const certifications = new Map();
+    for (const certification of results.flatMap(result => result.certifications)) {
+      if (!certifications.has(key(certification))) certifications.set(key(certification), certification);
+    }
 
-    return foundSkills.length > 0 ? foundSkills : ['General'];
+    return {
+      skills: skillTaxonomyService.normalizeSkills(results.flatMap(result => result.skills)),
+      experience: mergeBy(results.flatMap(result => result.experience), item => key(item.company, item.role)),
+      education: mergeBy(results.flatMap(result => result.education), item => key(item.degree, item.institution)),
+      certifications: [...certifications.values()],
+      summary: results.map(result => result.summary).find(Boolean) || null
+    };
   }
 
   /**
@@ -194,7 +496,7 @@ Important: Return ONLY valid JSON, no explanations or markdown formatting.
       // Extract text from file
       const cvText = await this.extractTextFromCV(filePath);
 
-      if (!cvText || cvText.trim().length < 50) {
+      if (!cvText || cvText.trim().length < cvParserConfig.minTextLength) {
         throw new Error('CV appears to be empty or too short');
       }
 
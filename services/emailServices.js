@@ -301,6 +301,43 @@ The JobClaw Team
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Send scraper health alert to admins
+   */
+  async sendScraperAlertEmail(to, alerts) {
+    if (!this.enabled) {
+      logger.warn('Email service not enabled');
+      return { success: false };
+    }
+
+    const lines = alerts.map(run =>
+      `- ${run.source}: ${run.alert} (parsed ${run.cards_parsed}, baseline ${run.baseline_yield}${run.error_class ? `, error ${run.error_class}` : ''})`
+    ).join('\n');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@jobint.com',
+      to,
+      subject: `🚨 Scraper health alert: ${alerts.map(run => run.source).join(', ')}`,
+      text: `
+Job scraping yield dropped for the following sources:
+
+${lines}
+
+This usually means the board changed its markup and the adapter selectors need updating.
+Run history: GET /api/admin/scrape-runs
+      `.trim()
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info(`✅ Scraper alert email sent to ${to}${process.env.NODE_ENV !== 'production' ? ' (dev mode)' : ''}`);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error('❌ Failed to send scraper alert email:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { query } = require('../config/database');
+const embeddings = require('./embeddings');
+const embeddingConfig = require('../config/embeddings');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+
+class EmbeddingService {
+  get provider() {
+    return embeddings.getProvider();
+  }
+
+  /**
+   * Embed texts in provider-sized batches
+   */
+  async embedTexts(texts) {
+    const provider = this.provider;
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += embeddingConfig.batchSize) {
+      const batch = texts
+        .slice(i, i + embeddingConfig.batchSize)
+        .map(text => (text || '').substring(0, embeddingConfig.maxInputChars));
+      vectors.push(...await provider.embed(batch));
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Text that represents a listing
+   */
+  jobText(job) {
+    return [job.title, job.company, job.description].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Text that represents a candidate: the resume, or the structured profile when there's no resume
+   */
+  profileText(profile) {
+    if (profile.resume_text) return profile.resume_text;
+
+    return [
+      ...toArray(profile.desired_job_titles),
+      ...toArray(profile.skills),
+      ...toArray(profile.experience).map(item => [item.role || item.title, item.description].filter(Boolean).join(' '))
+    ].join('\n');
+  }
+
+  /**
+   * pgvector literal: [0.1,0.2,...]
+   */
+  toVector(values) {
+    return `[${values.join(',')}]`;
+  }
+
+  /**
+   * pg returns vector columns as text
+   */
+  parseVector(value) {
+    if (!value) return null;
+    return Array.isArray(value) ? value : JSON.parse(value);
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Scale a similarity to 0..maxPoints using the provider's typical range
+   */
+  similarityPoints(similarity, maxPoints) {
+    const [low, high] = this.provider.similarityRange;
+    const scaled = (similarity - low) / (high - low);
+    return Math.round(Math.max(0, Math.min(1, scaled)) * maxPoints);
+  }
+
+  /**
+   * Profile vector for the current model, computing and storing it when missing or stale
+   */
+  async ensureProfileEmbedding(profile) {
+    const model = this.provider.model;
+    if (profile.resume_embedding && profile.resume_embedding_model === model) {
+      return this.parseVector(profile.resume_embedding);
+    }
+
+    const text = this.profileText(profile);
+    if (!text.trim()) return null;
+
+    const [vector] = await this.embedTexts([text]);
+    await query(
+      `UPDATE user_profiles
+       SET resume_embedding = $1::vector, resume_embedding_model = $2
+       WHERE id = $3`,
+      [this.toVector(vector), model, profile.id]
+    );
+
+    return vector;
+  }
+
+  /**
+   * Recompute a user's profile vector after their resume changes
+   */
+  async refreshProfileEmbedding(userId) {
+    const result = await query('SELECT * FROM user_profiles WHERE user_id = $1', [userId]);
+    if (result.rows.length === 0) return null;
+
+    return this.ensureProfileEmbedding({ ...result.rows[0], resume_embedding: null });
+  }
+
+  /**
+   * Attach a current-model vector to each job (as job.embedding), embedding and storing missing ones
+   */
+  async ensureJobEmbeddings(jobs) {
+    const model = this.provider.model;
+    const missing = [];
+
+    for (const job of jobs) {
+      if (job.embedding && job.embedding_model === model) {
+        job.embedding = this.parseVector(job.embedding);
+      } else {
+        missing.push(job);
+      }
+    }
+
+    if (missing.length === 0) return jobs;
+
+    const vectors = await this.embedTexts(missing.map(job => this.jobText(job)));
+    for (let i = 0; i < missing.length; i++) {
+      missing[i].embedding = vectors[i];
+      missing[i].embedding_model = model;
+
+      await query(
+        'UPDATE job_listings SET embedding = $1::vector, embedding_model = $2 WHERE id = $3',
+        [this.toVector(vectors[i]), model, missing[i].id]
+      );
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Embed matchable listings that have no vector for the current model
+   */
+  async embedPendingJobs(limit = embeddingConfig.jobBatchLimit) {
+    const result = await query(
+      `SELECT id, title, company, description
+       FROM job_listings
+       WHERE is_active = TRUE
+       AND canonical_id IS NULL
+       AND enrichment_status <> 'pending'
+       AND (embedding IS NULL OR embedding_model IS DISTINCT FROM $1)
+       ORDER BY scraped_at DESC
+       LIMIT $2`,
+      [this.provider.model, limit]
+    );
+
+    await this.ensureJobEmbeddings(result.rows);
+
+    logger.info(`🧭 Embedded ${result.rows.length} listings with ${this.provider.model}`);
+    return result.rows.length;
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -0,0 +1,38 @@
+const embeddingConfig = require('../../config/embeddings');
+const logger = require('../../utils/logger');
+
+/**
+ * Embedding provider registry
+ *
+ * A provider is a plain object:
+ *   name               - provider key used in EMBEDDING_PROVIDER
+ *   model              - stored next to each vector; vectors from different models are never compared
+ *   similarityRange    - [unrelated, closely related] cosine similarity, used to scale scores
+ *   available()        -> whether the provider can be used in this deployment
+ *   embed(texts)       -> one embeddingConfig.dimensions-long vector per text
+ */
+const providers = {
+  local: require('./local'),
+  openai: require('./openai')
+};
+
+let warned = false;
+
+/**
+ * Configured provider, falling back to the local one when it can't be used
+ */
+function getProvider(name = embeddingConfig.provider) {
+  const provider = providers[name];
+  if (provider && provider.available()) return provider;
+
+  if (!warned) {
+    logger.warn(`⚠️  Embedding provider "${name}" unavailable - using local embeddings`);
+    warned = true;
+  }
+  return providers.local;
+}
+
+module.exports = {
+  getProvider,
+  providers
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const embeddingConfig = require('../../config/embeddings');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on',
+  'or', 'our', 'that', 'the', 'this', 'to', 'we', 'will', 'with', 'you', 'your'
+]);
+
+// Common spellings of the same technology
+const SYNONYMS = {
+  postgres: 'postgresql',
+  psql: 'postgresql',
+  js: 'javascript',
+  ts: 'typescript',
+  golang: 'go',
+  k8s: 'kubernetes',
+  nodejs: 'node',
+  'node.js': 'node',
+  reactjs: 'react',
+  'react.js': 'react',
+  ml: 'machine learning',
+  ai: 'artificial intelligence'
+};
+
+/**
+ * Deterministic hashed bag-of-words embeddings.
+ * Words and character trigrams are hashed into a fixed number of signed buckets,
+ * so related spellings ("postgres", "postgresql") share dimensions without any model.
+ */
+module.exports = {
+  name: 'local',
+  model: 'local-hash-v1',
+
+  // Typical cosine similarity of unrelated and closely related texts
+  similarityRange: [0.05, 0.5],
+
+  available() {
+    return true;
+  },
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  },
+
+  embedOne(text) {
+    const vector = new Array(embeddingConfig.dimensions).fill(0);
+    const counts = new Map();
+
+    for (const feature of this.features(text)) {
+      counts.set(feature.key, (counts.get(feature.key) || 0) + feature.weight);
+    }
+
+    for (const [key, weight] of counts) {
+      const hash = crypto.createHash('md5').update(key).digest();
+      const index = hash.readUInt32BE(0) % vector.length;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign * Math.log1p(weight);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  },
+
+  /**
+   * Whole words plus character trigrams of longer words
+   */
+  features(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .map(word => word.replace(/^\.+|\.+$/g, ''))
+      .filter(word => word && !STOPWORDS.has(word))
+      .flatMap(word => (SYNONYMS[word] || word).split(' '));
+
+    const features = [];
+    for (const word of words) {
+      features.push({ key: `w:${word}`, weight: 1 });
+
+      if (word.length >= 4) {
+        for (let i = 0; i + 3 <= word.length; i++) {
+          features.push({ key: `c:${word.slice(i, i + 3)}`, weight: 0.25 });
+        }
+      }
+    }
+    return features;
+  }
+};
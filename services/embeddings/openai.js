@@ -0,0 +1,36 @@
+const embeddingConfig = require('../../config/embeddings');
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const { OpenAI } = require('openai');
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+/**
+ * OpenAI embeddings, shortened to the schema's vector size
+ */
+module.exports = {
+  name: 'openai',
+  model: embeddingConfig.openaiModel,
+  similarityRange: [0.2, 0.6],
+
+  available() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async embed(texts) {
+    const response = await getClient().embeddings.create({
+      model: this.model,
+      input: texts,
+      dimensions: embeddingConfig.dimensions
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+};
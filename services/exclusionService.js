@@ -0,0 +1,188 @@
+const { query } = require('../config/database');
+const jobDedupeService = require('./jobDedupeService');
+const matchingConfig = require('../config/matching');
+
+// Staffing agencies and recruiters that re-post roles for other companies
+const RECRUITER_PATTERN = /\b(staffing|recruit(ing|ment|ers?)|talent (solutions|partners|acquisition)|search partners|headhunt(ing|ers?)|robert half|teksystems|randstad|adecco|hays|aerotek|kforce|insight global|michael page|manpower|kelly services|cybercoders|jobot)\b/i;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ExclusionService {
+  /**
+   * Everything that can rule a job out for a user:
+   * deny/allow-listed companies, keyword and source rules, and preferences.exclusions
+   */
+  async getRules(userId) {
+    const [companies, rules, user] = await Promise.all([
+      query('SELECT id, company_name, list_type FROM company_whitelist WHERE user_id = $1 ORDER BY company_name', [userId]),
+      query('SELECT id, rule_type, value FROM match_exclusions WHERE user_id = $1 ORDER BY rule_type, value', [userId]),
+      query('SELECT preferences FROM users WHERE id = $1', [userId])
+    ]);
+
+    const settings = user.rows[0]?.preferences?.exclusions || {};
+
+    return {
+      companies: companies.rows,
+      rules: rules.rows,
+      salaryFloor: settings.salaryFloor || null,
+      excludeRecruiters: settings.excludeRecruiters === true
+    };
+  }
+
+  /**
+   * Precompile rules for checking many jobs
+   */
+  compile(rules) {
+    const companiesOf = type => new Set(rules.companies
+      .filter(company => company.list_type === type)
+      .map(company => jobDedupeService.normalizeCompany(company.company_name)));
+
+    const patternsOf = type => rules.rules
+      .filter(rule => rule.rule_type === type)
+      .map(rule => ({ value: rule.value, pattern: new RegExp(`(?<![a-z0-9])${escapeRegex(rule.value)}(?![a-z0-9])`, 'i') }));
+
+    return {
+      allowed: companiesOf('allow'),
+      denied: companiesOf('deny'),
+      keywords: patternsOf('keyword'),
+      titleKeywords: patternsOf('title_keyword'),
+      sources: new Set(rules.rules.filter(rule => rule.rule_type === 'source').map(rule => rule.value)),
+      salaryFloor: rules.salaryFloor,
+      excludeRecruiters: rules.excludeRecruiters
+    };
+  }
+
+  /**
+   * Why a job is excluded ({ rule, value }), or null if it may be matched.
+   * Allow-listed companies skip the keyword, source and recruiter rules but not the salary floor.
+   */
+  check(compiled, job) {
+    const company = jobDedupeService.normalizeCompany(job.company);
+    if (company && compiled.denied.has(company)) return { rule: 'company', value: job.company };
+
+    // Unknown salaries pass; the floor only rules out listings known to pay less.
+    // It has no currency of its own, so pay in another currency is never compared.
+    const salary = parseInt(job.salary_annual_max);
+    const comparable = !job.salary_currency || job.salary_currency === matchingConfig.salaryCurrency;
+    if (compiled.salaryFloor && salary && comparable && salary < compiled.salaryFloor) {
+      return { rule: 'salary_floor', value: compiled.salaryFloor };
+    }
+
+    if (company && compiled.allowed.has(company)) return null;
+
+    if (compiled.sources.has(job.source)) return { rule: 'source', value: job.source };
+
+    if (compiled.excludeRecruiters && RECRUITER_PATTERN.test(job.company || '')) {
+      return { rule: 'recruiter', value: job.company };
+    }
+
+    const titleHit = [...compiled.titleKeywords, ...compiled.keywords].find(item => item.pattern.test(job.title || ''));
+    if (titleHit) return { rule: 'keyword', value: titleHit.value };
+
+    const descriptionHit = compiled.keywords.find(item => item.pattern.test(job.description || ''));
+    if (descriptionHit) return { rule: 'keyword', value: descriptionHit.value };
+
+    return null;
+  }
+
+  /**
+   * Add a company to the user's allow or deny list; moving it if it's on the other one
+   */
+  async setCompany(userId, companyName, listType) {
+    const result = await query(
+      `INSERT INTO company_whitelist (user_id, company_name, list_type)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, company_name)
+       DO UPDATE SET list_type = $3, added_at = NOW()
+       RETURNING id, company_name, list_type, added_at`,
+      [userId, companyName.trim(), listType]
+    );
+    await this.resetMatchWatermark(userId);
+    if (listType === 'deny') await this.expireExcludedMatches(userId);
+    return result.rows[0];
+  }
+
+  async removeCompany(userId, id) {
+    const result = await query('DELETE FROM company_whitelist WHERE id = $1 AND user_id = $2', [id, userId]);
+    if (result.rowCount > 0) await this.resetMatchWatermark(userId);
+    return result.rowCount > 0;
+  }
+
+  async addRule(userId, ruleType, value) {
+    const normalized = ruleType === 'source' ? value.trim().toLowerCase() : value.trim();
+    const result = await query(
+      `INSERT INTO match_exclusions (user_id, rule_type, value)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, rule_type, value) DO UPDATE SET value = EXCLUDED.value
+       RETURNING id, rule_type, value, created_at`,
+      [userId, ruleType, normalized]
+    );
+    await this.resetMatchWatermark(userId);
+    await this.expireExcludedMatches(userId);
+    return result.rows[0];
+  }
+
+  async removeRule(userId, id) {
+    const result = await query('DELETE FROM match_exclusions WHERE id = $1 AND user_id = $2', [id, userId]);
+    if (result.rowCount > 0) await this.resetMatchWatermark(userId);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Update preferences.exclusions ({ salaryFloor, excludeRecruiters }), keeping unspecified keys
+   */
+  async updateSettings(userId, settings) {
+    const result = await query(
+      `UPDATE users
+       SET preferences = jsonb_set(
+             COALESCE(preferences, '{}'::jsonb), '{exclusions}',
+             COALESCE(preferences->'exclusions', '{}'::jsonb) || $1::jsonb
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING preferences->'exclusions' as exclusions`,
+      [JSON.stringify(settings), userId]
+    );
+    await this.resetMatchWatermark(userId);
+    await this.expireExcludedMatches(userId);
+    return result.rows[0]?.exclusions || {};
+  }
+
+  /**
+   * Rules were added or tightened: expire unreviewed matches, made before the
+   * change, that they now rule out. Returns how many were expired.
+   */
+  async expireExcludedMatches(userId) {
+    const compiled = this.compile(await this.getRules(userId));
+    const pending = await query(
+      `SELECT jm.id, jl.company, jl.source, jl.title, jl.description, jl.salary_annual_max, jl.salary_currency
+       FROM job_matches jm
+       JOIN job_listings jl ON jl.id = jm.job_id
+       WHERE jm.user_id = $1 AND jm.reviewed = FALSE AND jm.status = 'pending'`,
+      [userId]
+    );
+
+    let expired = 0;
+    for (const match of pending.rows.filter(row => this.check(compiled, row))) {
+      const result = await query(
+        `UPDATE job_matches SET status = 'expired' WHERE id = $1 AND status = 'pending'`,
+        [match.id]
+      );
+      expired += result.rowCount;
+    }
+    return expired;
+  }
+
+  /**
+   * Rules changed: incremental matching starts over so listings that were
+   * ruled out (or let through) are looked at again
+   */
+  async resetMatchWatermark(userId) {
+    await query(
+      'UPDATE user_profiles SET match_watermark_at = NULL, match_watermark_id = NULL WHERE user_id = $1',
+      [userId]
+    );
+  }
+}
+
+module.exports = new ExclusionService();
@@ -0,0 +1,131 @@
+const { query } = require('../config/database');
+const { findDateRange } = require('./cv/dates');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const jobClassifierService = require('./jobClassifierService');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+
+// Months are counted as year * 12 + month index, so ranges are plain integers
+const monthIndex = (year, month) => year * 12 + month;
+const roundYears = months => Math.round(months / 12 * 10) / 10;
+
+class ExperienceService {
+  /**
+   * Span of each dated role as [start, end) month indexes, most recent first.
+   * Year-only dates run from January to December; ongoing roles and future end dates stop at `now`.
+   */
+  roleIntervals(experience, now = new Date()) {
+    const current = monthIndex(now.getFullYear(), now.getMonth() + 1);
+    const intervals = [];
+
+    for (const role of experience || []) {
+      const range = findDateRange(role?.duration);
+      if (!range) continue;
+
+      const start = monthIndex(range.start.year, range.start.month ? range.start.month - 1 : 0);
+      if (start >= current) continue;
+
+      let end = current;
+      if (range.end) {
+        // "Mar 2019" ends after March; a bare "2019" ends after December
+        end = Math.min(current, monthIndex(range.end.year, range.end.month || 12));
+      }
+
+      intervals.push({ role, start, end: Math.max(end, start + 1) });
+    }
+
+    return intervals.sort((a, b) => b.end - a.end || b.start - a.start);
+  }
+
+  /**
+   * Months covered by a set of intervals, counting overlaps once and gaps not at all
+   */
+  coveredMonths(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    let months = 0;
+    let reach = -Infinity;
+
+    for (const { start, end } of sorted) {
+      if (end <= reach) continue;
+      months += end - Math.max(start, reach);
+      reach = end;
+    }
+
+    return months;
+  }
+
+  /**
+   * Years of experience overall and per skill, and the seniority they suggest:
+   * { yearsExperience, skillYears, seniority }. A skill's years come from the
+   * roles whose title or description mentions it.
+   */
+  summarize(experience, now = new Date()) {
+    const intervals = this.roleIntervals(experience, now);
+
+    const bySkill = new Map();
+    for (const interval of intervals) {
+      const text = `${interval.role.role || ''}\n${interval.role.description || ''}`;
+      for (const skill of skillTaxonomyService.extractSkills(text)) {
+        if (!bySkill.has(skill)) bySkill.set(skill, []);
+        bySkill.get(skill).push(interval);
+      }
+    }
+
+    const skillYears = {};
+    for (const [skill, skillIntervals] of [...bySkill].sort(([a], [b]) => a.localeCompare(b))) {
+      skillYears[skill] = roundYears(this.coveredMonths(skillIntervals));
+    }
+
+    const yearsExperience = intervals.length > 0 ? roundYears(this.coveredMonths(intervals)) : null;
+    const latestRole = intervals.length > 0 ? intervals[0].role : (experience || [])[0];
+
+    return {
+      yearsExperience,
+      skillYears,
+      seniority: this.inferSeniority(yearsExperience, latestRole?.role)
+    };
+  }
+
+  /**
+   * The higher of what the latest title says ("Senior", "Staff") and what the
+   * years suggest, using the same year bands as job listings. Null with neither.
+   */
+  inferSeniority(yearsExperience, latestTitle) {
+    const fromTitle = latestTitle ? jobClassifierService.classifySeniority({ title: latestTitle }) : null;
+    const fromYears = yearsExperience !== null ? jobClassifierService.seniorityForYears(yearsExperience) : null;
+
+    if (!fromTitle || !fromYears) return fromTitle || fromYears;
+    return jobClassifierService.seniorityRank(fromTitle) >= jobClassifierService.seniorityRank(fromYears)
+      ? fromTitle
+      : fromYears;
+  }
+
+  /**
+   * Compute and store experience figures for profiles parsed before they existed
+   */
+  async backfill() {
+    const result = await query(
+      `SELECT id, experience FROM user_profiles
+       WHERE cv_parsed = TRUE AND years_experience IS NULL AND seniority IS NULL`
+    );
+
+    let updated = 0;
+    for (const row of result.rows) {
+      try {
+        const summary = this.summarize(toArray(row.experience));
+        await query(
+          'UPDATE user_profiles SET years_experience = $1, skill_years = $2, seniority = $3 WHERE id = $4',
+          [summary.yearsExperience, JSON.stringify(summary.skillYears), summary.seniority, row.id]
+        );
+        updated++;
+      } catch (error) {
+        logger.error(`Experience inference failed for profile ${row.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Experience backfill complete: ${updated} profiles updated`);
+    return { scanned: result.rows.length, updated };
+  }
+}
+
+module.exports = new ExperienceService();
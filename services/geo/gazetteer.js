@@ -0,0 +1,229 @@
+/**
+ * Offline gazetteer for normalizing job and profile locations.
+ * Cities are listed largest first within a name so ambiguous names
+ * ("Portland", "Cambridge") resolve to the likelier place when no region is given.
+ *
+ * City rows: [city, region, country, lat, lng, aliases]
+ */
+const CITIES = [
+  // United States
+  ['New York', 'New York', 'US', 40.7128, -74.006, ['nyc', 'new york city', 'manhattan', 'brooklyn']],
+  ['Los Angeles', 'California', 'US', 34.0522, -118.2437, ['la', 'l a']],
+  ['Chicago', 'Illinois', 'US', 41.8781, -87.6298, []],
+  ['Houston', 'Texas', 'US', 29.7604, -95.3698, []],
+  ['Phoenix', 'Arizona', 'US', 33.4484, -112.074, []],
+  ['Philadelphia', 'Pennsylvania', 'US', 39.9526, -75.1652, ['philly']],
+  ['San Antonio', 'Texas', 'US', 29.4241, -98.4936, []],
+  ['San Diego', 'California', 'US', 32.7157, -117.1611, []],
+  ['Dallas', 'Texas', 'US', 32.7767, -96.797, ['dallas fort worth', 'dfw']],
+  ['San Jose', 'California', 'US', 37.3382, -121.8863, ['silicon valley']],
+  ['Austin', 'Texas', 'US', 30.2672, -97.7431, []],
+  ['San Francisco', 'California', 'US', 37.7749, -122.4194, ['sf', 'san francisco bay area', 'bay area', 'sf bay area']],
+  ['Seattle', 'Washington', 'US', 47.6062, -122.3321, []],
+  ['Denver', 'Colorado', 'US', 39.7392, -104.9903, []],
+  ['Boulder', 'Colorado', 'US', 40.015, -105.2705, []],
+  ['Washington', 'District of Columbia', 'US', 38.9072, -77.0369, ['washington dc', 'dc', 'washington d c']],
+  ['Boston', 'Massachusetts', 'US', 42.3601, -71.0589, []],
+  ['Cambridge', 'Massachusetts', 'US', 42.3736, -71.1097, []],
+  ['Nashville', 'Tennessee', 'US', 36.1627, -86.7816, []],
+  ['Portland', 'Oregon', 'US', 45.5152, -122.6784, []],
+  ['Portland', 'Maine', 'US', 43.6591, -70.2568, []],
+  ['Las Vegas', 'Nevada', 'US', 36.1699, -115.1398, []],
+  ['Atlanta', 'Georgia', 'US', 33.749, -84.388, []],
+  ['Miami', 'Florida', 'US', 25.7617, -80.1918, []],
+  ['Orlando', 'Florida', 'US', 28.5383, -81.3792, []],
+  ['Tampa', 'Florida', 'US', 27.9506, -82.4572, []],
+  ['Raleigh', 'North Carolina', 'US', 35.7796, -78.6382, ['research triangle']],
+  ['Durham', 'North Carolina', 'US', 35.994, -78.8986, []],
+  ['Charlotte', 'North Carolina', 'US', 35.2271, -80.8431, []],
+  ['Minneapolis', 'Minnesota', 'US', 44.9778, -93.265, []],
+  ['Detroit', 'Michigan', 'US', 42.3314, -83.0458, []],
+  ['Ann Arbor', 'Michigan', 'US', 42.2808, -83.743, []],
+  ['Pittsburgh', 'Pennsylvania', 'US', 40.4406, -79.9959, []],
+  ['Columbus', 'Ohio', 'US', 39.9612, -82.9988, []],
+  ['Cleveland', 'Ohio', 'US', 41.4993, -81.6944, []],
+  ['Cincinnati', 'Ohio', 'US', 39.1031, -84.512, []],
+  ['Indianapolis', 'Indiana', 'US', 39.7684, -86.1581, []],
+  ['St. Louis', 'Missouri', 'US', 38.627, -90.1994, ['st louis', 'saint louis']],
+  ['Kansas City', 'Missouri', 'US', 39.0997, -94.5786, []],
+  ['Salt Lake City', 'Utah', 'US', 40.7608, -111.891, ['slc']],
+  ['Sacramento', 'California', 'US', 38.5816, -121.4944, []],
+  ['Oakland', 'California', 'US', 37.8044, -122.2712, []],
+  ['Palo Alto', 'California', 'US', 37.4419, -122.143, []],
+  ['Mountain View', 'California', 'US', 37.3861, -122.0839, []],
+  ['Sunnyvale', 'California', 'US', 37.3688, -122.0363, []],
+  ['Menlo Park', 'California', 'US', 37.453, -122.1817, []],
+  ['Irvine', 'California', 'US', 33.6846, -117.8265, []],
+  ['Santa Monica', 'California', 'US', 34.0195, -118.4912, []],
+  ['Redmond', 'Washington', 'US', 47.674, -122.1215, []],
+  ['Bellevue', 'Washington', 'US', 47.6101, -122.2015, []],
+  ['Baltimore', 'Maryland', 'US', 39.2904, -76.6122, []],
+  ['Arlington', 'Virginia', 'US', 38.8816, -77.091, []],
+  ['Jersey City', 'New Jersey', 'US', 40.7178, -74.0431, []],
+  ['Newark', 'New Jersey', 'US', 40.7357, -74.1724, []],
+  ['Madison', 'Wisconsin', 'US', 43.0731, -89.4012, []],
+  ['Milwaukee', 'Wisconsin', 'US', 43.0389, -87.9065, []],
+  ['New Orleans', 'Louisiana', 'US', 29.9511, -90.0715, []],
+  ['Honolulu', 'Hawaii', 'US', 21.3069, -157.8583, []],
+
+  // Canada
+  ['Toronto', 'Ontario', 'CA', 43.6532, -79.3832, ['gta', 'greater toronto area']],
+  ['Vancouver', 'British Columbia', 'CA', 49.2827, -123.1207, []],
+  ['Montreal', 'Quebec', 'CA', 45.5017, -73.5673, ['montréal']],
+  ['Ottawa', 'Ontario', 'CA', 45.4215, -75.6972, []],
+  ['Calgary', 'Alberta', 'CA', 51.0447, -114.0719, []],
+  ['Waterloo', 'Ontario', 'CA', 43.4643, -80.5204, ['kitchener waterloo']],
+
+  // Europe
+  ['London', 'England', 'GB', 51.5074, -0.1278, ['greater london']],
+  ['Manchester', 'England', 'GB', 53.4808, -2.2426, []],
+  ['Cambridge', 'England', 'GB', 52.2053, 0.1218, []],
+  ['Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883, []],
+  ['Bristol', 'England', 'GB', 51.4545, -2.5879, []],
+  ['Dublin', 'Leinster', 'IE', 53.3498, -6.2603, []],
+  ['Paris', 'Île-de-France', 'FR', 48.8566, 2.3522, []],
+  ['Berlin', 'Berlin', 'DE', 52.52, 13.405, []],
+  ['Munich', 'Bavaria', 'DE', 48.1351, 11.582, ['münchen', 'munchen']],
+  ['Hamburg', 'Hamburg', 'DE', 53.5511, 9.9937, []],
+  ['Frankfurt', 'Hesse', 'DE', 50.1109, 8.6821, ['frankfurt am main']],
+  ['Amsterdam', 'North Holland', 'NL', 52.3676, 4.9041, []],
+  ['Rotterdam', 'South Holland', 'NL', 51.9244, 4.4777, []],
+  ['Brussels', 'Brussels', 'BE', 50.8503, 4.3517, ['bruxelles']],
+  ['Zurich', 'Zurich', 'CH', 47.3769, 8.5417, ['zürich']],
+  ['Geneva', 'Geneva', 'CH', 46.2044, 6.1432, []],
+  ['Vienna', 'Vienna', 'AT', 48.2082, 16.3738, ['wien']],
+  ['Madrid', 'Madrid', 'ES', 40.4168, -3.7038, []],
+  ['Barcelona', 'Catalonia', 'ES', 41.3851, 2.1734, []],
+  ['Lisbon', 'Lisbon', 'PT', 38.7223, -9.1393, ['lisboa']],
+  ['Milan', 'Lombardy', 'IT', 45.4642, 9.19, ['milano']],
+  ['Rome', 'Lazio', 'IT', 41.9028, 12.4964, ['roma']],
+  ['Stockholm', 'Stockholm', 'SE', 59.3293, 18.0686, []],
+  ['Copenhagen', 'Capital Region', 'DK', 55.6761, 12.5683, ['københavn']],
+  ['Oslo', 'Oslo', 'NO', 59.9139, 10.7522, []],
+  ['Helsinki', 'Uusimaa', 'FI', 60.1699, 24.9384, []],
+  ['Warsaw', 'Masovia', 'PL', 52.2297, 21.0122, ['warszawa']],
+  ['Krakow', 'Lesser Poland', 'PL', 50.0647, 19.945, ['kraków']],
+  ['Prague', 'Prague', 'CZ', 50.0755, 14.4378, ['praha']],
+  ['Tallinn', 'Harju', 'EE', 59.437, 24.7536, []],
+
+  // Asia Pacific, Middle East, Latin America, Africa
+  ['Bangalore', 'Karnataka', 'IN', 12.9716, 77.5946, ['bengaluru']],
+  ['Hyderabad', 'Telangana', 'IN', 17.385, 78.4867, []],
+  ['Pune', 'Maharashtra', 'IN', 18.5204, 73.8567, []],
+  ['Mumbai', 'Maharashtra', 'IN', 19.076, 72.8777, ['bombay']],
+  ['Delhi', 'Delhi', 'IN', 28.7041, 77.1025, ['new delhi', 'delhi ncr', 'ncr']],
+  ['Gurgaon', 'Haryana', 'IN', 28.4595, 77.0266, ['gurugram']],
+  ['Chennai', 'Tamil Nadu', 'IN', 13.0827, 80.2707, []],
+  ['Singapore', 'Singapore', 'SG', 1.3521, 103.8198, []],
+  ['Hong Kong', 'Hong Kong', 'HK', 22.3193, 114.1694, []],
+  ['Tokyo', 'Tokyo', 'JP', 35.6762, 139.6503, []],
+  ['Seoul', 'Seoul', 'KR', 37.5665, 126.978, []],
+  ['Shanghai', 'Shanghai', 'CN', 31.2304, 121.4737, []],
+  ['Beijing', 'Beijing', 'CN', 39.9042, 116.4074, []],
+  ['Sydney', 'New South Wales', 'AU', -33.8688, 151.2093, []],
+  ['Melbourne', 'Victoria', 'AU', -37.8136, 144.9631, []],
+  ['Auckland', 'Auckland', 'NZ', -36.8485, 174.7633, []],
+  ['Tel Aviv', 'Tel Aviv', 'IL', 32.0853, 34.7818, ['tel aviv yafo']],
+  ['Dubai', 'Dubai', 'AE', 25.2048, 55.2708, []],
+  ['São Paulo', 'São Paulo', 'BR', -23.5505, -46.6333, ['sao paulo']],
+  ['Mexico City', 'Mexico City', 'MX', 19.4326, -99.1332, ['cdmx', 'ciudad de mexico']],
+  ['Buenos Aires', 'Buenos Aires', 'AR', -34.6037, -58.3816, []],
+  ['Bogotá', 'Bogotá', 'CO', 4.711, -74.0721, ['bogota']],
+  ['Lagos', 'Lagos', 'NG', 6.5244, 3.3792, []],
+  ['Nairobi', 'Nairobi', 'KE', -1.2921, 36.8219, []],
+  ['Cape Town', 'Western Cape', 'ZA', -33.9249, 18.4241, []]
+];
+
+// Region rows: [region, country, lat, lng, aliases] - centroids, used when no city is named
+const REGIONS = [
+  ['Alabama', 'US', 32.8, -86.8, ['al']],
+  ['Arizona', 'US', 34.2, -111.7, ['az']],
+  ['California', 'US', 36.8, -119.4, ['ca']],
+  ['Colorado', 'US', 39.0, -105.5, ['co']],
+  ['Connecticut', 'US', 41.6, -72.7, ['ct']],
+  ['District of Columbia', 'US', 38.9, -77.0, ['dc']],
+  ['Florida', 'US', 27.8, -81.7, ['fl']],
+  ['Georgia', 'US', 32.7, -83.4, ['ga']],
+  ['Hawaii', 'US', 20.8, -156.3, ['hi']],
+  ['Illinois', 'US', 40.0, -89.2, ['il']],
+  ['Indiana', 'US', 39.9, -86.3, ['in']],
+  ['Louisiana', 'US', 31.0, -92.0, ['la']],
+  ['Maine', 'US', 45.4, -69.2, ['me']],
+  ['Maryland', 'US', 39.0, -76.8, ['md']],
+  ['Massachusetts', 'US', 42.3, -71.8, ['ma']],
+  ['Michigan', 'US', 44.3, -85.4, ['mi']],
+  ['Minnesota', 'US', 46.3, -94.3, ['mn']],
+  ['Missouri', 'US', 38.4, -92.5, ['mo']],
+  ['Nevada', 'US', 39.3, -116.6, ['nv']],
+  ['New Jersey', 'US', 40.1, -74.7, ['nj']],
+  ['New York', 'US', 42.9, -75.5, ['ny']],
+  ['North Carolina', 'US', 35.6, -79.4, ['nc']],
+  ['Ohio', 'US', 40.3, -82.8, ['oh']],
+  ['Oregon', 'US', 44.0, -120.5, ['or']],
+  ['Pennsylvania', 'US', 40.9, -77.8, ['pa']],
+  ['Tennessee', 'US', 35.9, -86.4, ['tn']],
+  ['Texas', 'US', 31.5, -99.3, ['tx']],
+  ['Utah', 'US', 39.3, -111.7, ['ut']],
+  ['Virginia', 'US', 37.5, -78.9, ['va']],
+  ['Washington', 'US', 47.4, -120.5, ['wa']],
+  ['Wisconsin', 'US', 44.6, -89.9, ['wi']],
+  ['Ontario', 'CA', 50.0, -85.0, ['on']],
+  ['British Columbia', 'CA', 53.7, -127.6, ['bc']],
+  ['Quebec', 'CA', 52.9, -73.5, ['qc', 'québec']],
+  ['Alberta', 'CA', 53.9, -116.6, ['ab']],
+  ['England', 'GB', 52.4, -1.5, []],
+  ['Scotland', 'GB', 56.5, -4.2, []],
+  ['Bavaria', 'DE', 48.8, 11.5, ['bayern']],
+  ['Catalonia', 'ES', 41.6, 1.5, ['catalunya']],
+  ['Karnataka', 'IN', 15.3, 75.7, []],
+  ['Maharashtra', 'IN', 19.7, 75.7, []],
+  ['New South Wales', 'AU', -32.0, 147.0, ['nsw']],
+  ['Victoria', 'AU', -37.0, 144.0, ['vic']]
+];
+
+// Country rows: [code, name, lat, lng, aliases]
+const COUNTRIES = [
+  ['US', 'United States', 39.8, -98.6, ['usa', 'us', 'u s', 'united states of america', 'america']],
+  ['CA', 'Canada', 56.1, -106.3, []],
+  ['GB', 'United Kingdom', 54.0, -2.0, ['uk', 'u k', 'great britain', 'britain']],
+  ['IE', 'Ireland', 53.4, -8.2, []],
+  ['FR', 'France', 46.2, 2.2, []],
+  ['DE', 'Germany', 51.2, 10.5, ['deutschland']],
+  ['NL', 'Netherlands', 52.1, 5.3, ['the netherlands', 'holland']],
+  ['BE', 'Belgium', 50.5, 4.5, []],
+  ['CH', 'Switzerland', 46.8, 8.2, []],
+  ['AT', 'Austria', 47.5, 14.6, []],
+  ['ES', 'Spain', 40.5, -3.7, []],
+  ['PT', 'Portugal', 39.4, -8.2, []],
+  ['IT', 'Italy', 41.9, 12.6, []],
+  ['SE', 'Sweden', 60.1, 18.6, []],
+  ['DK', 'Denmark', 56.3, 9.5, []],
+  ['NO', 'Norway', 60.5, 8.5, []],
+  ['FI', 'Finland', 61.9, 25.7, []],
+  ['PL', 'Poland', 51.9, 19.1, []],
+  ['CZ', 'Czech Republic', 49.8, 15.5, ['czechia']],
+  ['EE', 'Estonia', 58.6, 25.0, []],
+  ['IN', 'India', 20.6, 79.0, []],
+  ['SG', 'Singapore', 1.35, 103.8, []],
+  ['HK', 'Hong Kong', 22.3, 114.2, []],
+  ['JP', 'Japan', 36.2, 138.3, []],
+  ['KR', 'South Korea', 35.9, 127.8, ['korea']],
+  ['CN', 'China', 35.9, 104.2, []],
+  ['AU', 'Australia', -25.3, 133.8, []],
+  ['NZ', 'New Zealand', -40.9, 174.9, []],
+  ['IL', 'Israel', 31.0, 34.9, []],
+  ['AE', 'United Arab Emirates', 23.4, 53.8, ['uae']],
+  ['BR', 'Brazil', -14.2, -51.9, ['brasil']],
+  ['MX', 'Mexico', 23.6, -102.6, []],
+  ['AR', 'Argentina', -38.4, -63.6, []],
+  ['CO', 'Colombia', 4.6, -74.3, []],
+  ['NG', 'Nigeria', 9.1, 8.7, []],
+  ['KE', 'Kenya', -0.02, 37.9, []],
+  ['ZA', 'South Africa', -30.6, 22.9, []]
+];
+
+module.exports = {
+  CITIES,
+  REGIONS,
+  COUNTRIES
+};
@@ -0,0 +1,216 @@
+const { query } = require('../config/database');
+const { CITIES, REGIONS, COUNTRIES } = require('./geo/gazetteer');
+const logger = require('../utils/logger');
+
+const EARTH_RADIUS_KM = 6371;
+const CACHE_LIMIT = 5000;
+
+// Work-arrangement words that appear in location strings but aren't places
+const LOCATION_NOISE = /\b(remote|hybrid|on-?site|in[- ]office|metropolitan area|metro area|metro|greater)\b/g;
+
+/**
+ * Lowercase, strip accents and punctuation: "São Paulo, BR" -> "sao paulo br"
+ */
+function toKey(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function addToIndex(index, key, entry) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(entry);
+}
+
+class GeocodingService {
+  constructor() {
+    this.cities = new Map();
+    this.regions = new Map();
+    this.regionAbbreviations = new Map();
+    this.countries = new Map();
+    this.countryCodes = new Map();
+    this.cache = new Map();
+
+    for (const [city, region, country, lat, lng, aliases] of CITIES) {
+      const entry = { city, region, country, lat, lng, precision: 'city' };
+      for (const name of [city, ...aliases]) addToIndex(this.cities, toKey(name), entry);
+    }
+
+    for (const [region, country, lat, lng, aliases] of REGIONS) {
+      const entry = { city: null, region, country, lat, lng, precision: 'region' };
+      addToIndex(this.regions, toKey(region), entry);
+      // Two-letter abbreviations collide with words ("in", "or"), so only trust them after a comma
+      for (const alias of aliases) addToIndex(this.regionAbbreviations, toKey(alias), entry);
+    }
+
+    for (const [code, name, lat, lng, aliases] of COUNTRIES) {
+      const entry = { city: null, region: null, country: code, lat, lng, precision: 'country' };
+      for (const alias of [name, ...aliases]) addToIndex(this.countries, toKey(alias), entry);
+      addToIndex(this.countryCodes, toKey(code), entry);
+    }
+  }
+
+  /**
+   * Resolve a free-text location to { city, region, country, lat, lng, precision }.
+   * precision is 'city', 'region' or 'country'; returns null for unknown places and "Remote".
+   */
+  geocode(text) {
+    const cacheKey = toKey(text);
+    if (!cacheKey) return null;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const result = this.resolve(text);
+
+    if (this.cache.size >= CACHE_LIMIT) this.cache.clear();
+    this.cache.set(cacheKey, result);
+    return result;
+  }
+
+  resolve(text) {
+    const cleaned = text
+      .replace(/\([^)]*\)/g, ' ')
+      .toLowerCase()
+      .replace(LOCATION_NOISE, ' ');
+
+    const parts = cleaned
+      .split(/[,|•·/;]|\s[-–]\s/)
+      .map(toKey)
+      .filter(Boolean);
+
+    if (parts.length === 0) return null;
+
+    // "Portland, OR", "Cambridge, UK", "SF Bay Area"
+    const cityCandidates = this.lookupCity(parts[0]);
+    if (cityCandidates) {
+      return this.pickCity(cityCandidates, parts.slice(1));
+    }
+
+    // "California", "Ontario, Canada", "United Kingdom"
+    for (let i = 0; i < parts.length; i++) {
+      const region = this.lookupRegion(parts[i], i > 0);
+      if (region) return region[0];
+    }
+
+    for (let i = 0; i < parts.length; i++) {
+      const country = this.lookupCountry(parts[i], i > 0);
+      if (country) return country[0];
+    }
+
+    return null;
+  }
+
+  lookupCity(key) {
+    return this.cities.get(key) || this.cities.get(key.replace(/\s+area$/, '')) || null;
+  }
+
+  lookupRegion(key, allowAbbreviation) {
+    return this.regions.get(key) || (allowAbbreviation && this.regionAbbreviations.get(key)) || null;
+  }
+
+  lookupCountry(key, allowCode) {
+    return this.countries.get(key) || (allowCode && this.countryCodes.get(key)) || null;
+  }
+
+  /**
+   * Choose between same-named cities using the qualifiers after the city name
+   */
+  pickCity(candidates, qualifiers) {
+    if (qualifiers.length === 0) return candidates[0];
+
+    const places = qualifiers.flatMap(key => [
+      ...(this.lookupRegion(key, true) || []),
+      ...(this.lookupCountry(key, true) || [])
+    ]);
+
+    const match = candidates.find(candidate => places.some(place =>
+      (place.precision === 'region' && place.region === candidate.region && place.country === candidate.country) ||
+      (place.precision === 'country' && place.country === candidate.country)
+    ));
+    if (match) return match;
+
+    // "London, ON" - a same-named city we don't know, in a region or country we do
+    return places.find(place => place.precision === 'region') || places[0] || candidates[0];
+  }
+
+  /**
+   * Parse a "near" parameter: "37.77,-122.41" or a place name
+   */
+  resolvePoint(text) {
+    const coordinates = (text || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (coordinates) {
+      const lat = parseFloat(coordinates[1]);
+      const lng = parseFloat(coordinates[2]);
+      if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return { lat, lng };
+      return null;
+    }
+
+    const place = this.geocode(text);
+    return place ? { lat: place.lat, lng: place.lng } : null;
+  }
+
+  /**
+   * Great-circle distance in km
+   */
+  distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Column values for job_listings, in insert order:
+   * location_city, location_region, location_country, location_lat, location_lng.
+   * Coordinates are only stored for city-level matches so radius search stays meaningful.
+   */
+  toColumns(location) {
+    const place = this.geocode(location);
+    if (!place) return [null, null, null, null, null];
+
+    const isCity = place.precision === 'city';
+    return [place.city, place.region, place.country, isCity ? place.lat : null, isCity ? place.lng : null];
+  }
+
+  /**
+   * Geocode listings saved before locations were normalized
+   */
+  async backfill() {
+    const result = await query(
+      `SELECT id, location FROM job_listings
+       WHERE location IS NOT NULL AND location <> '' AND location_country IS NULL`
+    );
+
+    let geocoded = 0;
+    for (const row of result.rows) {
+      const columns = this.toColumns(row.location);
+      if (!columns[2]) continue;
+
+      try {
+        await query(
+          `UPDATE job_listings
+           SET location_city = $1, location_region = $2, location_country = $3,
+               location_lat = $4, location_lng = $5
+           WHERE id = $6`,
+          [...columns, row.id]
+        );
+        geocoded++;
+      } catch (error) {
+        logger.error(`Geocoding failed for job ${row.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Geocoding backfill complete: ${geocoded} of ${result.rows.length} listings resolved`);
+    return { scanned: result.rows.length, geocoded };
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,207 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Seniority levels, lowest first
+const SENIORITY_LEVELS = ['intern', 'entry', 'mid', 'senior', 'lead', 'executive'];
+
+// Checked in order - "Senior Director" is executive, "Lead Senior Engineer" is lead
+const TITLE_SENIORITY = [
+  ['intern', /\b(intern|internship|co-?op|apprentice)\b/],
+  ['executive', /\b(chief|cto|ceo|cfo|coo|cio|vp|vice president|head of|director)\b/],
+  ['lead', /\bstaff\s+(?:[a-z-]+\s+){0,2}(engineer|developer|scientist)\b|\b(principal|lead|architect|distinguished)\b/],
+  ['senior', /\b(senior|sr|iii|iv)\b/],
+  ['entry', /\b(junior|jr|entry[- ]level|graduate|new grad|associate|trainee)\b|\bi$/],
+  ['mid', /\b(mid[- ]level|intermediate|ii)\b/]
+];
+
+// Board labels, e.g. LinkedIn's "Seniority level" criteria. Senior is checked
+// before mid so LinkedIn's "Mid-Senior level" counts as senior.
+const SENIORITY_LABELS = [
+  ['intern', /intern/],
+  ['executive', /executive|director/],
+  ['entry', /entry|junior/],
+  ['senior', /senior/],
+  ['mid', /associate|mid/],
+  ['lead', /lead|principal|staff/]
+];
+
+// "5+ years of experience", "3-5 years relevant experience"
+const YEARS_REQUIRED = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*years?\s+(?:of\s+)?(?:\w+\s+){0,2}experience/i;
+
+// "Contract Manager" and "Electrical Contractor" are roles, so a title only sets
+// these types when they are bracketed or trail it: "(Contract)", "- Contract"
+const TITLE_ANYWHERE_JOB_TYPES = ['internship', 'part_time', 'full_time'];
+
+const JOB_TYPE_PATTERNS = [
+  ['internship', /\b(intern|internship|co-?op)\b/],
+  ['part_time', /\bpart[- ]time\b/],
+  ['contract', /\b(contract|contractor|freelance|temporary|temp|fixed[- ]term|c2c|1099)\b/],
+  ['full_time', /\b(full[- ]time|permanent)\b/]
+];
+
+// Descriptions mention "full-time" for most roles; other types only when said plainly
+const DESCRIPTION_JOB_TYPES = [
+  ['part_time', /\b(this is a|this|a)\s+part[- ]time\s+(role|position|job)\b/],
+  ['contract', /\b(this is a|this|a)\s+(\d+[- ]month\s+)?(contract|freelance|temporary|fixed[- ]term)\s+(role|position|job|engagement)\b/],
+  ['full_time', /\bfull[- ]time\b/]
+];
+
+const REMOTE_HINT = /\b(remote|work from home|wfh|anywhere)\b/;
+const HYBRID_HINT = /\bhybrid\b/;
+const ONSITE_HINT = /\b(on-?site|in[- ]office|in[- ]person)\b/;
+
+// Descriptions mention "remote teams" or "hybrid cloud", so look for phrases about the role
+const DESCRIPTION_HYBRID = /\bhybrid\s+(role|position|work|working|schedule|model|environment|arrangement|setup)\b|\b\d\s+days?\s+(a|per)\s+week\s+in\s+(the\s+|our\s+)?office\b/;
+const DESCRIPTION_REMOTE = /\b(fully|100%|completely|entirely)\s+remote\b|\bremote[- ](first|only|position|role|job|opportunity)\b|\bwork\s+from\s+(home|anywhere)\b|\bthis (role|position) is remote\b/;
+const DESCRIPTION_ONSITE = /\b(on-?site|in[- ]office|in[- ]person)\s+(role|position|work|only)\b|\bno remote\b|\bnot (a )?remote\b/;
+
+class JobClassifierService {
+  /**
+   * Derive remote_type, job_type and seniority for a listing.
+   * Board labels (employmentType, seniority) are used when the title doesn't say.
+   */
+  classify(job) {
+    return {
+      remoteType: this.classifyRemote(job),
+      jobType: this.classifyJobType(job),
+      seniority: this.classifySeniority(job)
+    };
+  }
+
+  /**
+   * 'remote', 'hybrid', 'onsite' or null when there's nothing to go on
+   */
+  classifyRemote({ title, location, description }) {
+    const header = `${title || ''} ${location || ''}`.toLowerCase();
+    const text = (description || '').toLowerCase();
+
+    if (HYBRID_HINT.test(header)) return 'hybrid';
+    if (REMOTE_HINT.test(header)) return 'remote';
+    if (ONSITE_HINT.test(header)) return 'onsite';
+
+    if (DESCRIPTION_HYBRID.test(text)) return 'hybrid';
+    if (DESCRIPTION_REMOTE.test(text)) return 'remote';
+    if (DESCRIPTION_ONSITE.test(text)) return 'onsite';
+
+    // A concrete place with no remote wording is an office job
+    return (location || '').trim() ? 'onsite' : null;
+  }
+
+  /**
+   * 'full_time', 'part_time', 'contract', 'internship' or null
+   */
+  classifyJobType({ title, description, employmentType }) {
+    const label = (employmentType || '').toLowerCase();
+    const fromLabel = JOB_TYPE_PATTERNS.find(([, pattern]) => pattern.test(label));
+    if (fromLabel) return fromLabel[0];
+
+    const titleText = (title || '').toLowerCase();
+    const qualifiers = this.titleQualifiers(titleText);
+    const fromTitle = JOB_TYPE_PATTERNS.find(([type, pattern]) =>
+      pattern.test(qualifiers) || (TITLE_ANYWHERE_JOB_TYPES.includes(type) && pattern.test(titleText))
+    );
+    if (fromTitle) return fromTitle[0];
+
+    const text = (description || '').toLowerCase();
+    const found = DESCRIPTION_JOB_TYPES.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+  }
+
+  /**
+   * Bracketed parts and the trailing "- ..." or ", ..." part of a title
+   */
+  titleQualifiers(title) {
+    const bracketed = [...title.matchAll(/[([]([^)\]]*)[)\]]/g)].map(match => match[1]);
+    const segments = title.replace(/[([][^)\]]*[)\]]/g, ' ').split(/\s[-–—|]\s|,/);
+    const suffix = segments.length > 1 ? segments[segments.length - 1] : '';
+
+    return [...bracketed, suffix].join(' ');
+  }
+
+  /**
+   * One of SENIORITY_LEVELS, or null
+   */
+  classifySeniority({ title, description, seniority }) {
+    const titleText = (title || '').toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').trim();
+    const fromTitle = TITLE_SENIORITY.find(([, pattern]) => pattern.test(titleText));
+    if (fromTitle) return fromTitle[0];
+
+    const fromLabel = this.normalizeSeniority(seniority);
+    if (fromLabel) return fromLabel;
+
+    const years = (description || '').match(YEARS_REQUIRED);
+    if (years) return this.seniorityForYears(parseInt(years[1]));
+
+    return null;
+  }
+
+  /**
+   * Map a board's seniority label ("Mid-Senior level", "Entry level") to a level
+   */
+  normalizeSeniority(label) {
+    if (!label) return null;
+
+    const text = label.toLowerCase();
+    if (SENIORITY_LEVELS.includes(text)) return text;
+
+    const found = SENIORITY_LABELS.find(([, pattern]) => pattern.test(text));
+    if (found) return found[0];
+
+    // AngelList shows required experience instead, e.g. "3+ years"
+    const years = text.match(/(\d{1,2})/);
+    return years ? this.seniorityForYears(parseInt(years[1])) : null;
+  }
+
+  seniorityForYears(years) {
+    if (years < 2) return 'entry';
+    if (years < 5) return 'mid';
+    if (years < 8) return 'senior';
+    return 'lead';
+  }
+
+  /**
+   * Position of a level in SENIORITY_LEVELS (intern = 0), or null if unknown
+   */
+  seniorityRank(level) {
+    const rank = SENIORITY_LEVELS.indexOf(level);
+    return rank === -1 ? null : rank;
+  }
+
+  /**
+   * Classify listings saved before classification existed.
+   * Values already set (e.g. from an ATS feed) are kept; free-text seniority is normalized.
+   */
+  async backfill() {
+    const result = await query(
+      `SELECT id, title, location, description, remote_type, job_type, seniority
+       FROM job_listings
+       WHERE remote_type IS NULL OR job_type IS NULL OR seniority IS NULL
+         OR NOT (seniority = ANY($1))`,
+      [SENIORITY_LEVELS]
+    );
+
+    let updated = 0;
+    for (const row of result.rows) {
+      try {
+        const classified = this.classify(row);
+
+        await query(
+          `UPDATE job_listings
+           SET remote_type = COALESCE(remote_type, $1),
+               job_type = COALESCE(job_type, $2),
+               seniority = $3
+           WHERE id = $4`,
+          [classified.remoteType, classified.jobType, classified.seniority, row.id]
+        );
+        updated++;
+      } catch (error) {
+        logger.error(`Classification failed for job ${row.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Classification backfill complete: ${updated} listings updated`);
+    return { scanned: result.rows.length, updated };
+  }
+}
+
+module.exports = new JobClassifierService();
@@ -0,0 +1,254 @@
+const { query, transaction } = require('../config/database');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv|pty|holdings|group)\b/g;
+
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  jr: 'junior',
+  mgr: 'manager',
+  eng: 'engineer',
+  engr: 'engineer',
+  dev: 'developer',
+  swe: 'software engineer'
+};
+
+const LOCATION_NOISE = /\b(united states|usa|us|united kingdom|uk|metropolitan area|area|greater|remote|hybrid|on-site|onsite)\b/g;
+
+// Thresholds for treating two listings as the same role
+const TITLE_SIMILARITY = 0.8;
+const DESCRIPTION_SIMILARITY = 0.5;
+
+class JobDedupeService {
+  /**
+   * Normalize company name: "Acme, Inc." -> "acme"
+   */
+  normalizeCompany(company) {
+    return (company || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(COMPANY_SUFFIXES, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize job title: "Sr. Full-Stack Eng (Remote)" -> "senior fullstack engineer"
+   */
+  normalizeTitle(title) {
+    return (title || '')
+      .toLowerCase()
+      .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+      .replace(/\bfull[\s-]stack\b/g, 'fullstack')
+      .replace(/\bfront[\s-]end\b/g, 'frontend')
+      .replace(/\bback[\s-]end\b/g, 'backend')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => TITLE_ABBREVIATIONS[word] || word)
+      .join(' ');
+  }
+
+  /**
+   * Normalize location: "San Francisco, CA (Hybrid)" -> "san francisco ca"
+   */
+  normalizeLocation(location) {
+    return (location || '')
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(LOCATION_NOISE, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Jaccard similarity of two token sets
+   */
+  jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let intersection = 0;
+    for (const token of a) {
+      if (b.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Word 3-gram shingles used for description similarity
+   */
+  shingles(text, size = 3) {
+    const words = (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+    const result = new Set();
+    for (let i = 0; i + size <= words.length; i++) {
+      result.add(words.slice(i, i + size).join(' '));
+    }
+    return result;
+  }
+
+  /**
+   * Locations are compatible if either is empty or one contains the other
+   */
+  locationsCompatible(a, b) {
+    const left = this.normalizeLocation(a);
+    const right = this.normalizeLocation(b);
+    if (!left || !right) return true;
+    return left === right || left.includes(right) || right.includes(left);
+  }
+
+  /**
+   * Decide whether two listings (same normalized company) are the same role
+   */
+  isDuplicate(job, candidate) {
+    const titleA = new Set(this.normalizeTitle(job.title).split(' '));
+    const titleB = new Set(this.normalizeTitle(candidate.title).split(' '));
+    const titleScore = this.jaccard(titleA, titleB);
+
+    if (titleScore < TITLE_SIMILARITY) return false;
+    if (!this.locationsCompatible(job.location, candidate.location)) return false;
+
+    // Card-only listings (no description yet) rely on title and location alone
+    if (!job.description || !candidate.description) {
+      return titleScore === 1;
+    }
+
+    const descriptionScore = this.jaccard(this.shingles(job.description), this.shingles(candidate.description));
+    return descriptionScore >= DESCRIPTION_SIMILARITY;
+  }
+
+  /**
+   * Link a freshly saved listing to an existing canonical listing if it is a duplicate.
+   * Run again once enrichment has the full description, so a listing that was
+   * canonical can become a duplicate: its duplicates, alternate URLs and pending
+   * matches then move to the new canonical. A duplicate still waiting for
+   * enrichment is marked 'skipped': only canonical listings are enriched.
+   * Returns the canonical id, or null if the listing is canonical itself.
+   */
+  async assignCanonical(job) {
+    const companyKey = this.normalizeCompany(job.company);
+
+    await query(
+      'UPDATE job_listings SET company_key = $1 WHERE id = $2',
+      [companyKey, job.id]
+    );
+
+    if (!companyKey) return null;
+
+    const candidates = await query(
+      `SELECT id, source, title, location, description, application_url
+       FROM job_listings
+       WHERE company_key = $1
+       AND id <> $2
+       AND canonical_id IS NULL
+       AND is_active = TRUE
+       AND scraped_at > NOW() - INTERVAL '60 days'
+       AND created_at <= (SELECT created_at FROM job_listings WHERE id = $2)
+       ORDER BY created_at ASC`,
+      [companyKey, job.id]
+    );
+
+    const canonical = candidates.rows.find(candidate => this.isDuplicate(job, candidate));
+    if (!canonical) return null;
+
+    const moved = await transaction(async client => {
+      await client.query(
+        `UPDATE job_listings
+         SET canonical_id = $1,
+             enrichment_status = CASE WHEN enrichment_status = 'pending' THEN 'skipped' ELSE enrichment_status END
+         WHERE id = $2`,
+        [canonical.id, job.id]
+      );
+
+      // A listing that was canonical until now hands its own duplicates over
+      const children = await client.query(
+        'UPDATE job_listings SET canonical_id = $1 WHERE canonical_id = $2',
+        [canonical.id, job.id]
+      );
+
+      // Keep the duplicate's apply URL, and any it collected, on the canonical listing
+      const urls = await client.query(
+        'SELECT id, application_url, alternate_urls FROM job_listings WHERE id IN ($1, $2) FOR UPDATE',
+        [canonical.id, job.id]
+      );
+      const canonicalRow = urls.rows.find(row => row.id === canonical.id);
+      const jobRow = urls.rows.find(row => row.id === job.id);
+      const seen = new Set([canonicalRow?.application_url]);
+      const alternateUrls = [
+        ...toArray(canonicalRow?.alternate_urls),
+        { source: job.source, url: job.url },
+        ...toArray(jobRow?.alternate_urls)
+      ].filter(entry => entry?.url && !seen.has(entry.url) && seen.add(entry.url));
+
+      await client.query(
+        'UPDATE job_listings SET alternate_urls = $1 WHERE id = $2',
+        [JSON.stringify(alternateUrls), canonical.id]
+      );
+      await client.query(
+        `UPDATE job_listings SET alternate_urls = '[]'::jsonb WHERE id = $1`,
+        [job.id]
+      );
+
+      // Unreviewed matches follow the role unless the user already has the canonical listing
+      const matches = await client.query(
+        `UPDATE job_matches jm SET job_id = $1
+         WHERE jm.job_id = $2 AND jm.reviewed = FALSE AND jm.status = 'pending'
+         AND NOT EXISTS (
+           SELECT 1 FROM job_matches existing
+           WHERE existing.user_id = jm.user_id AND existing.job_id = $1
+         )`,
+        [canonical.id, job.id]
+      );
+
+      return { children: children.rowCount, matches: matches.rowCount };
+    });
+
+    logger.info(`🔗 Job ${job.id} (${job.source}) is a duplicate of ${canonical.id} (${canonical.source})`
+      + (moved.children || moved.matches ? `: moved ${moved.children} duplicates and ${moved.matches} matches` : ''));
+    return canonical.id;
+  }
+
+  /**
+   * Group existing listings that were saved before deduplication existed
+   */
+  async dedupeExisting(days = 60) {
+    const result = await query(
+      `SELECT id, source, title, company, location, description, application_url as url
+       FROM job_listings
+       WHERE canonical_id IS NULL
+       AND is_active = TRUE
+       AND scraped_at > NOW() - ($1 || ' days')::INTERVAL
+       ORDER BY created_at ASC`,
+      [String(days)]
+    );
+
+    let duplicates = 0;
+    for (const job of result.rows) {
+      try {
+        const canonicalId = await this.assignCanonical(job);
+        if (canonicalId) {
+          duplicates++;
+
+          // Matches on the duplicate move to the canonical listing unless one already exists
+          await query(
+            `UPDATE job_matches jm SET job_id = $1
+             WHERE jm.job_id = $2
+             AND NOT EXISTS (
+               SELECT 1 FROM job_matches existing
+               WHERE existing.user_id = jm.user_id AND existing.job_id = $1
+             )`,
+            [canonicalId, job.id]
+          );
+        }
+      } catch (error) {
+        logger.error(`Dedupe failed for job ${job.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Dedupe complete: ${duplicates} duplicates grouped out of ${result.rows.length} listings`);
+    return { scanned: result.rows.length, duplicates };
+  }
+}
+
+module.exports = new JobDedupeService();
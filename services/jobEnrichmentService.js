@@ -0,0 +1,190 @@
+const { query } = require('../config/database');
+const scrapers = require('./scrapers');
+const BrowserPool = require('./scrapers/browserPool');
+const { openPage } = require('./scrapers/politeness');
+const salaryService = require('./salaryService');
+const jobClassifierService = require('./jobClassifierService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const jobDedupeService = require('./jobDedupeService');
+const scraperConfig = require('../config/scrapers');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+/**
+ * Second-stage crawler: visits each pending listing's detail page and fills in
+ * description, salary, employment type, seniority and posted date.
+ * Listings stay out of matching while enrichment_status = 'pending'.
+ */
+class JobEnrichmentService {
+  constructor() {
+    this.browsers = new BrowserPool();
+  }
+
+  async closeBrowser() {
+    await this.browsers.closeAll();
+  }
+
+  /**
+   * Enrich pending listings with a bounded concurrency pool. Untried and oldest
+   * listings go first so a backlog bigger than one batch still drains.
+   */
+  async enrichPending(options = {}) {
+    const {
+      concurrency = scraperConfig.enrichment.concurrency,
+      limit = scraperConfig.enrichment.batchSize
+    } = options;
+
+    const pendingResult = await query(
+      `SELECT id, source, title, company, location, application_url, description, salary_range, job_type,
+              posted_date, enrichment_attempts
+       FROM job_listings
+       WHERE enrichment_status = 'pending' AND is_active = TRUE AND canonical_id IS NULL
+       ORDER BY enrichment_attempts ASC, scraped_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    const jobs = pendingResult.rows;
+    if (jobs.length === 0) {
+      return { processed: 0, enriched: 0, failed: 0 };
+    }
+
+    logger.info(`🔍 Enriching ${jobs.length} listings (concurrency ${concurrency})`);
+
+    try {
+      const outcomes = await mapWithConcurrency(jobs, concurrency, job => this.enrichJob(job));
+
+      const summary = {
+        processed: jobs.length,
+        enriched: outcomes.filter(Boolean).length,
+        failed: outcomes.filter(outcome => !outcome).length
+      };
+
+      logger.info(`✅ Enrichment complete: ${summary.enriched} enriched, ${summary.failed} failed`);
+      return summary;
+    } finally {
+      await this.closeBrowser();
+    }
+  }
+
+  /**
+   * Visit one listing's detail page and store the extracted fields
+   */
+  async enrichJob(job) {
+    const adapter = scrapers.get(job.source);
+
+    // Nothing to visit - release the listing for matching as-is
+    if (!adapter || !job.application_url) {
+      await this.markComplete(job.id);
+      return true;
+    }
+
+    let page;
+    try {
+      ({ page } = await openPage(this.browsers, job.application_url));
+
+      const detail = adapter.extractDetail(await page.content());
+
+      // Reclassify now that the full description and board labels are known
+      const classified = jobClassifierService.classify({
+        title: job.title,
+        location: job.location,
+        description: detail.description || job.description,
+        employmentType: detail.employmentType,
+        seniority: detail.seniority
+      });
+      const skills = skillTaxonomyService.extractJobSkills(job.title, detail.description || job.description);
+
+      const result = await query(
+        `UPDATE job_listings
+         SET description = COALESCE(NULLIF($1, ''), description),
+             salary_range = COALESCE(salary_range, $2),
+             job_type = COALESCE(job_type, $3),
+             seniority = COALESCE($4, seniority),
+             remote_type = COALESCE($5, remote_type),
+             posted_date = COALESCE($6, posted_date),
+             required_skills = $7,
+             preferred_skills = $8,
+             enrichment_status = 'complete',
+             enrichment_attempts = enrichment_attempts + 1,
+             enriched_at = NOW()
+         WHERE id = $9
+         RETURNING salary_range`,
+        [
+          detail.description || '',
+          detail.salary ? detail.salary.substring(0, 100) : null,
+          classified.jobType,
+          classified.seniority,
+          classified.remoteType,
+          this.parsePostedDate(detail.postedAt),
+          JSON.stringify(skills.required),
+          JSON.stringify(skills.preferred),
+          job.id
+        ]
+      );
+
+      // Salary often only appears on the detail page
+      if (!job.salary_range && result.rows[0].salary_range) {
+        await salaryService.updateListing(job.id, result.rows[0].salary_range);
+      }
+
+      // Card-only listings matched on title alone; the description can now group them
+      try {
+        await jobDedupeService.assignCanonical({
+          ...job,
+          url: job.application_url,
+          description: detail.description || job.description
+        });
+      } catch (error) {
+        logger.error(`Dedupe after enrichment failed for job ${job.id}:`, error);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`Enrichment failed for job ${job.id}:`, error);
+
+      // Give up after max attempts so the listing still becomes matchable. The last
+      // attempt counts as its enrichment time, or incremental matching would be past it.
+      const attempts = (job.enrichment_attempts || 0) + 1;
+      try {
+        await query(
+          `UPDATE job_listings
+           SET enrichment_attempts = $1, enrichment_status = $2, enriched_at = NOW()
+           WHERE id = $3`,
+          [attempts, attempts >= scraperConfig.enrichment.maxAttempts ? 'failed' : 'pending', job.id]
+        );
+      } catch (updateError) {
+        // One listing's bookkeeping must not reject the whole pool
+        logger.error(`Failed to record enrichment attempt for job ${job.id}:`, updateError);
+      }
+
+      return false;
+    } finally {
+      if (page) await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Mark listing as not needing enrichment
+   */
+  async markComplete(jobId) {
+    await query(
+      `UPDATE job_listings
+       SET enrichment_status = 'complete', enriched_at = NOW()
+       WHERE id = $1`,
+      [jobId]
+    );
+  }
+
+  /**
+   * Parse posted date, ignoring values that are not real dates
+   */
+  parsePostedDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+module.exports = new JobEnrichmentService();
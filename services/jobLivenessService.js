@@ -0,0 +1,279 @@
+const { query, transaction } = require('../config/database');
+const scrapers = require('./scrapers');
+const BrowserPool = require('./scrapers/browserPool');
+const { openPage } = require('./scrapers/politeness');
+const domainScheduler = require('./scrapers/domainScheduler');
+const scraperConfig = require('../config/scrapers');
+const { isClosedText, htmlToText } = require('./scrapers/helpers');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+
+/**
+ * Revisits active listings and deactivates closed ones, cascading to
+ * pending matches and queued applications.
+ */
+class JobLivenessService {
+  constructor() {
+    this.browsers = new BrowserPool();
+  }
+
+  async closeBrowser() {
+    await this.browsers.closeAll();
+  }
+
+  /**
+   * Check a batch of active listings that are due for a recheck
+   */
+  async checkActive(options = {}) {
+    const {
+      limit = scraperConfig.liveness.batchSize,
+      concurrency = scraperConfig.liveness.concurrency
+    } = options;
+
+    const expired = await this.expireByDate();
+
+    const dueResult = await query(
+      `SELECT id, source, application_url
+       FROM job_listings
+       WHERE is_active = TRUE
+       AND (last_checked_at IS NULL OR last_checked_at < NOW() - ($1 || ' hours')::INTERVAL)
+       ORDER BY last_checked_at ASC NULLS FIRST
+       LIMIT $2`,
+      [String(scraperConfig.liveness.recheckAfterHours), limit]
+    );
+
+    const jobs = dueResult.rows;
+    logger.info(`🔎 Checking liveness of ${jobs.length} listings`);
+
+    try {
+      const outcomes = await mapWithConcurrency(jobs, concurrency, job => this.checkJob(job));
+
+      const summary = {
+        checked: jobs.length,
+        closed: outcomes.filter(outcome => outcome === 'closed').length + expired,
+        errors: outcomes.filter(outcome => outcome === 'error').length
+      };
+
+      logger.info(`✅ Liveness check complete: ${summary.closed} closed, ${summary.errors} errors`);
+      return summary;
+    } finally {
+      await this.closeBrowser();
+    }
+  }
+
+  /**
+   * Deactivate listings past their expiry date or too old to still be open
+   */
+  async expireByDate() {
+    const result = await query(
+      `SELECT id FROM job_listings
+       WHERE is_active = TRUE
+       AND (expires_date < NOW()
+         OR COALESCE(posted_date, scraped_at) < NOW() - ($1 || ' days')::INTERVAL)`,
+      [String(scraperConfig.liveness.maxAgeDays)]
+    );
+
+    for (const row of result.rows) {
+      await this.deactivate(row.id, 'expired');
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Check one listing. Returns 'open', 'closed' or 'error'.
+   */
+  async checkJob(job) {
+    try {
+      const reason = scrapers.get(job.source)
+        ? await this.checkWithBrowser(job)
+        : await this.checkWithFetch(job);
+
+      if (reason) {
+        await this.deactivate(job.id, reason);
+        return 'closed';
+      }
+
+      await query(
+        'UPDATE job_listings SET last_checked_at = NOW() WHERE id = $1',
+        [job.id]
+      );
+      return 'open';
+    } catch (error) {
+      logger.error(`Liveness check failed for job ${job.id}:`, error);
+
+      // Don't retry a broken page on every run
+      try {
+        await query(
+          'UPDATE job_listings SET last_checked_at = NOW() WHERE id = $1',
+          [job.id]
+        );
+      } catch (updateError) {
+        logger.error(`Failed to record liveness check for job ${job.id}:`, updateError);
+      }
+      return 'error';
+    }
+  }
+
+  /**
+   * Scraped boards: load the page and ask the adapter whether it's closed
+   */
+  async checkWithBrowser(job) {
+    const adapter = scrapers.get(job.source);
+    const { page, status } = await openPage(this.browsers, job.application_url);
+
+    try {
+      if (status === 404 || status === 410) return 'not_found';
+
+      const html = await page.content();
+      const closed = adapter.detectClosed
+        ? adapter.detectClosed(html)
+        : isClosedText(htmlToText(html));
+
+      return closed ? 'closed' : null;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * ATS and other sources: plain HTTP request to the posting
+   */
+  async checkWithFetch(job) {
+    if (!job.application_url) return null;
+
+    await domainScheduler.wait(job.application_url);
+    const response = await fetch(job.application_url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(scraperConfig.atsRequestTimeout)
+    });
+
+    if (response.status === 404 || response.status === 410) return 'not_found';
+    if (!response.ok) return null;
+
+    return isClosedText(htmlToText(await response.text())) ? 'closed' : null;
+  }
+
+  /**
+   * Postings that disappeared from an ATS board feed are closed
+   */
+  async deactivateMissing(source, slug, externalIds) {
+    const result = await query(
+      `SELECT id FROM job_listings
+       WHERE source = $1
+       AND external_id LIKE $2
+       AND is_active = TRUE
+       AND NOT (external_id = ANY($3))`,
+      [source, `${slug}:%`, externalIds]
+    );
+
+    for (const row of result.rows) {
+      await this.deactivate(row.id, 'removed_from_board');
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Deactivate a listing and cascade to pending matches and queued applications.
+   * If it was the canonical listing, its oldest active duplicate takes over.
+   */
+  async deactivate(jobId, reason) {
+    await query(
+      `UPDATE job_listings
+       SET is_active = FALSE,
+           expires_date = COALESCE(expires_date, NOW()),
+           closed_reason = $2,
+           last_checked_at = NOW()
+       WHERE id = $1`,
+      [jobId, reason]
+    );
+
+    const promotedId = await this.promoteDuplicate(jobId);
+
+    const matches = await query(
+      `UPDATE job_matches
+       SET status = 'expired'
+       WHERE job_id = $1 AND reviewed = FALSE AND status = 'pending'
+       RETURNING id`,
+      [jobId]
+    );
+
+    const queued = await query(
+      `UPDATE application_queue
+       SET status = 'cancelled', error_message = 'Job listing closed'
+       WHERE status = 'pending'
+       AND (job_id = $1 OR match_id IN (SELECT id FROM job_matches WHERE job_id = $1))
+       RETURNING id`,
+      [jobId]
+    );
+
+    logger.info(`🚫 Job ${jobId} deactivated (${reason}): ${matches.rowCount} matches expired, ${queued.rowCount} queued applications cancelled`
+      + (promotedId ? `, duplicate ${promotedId} promoted` : ''));
+  }
+
+  /**
+   * Make the oldest active duplicate of a closed canonical listing canonical:
+   * it takes over the other duplicates, their alternate URLs and pending matches.
+   * Returns the promoted listing's id, or null if there was no active duplicate.
+   */
+  async promoteDuplicate(jobId) {
+    return transaction(async client => {
+      const result = await client.query(
+        `SELECT id, application_url, alternate_urls FROM job_listings
+         WHERE canonical_id = $1 AND is_active = TRUE
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE`,
+        [jobId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const promoted = result.rows[0];
+      const closed = await client.query('SELECT alternate_urls FROM job_listings WHERE id = $1', [jobId]);
+
+      // Its own URL stays its apply link rather than an alternate
+      const alternateUrls = [
+        ...toArray(promoted.alternate_urls),
+        ...toArray(closed.rows[0]?.alternate_urls).filter(entry => entry?.url !== promoted.application_url)
+      ];
+
+      // Duplicates skip enrichment; as the canonical listing it is now due. One that is
+      // already enriched becomes matchable now, after the watermarks of earlier runs.
+      await client.query(
+        `UPDATE job_listings
+         SET canonical_id = NULL,
+             alternate_urls = $2,
+             enrichment_status = CASE WHEN enrichment_status = 'skipped' THEN 'pending' ELSE enrichment_status END,
+             enriched_at = NOW()
+         WHERE id = $1`,
+        [promoted.id, JSON.stringify(alternateUrls)]
+      );
+
+      await client.query(
+        'UPDATE job_listings SET canonical_id = $1 WHERE canonical_id = $2',
+        [promoted.id, jobId]
+      );
+      await client.query(
+        `UPDATE job_listings SET alternate_urls = '[]'::jsonb WHERE id = $1`,
+        [jobId]
+      );
+
+      // Unreviewed matches follow the role to its open posting unless the user already has one there
+      await client.query(
+        `UPDATE job_matches jm SET job_id = $1
+         WHERE jm.job_id = $2 AND jm.reviewed = FALSE AND jm.status = 'pending'
+         AND NOT EXISTS (
+           SELECT 1 FROM job_matches existing
+           WHERE existing.user_id = jm.user_id AND existing.job_id = $1
+         )`,
+        [promoted.id, jobId]
+      );
+
+      return promoted.id;
+    });
+  }
+}
+
+module.exports = new JobLivenessService();
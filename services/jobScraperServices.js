@@ -1,267 +1,205 @@
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { query } = require('../config/database');
+const scrapers = require('./scrapers');
+const BrowserPool = require('./scrapers/browserPool');
+const { openPage } = require('./scrapers/politeness');
+const jobDedupeService = require('./jobDedupeService');
+const salaryService = require('./salaryService');
+const jobClassifierService = require('./jobClassifierService');
+const geocodingService = require('./geocodingService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const scrapeRunService = require('./scrapeRunService');
+const scraperConfig = require('../config/scrapers');
 const logger = require('../utils/logger');
 
-puppeteer.use(StealthPlugin());
-
 class JobScraperService {
   constructor() {
-    this.browser = null;
+    this.browsers = new BrowserPool();
   }
 
   /**
-   * Initialize browser
+   * Close browsers
    */
-  async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu'
-        ]
-      });
-    }
-    return this.browser;
+  async closeBrowser() {
+    await this.browsers.closeAll();
   }
 
   /**
-   * Close browser
+   * Scrape a single source using its registered adapter, walking result pages
+   * until the limit, the page cap, or a page of already-stored listings.
+   * Returns the jobs plus yield counts and the error (if any) for run history.
    */
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+  async scrapeSource(source, keywords, location = '', limit = scraperConfig.limitPerSource) {
+    const adapter = typeof source === 'string' ? scrapers.get(source) : source;
+    if (!adapter) {
+      throw new Error(`Unknown scraper source: ${source}`);
     }
-  }
 
-  /**
-   * Scrape LinkedIn jobs
-   */
-  async scrapeLinkedIn(keywords, location = '', limit = 50) {
     const jobs = [];
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
-
-    try {
-      const searchUrl = `https://www.linkedin.com/jobs/search/?keywords=${encodeURIComponent(keywords)}&location=${encodeURIComponent(location)}`;
-      
-      logger.info(`Scraping LinkedIn: ${searchUrl}`);
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      // Wait for job cards to load
-      await page.waitForSelector('.jobs-search__results-list', { timeout: 10000 });
+    const seen = new Set();
+    const startedAt = new Date();
+    const maxPages = adapter.pageSize ? scraperConfig.maxPages : 1;
+    let cardsFound = 0;
+    let pagesScraped = 0;
+    let blocked = 0;
+    let blockReason = null;
+    let scrapeError = null;
+
+    for (let pageIndex = 0; pageIndex < maxPages && jobs.length < limit; pageIndex++) {
+      let cards;
+      try {
+        const result = await this.scrapePage(adapter, { keywords, location, page: pageIndex });
+        cards = result.cards;
+        blocked += result.blocked;
+      } catch (error) {
+        blocked += error.blocked || 0;
+        blockReason = error.blockReason || blockReason;
+
+        // A failed first page fails the run; a later one just ends pagination
+        if (pageIndex === 0) {
+          logger.error(`${adapter.name} scraping error:`, error);
+          scrapeError = error;
+        } else {
+          logger.warn(`${adapter.name} stopped at page ${pageIndex + 1}: ${error.message}`);
+        }
+        break;
+      }
 
-      // Scroll to load more jobs
-      await this.autoScroll(page);
+      pagesScraped++;
+      cardsFound += cards.length;
 
-      // Extract job data
-      const jobElements = await page.$$('.base-card');
-      
-      for (let i = 0; i < Math.min(jobElements.length, limit); i++) {
+      const pageJobs = [];
+      for (const card of cards) {
         try {
-          const job = await page.evaluate((el) => {
-            const titleEl = el.querySelector('.base-search-card__title');
-            const companyEl = el.querySelector('.base-search-card__subtitle');
-            const locationEl = el.querySelector('.job-search-card__location');
-            const linkEl = el.querySelector('a.base-card__full-link');
-            const timeEl = el.querySelector('time');
-
-            return {
-              title: titleEl?.innerText?.trim() || '',
-              company: companyEl?.innerText?.trim() || '',
-              location: locationEl?.innerText?.trim() || '',
-              url: linkEl?.href || '',
-              postedAt: timeEl?.getAttribute('datetime') || new Date().toISOString(),
-              externalId: linkEl?.href?.match(/\/(\d+)\//)?.[1] || ''
-            };
-          }, jobElements[i]);
-
-          if (job.title && job.company && job.externalId) {
-            jobs.push({
-              ...job,
-              source: 'linkedin',
-              description: '', // Would need to visit individual job page
-              remote: job.location.toLowerCase().includes('remote')
-            });
+          const job = adapter.normalize(card);
+          if (job && !seen.has(job.externalId)) {
+            seen.add(job.externalId);
+            pageJobs.push(job);
           }
         } catch (error) {
-          logger.error(`Error extracting LinkedIn job ${i}:`, error);
+          logger.error(`Error normalizing ${adapter.name} job:`, error);
         }
       }
 
-      logger.info(`Scraped ${jobs.length} jobs from LinkedIn`);
-    } catch (error) {
-      logger.error('LinkedIn scraping error:', error);
-    } finally {
-      await page.close();
+      if (pageJobs.length === 0) break;
+      jobs.push(...pageJobs.slice(0, limit - jobs.length));
+
+      // Results are newest first, so a page of known listings means we've caught up
+      const stored = await this.findStoredIds(adapter.name, pageJobs.map(job => job.externalId));
+      if (stored.size >= pageJobs.length * scraperConfig.knownStopRatio) {
+        logger.info(`${adapter.name}: ${stored.size}/${pageJobs.length} listings on page ${pageIndex + 1} already stored, stopping`);
+        break;
+      }
     }
 
-    return jobs;
+    logger.info(`Scraped ${jobs.length} jobs from ${adapter.name} (${pagesScraped} pages)`);
+
+    return {
+      jobs,
+      startedAt,
+      finishedAt: new Date(),
+      cardsFound,
+      cardsParsed: jobs.length,
+      blocked,
+      blockReason,
+      error: scrapeError
+    };
   }
 
   /**
-   * Scrape Indeed jobs
+   * Load one search results page and extract its cards.
+   * Later pages that render no results mark the end of the search.
    */
-  async scrapeIndeed(keywords, location = '', limit = 50) {
-    const jobs = [];
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
+  async scrapePage(adapter, search) {
+    const searchUrl = adapter.buildSearchUrl(search);
+    logger.info(`Scraping ${adapter.name}: ${searchUrl}`);
 
-    try {
-      const searchUrl = `https://www.indeed.com/jobs?q=${encodeURIComponent(keywords)}&l=${encodeURIComponent(location)}`;
-      
-      logger.info(`Scraping Indeed: ${searchUrl}`);
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    const { page, blocked } = await openPage(this.browsers, searchUrl, { waitUntil: 'networkidle2' });
 
-      // Wait for job cards
-      await page.waitForSelector('.job_seen_beacon', { timeout: 10000 });
+    try {
+      // Wait for results to load
+      const waitForResults = page.waitForSelector(adapter.resultsSelector, { timeout: 10000 });
+      if (search.page === 0) {
+        await waitForResults;
+      } else {
+        await waitForResults.catch(() => {});
+      }
 
-      // Extract job data
-      const jobElements = await page.$$('.job_seen_beacon');
-      
-      for (let i = 0; i < Math.min(jobElements.length, limit); i++) {
-        try {
-          const job = await page.evaluate((el) => {
-            const titleEl = el.querySelector('h2.jobTitle span');
-            const companyEl = el.querySelector('[data-testid="company-name"]');
-            const locationEl = el.querySelector('[data-testid="text-location"]');
-            const linkEl = el.querySelector('h2.jobTitle a');
-            const snippetEl = el.querySelector('.job-snippet');
-
-            return {
-              title: titleEl?.innerText?.trim() || '',
-              company: companyEl?.innerText?.trim() || '',
-              location: locationEl?.innerText?.trim() || '',
-              url: linkEl?.href ? `https://www.indeed.com${linkEl.href}` : '',
-              description: snippetEl?.innerText?.trim() || '',
-              externalId: linkEl?.id?.replace('job_', '') || ''
-            };
-          }, jobElements[i]);
-
-          if (job.title && job.company && job.externalId) {
-            jobs.push({
-              ...job,
-              source: 'indeed',
-              postedAt: new Date().toISOString(),
-              remote: job.location.toLowerCase().includes('remote')
-            });
-          }
-        } catch (error) {
-          logger.error(`Error extracting Indeed job ${i}:`, error);
-        }
+      // Scroll to load more jobs
+      if (adapter.infiniteScroll) {
+        await this.autoScroll(page, scraperConfig.maxScrollHeight);
       }
 
-      logger.info(`Scraped ${jobs.length} jobs from Indeed`);
-    } catch (error) {
-      logger.error('Indeed scraping error:', error);
+      return { cards: adapter.extractCards(await page.content()), blocked };
     } finally {
-      await page.close();
+      await page.close().catch(() => {});
     }
-
-    return jobs;
   }
 
   /**
-   * Scrape AngelList/Wellfound jobs
+   * External ids of a source's listings that are already stored
    */
-  async scrapeAngelList(keywords, limit = 50) {
-    const jobs = [];
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
-
-    try {
-      const searchUrl = `https://wellfound.com/jobs?q=${encodeURIComponent(keywords)}`;
-      
-      logger.info(`Scraping AngelList: ${searchUrl}`);
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      // Wait for results
-      await page.waitForSelector('[data-test="JobSearchResults"]', { timeout: 10000 });
-
-      // Scroll to load more
-      await this.autoScroll(page);
-
-      // Extract job data
-      const jobData = await page.evaluate(() => {
-        const jobCards = document.querySelectorAll('[data-test="StartupResult"]');
-        const results = [];
-
-        jobCards.forEach((card) => {
-          const titleEl = card.querySelector('[data-test="StartupResult-title"]');
-          const companyEl = card.querySelector('[data-test="StartupResult-startupName"]');
-          const locationEl = card.querySelector('[data-test="StartupResult-location"]');
-          const linkEl = card.querySelector('a[data-test="StartupResult-link"]');
-
-          results.push({
-            title: titleEl?.innerText?.trim() || '',
-            company: companyEl?.innerText?.trim() || '',
-            location: locationEl?.innerText?.trim() || '',
-            url: linkEl?.href || '',
-            externalId: linkEl?.href?.split('/').pop() || ''
-          });
-        });
-
-        return results;
-      });
-
-      jobs.push(...jobData.slice(0, limit).map(job => ({
-        ...job,
-        source: 'angellist',
-        description: '',
-        postedAt: new Date().toISOString(),
-        remote: job.location.toLowerCase().includes('remote')
-      })));
-
-      logger.info(`Scraped ${jobs.length} jobs from AngelList`);
-    } catch (error) {
-      logger.error('AngelList scraping error:', error);
-    } finally {
-      await page.close();
-    }
-
-    return jobs;
+  async findStoredIds(source, externalIds) {
+    const result = await query(
+      'SELECT external_id FROM job_listings WHERE source = $1 AND external_id = ANY($2)',
+      [source, externalIds]
+    );
+    return new Set(result.rows.map(row => row.external_id));
   }
 
   /**
-   * Auto-scroll page to load more content
+   * Auto-scroll page to load more content, until it stops growing or reaches maxHeight
    */
-  async autoScroll(page) {
-    await page.evaluate(async () => {
+  async autoScroll(page, maxHeight) {
+    await page.evaluate(async (maxHeight) => {
       await new Promise((resolve) => {
         let totalHeight = 0;
+        let idleTicks = 0;
         const distance = 100;
         const timer = setInterval(() => {
           const scrollHeight = document.body.scrollHeight;
           window.scrollBy(0, distance);
           totalHeight += distance;
 
-          if (totalHeight >= scrollHeight || totalHeight >= 3000) {
+          // Give lazy-loaded results a moment to arrive before giving up
+          idleTicks = totalHeight >= scrollHeight ? idleTicks + 1 : 0;
+
+          if (idleTicks >= 20 || totalHeight >= maxHeight) {
             clearInterval(timer);
             resolve();
           }
         }, 100);
       });
-    });
+    }, maxHeight);
   }
 
   /**
    * Save jobs to database
+   * Returns counts of new listings and of duplicates (already stored or grouped under a canonical listing)
    */
   async saveJobs(jobs) {
     let savedCount = 0;
+    let duplicateCount = 0;
     
     for (const job of jobs) {
       try {
-        await query(
+        // Listings from a board with a detail extractor wait for the enrichment pass
+        const needsEnrichment = Boolean(scrapers.get(job.source) && job.url);
+
+        // Structured values from the source win; the classifier fills the gaps
+        const classified = jobClassifierService.classify(job);
+        const skills = skillTaxonomyService.extractJobSkills(job.title, job.description);
+
+        const result = await query(
           `INSERT INTO job_listings 
-           (source, external_id, title, company, location, description, url, remote, posted_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-           ON CONFLICT (source, external_id) DO NOTHING`,
+           (source, external_id, title, company, location, description, application_url,
+            salary_range, job_type, remote_type, seniority, posted_date, enrichment_status,
+            salary_min, salary_max, salary_currency, salary_period, salary_annual_min, salary_annual_max,
+            location_city, location_region, location_country, location_lat, location_lng,
+            required_skills, preferred_skills)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+                   $20, $21, $22, $23, $24, $25, $26)
+           ON CONFLICT (source, external_id) DO NOTHING
+           RETURNING id`,
           [
             job.source,
             job.externalId,
@@ -270,41 +208,96 @@ class JobScraperService {
             job.location,
             job.description,
             job.url,
-            job.remote,
-            job.postedAt
+            job.salary ? job.salary.substring(0, 100) : null,
+            job.jobType || classified.jobType,
+            job.remoteType || (job.remote ? 'remote' : classified.remoteType),
+            classified.seniority,
+            job.postedAt,
+            needsEnrichment ? 'pending' : 'complete',
+            ...salaryService.toColumns(job.salary),
+            ...geocodingService.toColumns(job.location),
+            JSON.stringify(skills.required),
+            JSON.stringify(skills.preferred)
           ]
         );
+
+        if (result.rowCount === 0) {
+          duplicateCount++;
+          continue;
+        }
+
         savedCount++;
+
+        // Group the same role posted on several boards under one canonical listing
+        const canonicalId = await jobDedupeService.assignCanonical({ ...job, id: result.rows[0].id });
+        if (canonicalId) duplicateCount++;
       } catch (error) {
         logger.error(`Error saving job ${job.title}:`, error);
       }
     }
 
-    logger.info(`Saved ${savedCount} new jobs to database`);
-    return savedCount;
+    logger.info(`Saved ${savedCount} new jobs to database (${duplicateCount} duplicates)`);
+    return { saved: savedCount, duplicates: duplicateCount };
   }
 
   /**
    * Run full scraping job
    */
-  async scrapeAll(keywords = 'software engineer', location = '') {
+  async scrapeAll(keywords = scraperConfig.defaultKeywords, location = '', options = {}) {
+    const { limit = scraperConfig.limitPerSource } = options;
+
     try {
       logger.info('Starting job scraping...');
 
-      const [linkedInJobs, indeedJobs, angelListJobs] = await Promise.all([
-        this.scrapeLinkedIn(keywords, location, 50),
-        this.scrapeIndeed(keywords, location, 50),
-        this.scrapeAngelList(keywords, 50)
-      ]);
+      const adapters = scrapers.enabled();
+      logger.info(`Enabled sources: ${adapters.map(a => a.name).join(', ') || 'none'}`);
 
-      const allJobs = [...linkedInJobs, ...indeedJobs, ...angelListJobs];
-      const savedCount = await this.saveJobs(allJobs);
+      const runId = scrapeRunService.newRunId();
+
+      const results = await Promise.all(
+        adapters.map(adapter => this.scrapeSource(adapter, keywords, location, limit))
+      );
 
       await this.closeBrowser();
 
-      logger.info(`Scraping complete. Total: ${allJobs.length}, Saved: ${savedCount}`);
+      let total = 0;
+      let savedCount = 0;
+      const runs = [];
+
+      // Save and record each source separately so yield is tracked per board
+      for (let i = 0; i < adapters.length; i++) {
+        const result = results[i];
+        const saveResult = await this.saveJobs(result.jobs);
+
+        total += result.jobs.length;
+        savedCount += saveResult.saved;
+
+        try {
+          runs.push(await scrapeRunService.recordRun({
+            runId,
+            source: adapters[i].name,
+            keywords,
+            location,
+            startedAt: result.startedAt,
+            finishedAt: result.finishedAt,
+            cardsFound: result.cardsFound,
+            cardsParsed: result.cardsParsed,
+            saved: saveResult.saved,
+            duplicates: saveResult.duplicates,
+            blocked: result.blocked,
+            blockReason: result.blockReason,
+            error: result.error
+          }));
+        } catch (error) {
+          logger.error(`Failed to record scrape run for ${adapters[i].name}:`, error);
+        }
+      }
+
+      await scrapeRunService.notifyAlerts(runs);
+
+      logger.info(`Scraping complete. Total: ${total}, Saved: ${savedCount}`);
       
-      return { total: allJobs.length, saved: savedCount };
+      return { runId, total, saved: savedCount, runs };
     } catch (error) {
       logger.error('Scraping error:', error);
       await this.closeBrowser();
@@ -0,0 +1,241 @@
+const { query } = require('../config/database');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const { toArray } = require('../utils/json');
+
+// Score points each feature family can move a match, at full confidence
+const CATEGORY_POINTS = {
+  company: 4,
+  title: 3,
+  skill: 3,
+  salary: 2,
+  remote: 3
+};
+
+const MAX_ADJUSTMENT = 10;
+
+// Decisions needed before feedback counts at all, and before it counts fully
+const MIN_DECISIONS = 3;
+const FULL_CONFIDENCE_DECISIONS = 20;
+
+// Log-odds beyond this are treated as certain
+const MAX_LOG_ODDS = 2;
+
+const SALARY_BANDS = [
+  [50000, 'under 50k'],
+  [80000, '50-80k'],
+  [120000, '80-120k'],
+  [160000, '120-160k'],
+  [Infinity, '160k+']
+];
+
+const TITLE_STOPWORDS = new Set([
+  'and', 'or', 'the', 'of', 'for', 'to', 'in', 'at', 'with', 'a', 'an',
+  'i', 'ii', 'iii', 'iv', 'remote', 'hybrid', 'onsite', 'full', 'time', 'part', 'contract'
+]);
+
+class MatchFeedbackService {
+  /**
+   * Feature keys for a listing, e.g. "company:stripe", "title:backend", "skill:React"
+   */
+  features(job) {
+    const features = new Set();
+
+    const company = (job.company || '').toLowerCase().trim();
+    if (company) features.add(`company:${company}`);
+
+    const terms = (job.title || '').toLowerCase().split(/[^a-z0-9+#.]+/);
+    for (const term of terms) {
+      if (term.length > 1 && !TITLE_STOPWORDS.has(term)) features.add(`title:${term}`);
+    }
+
+    let skills = [...toArray(job.required_skills), ...toArray(job.preferred_skills)];
+    if (skills.length === 0) {
+      const extracted = skillTaxonomyService.extractJobSkills(job.title, job.description);
+      skills = [...extracted.required, ...extracted.preferred];
+    }
+    for (const skill of skills) features.add(`skill:${skill}`);
+
+    const salary = parseInt(job.salary_annual_max);
+    if (salary) features.add(`salary:${SALARY_BANDS.find(([limit]) => salary < limit)[1]}`);
+
+    if (job.remote_type) features.add(`remote:${job.remote_type}`);
+
+    return [...features];
+  }
+
+  /**
+   * Count approvals and rejections per feature from [{ job, approved }]
+   */
+  train(decisions) {
+    const model = { decisions: 0, counts: new Map() };
+    for (const decision of decisions) this.learn(model, decision.job, decision.approved);
+    return model;
+  }
+
+  learn(model, job, approved) {
+    model.decisions++;
+    for (const feature of this.features(job)) {
+      const counts = model.counts.get(feature) || { approved: 0, rejected: 0 };
+      counts[approved ? 'approved' : 'rejected']++;
+      model.counts.set(feature, counts);
+    }
+  }
+
+  /**
+   * Smoothed log-odds of approval for a feature the user has seen
+   */
+  featureWeight({ approved, rejected }) {
+    const logOdds = Math.log((approved + 1) / (rejected + 1));
+    return Math.max(-MAX_LOG_ODDS, Math.min(MAX_LOG_ODDS, logOdds));
+  }
+
+  /**
+   * Score adjustment for a job: { points, signals } where signals are the
+   * features that moved it most, strongest first
+   */
+  adjust(model, job) {
+    if (!model || model.decisions < MIN_DECISIONS) return { points: 0, signals: [] };
+
+    const byCategory = new Map();
+    for (const feature of this.features(job)) {
+      const counts = model.counts.get(feature);
+      if (!counts) continue;
+
+      const category = feature.slice(0, feature.indexOf(':'));
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push({ feature, weight: this.featureWeight(counts), ...counts });
+    }
+
+    const confidence = Math.min(1, model.decisions / FULL_CONFIDENCE_DECISIONS);
+    let points = 0;
+    const signals = [];
+
+    for (const [category, seen] of byCategory) {
+      const mean = seen.reduce((sum, item) => sum + item.weight, 0) / seen.length;
+      points += mean / MAX_LOG_ODDS * CATEGORY_POINTS[category] * confidence;
+      signals.push(...seen.filter(item => item.weight !== 0));
+    }
+
+    signals.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+
+    return {
+      points: Math.round(Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, points))),
+      signals: signals.slice(0, 3)
+    };
+  }
+
+  /**
+   * match_reasons entry for an adjustment, or null when it didn't move the score
+   */
+  toReason(adjustment) {
+    if (adjustment.points === 0) return null;
+
+    const describe = ({ feature, approved, rejected }) => {
+      const separator = feature.indexOf(':');
+      return `${feature.slice(0, separator)} "${feature.slice(separator + 1)}" (${approved} approved, ${rejected} rejected)`;
+    };
+
+    const sign = adjustment.points > 0 ? '+' : '';
+    return {
+      type: 'feedback',
+      description: `Past reviews: ${sign}${adjustment.points} points from ${adjustment.signals.map(describe).join(', ')}`,
+      weight: adjustment.points,
+      signals: adjustment.signals.map(({ feature, approved, rejected }) => ({ feature, approved, rejected }))
+    };
+  }
+
+  /**
+   * Replay decisions in order, scoring each one with a model trained only on
+   * the same user's earlier decisions. Compares how well the original match
+   * scores and the feedback-adjusted scores separate approvals from rejections.
+   */
+  evaluate(decisions) {
+    const models = new Map();
+    const replayed = [];
+
+    for (const decision of decisions) {
+      if (!models.has(decision.userId)) models.set(decision.userId, this.train([]));
+      const model = models.get(decision.userId);
+
+      const adjustment = this.adjust(model, decision.job);
+      const baseScore = decision.matchScore || 0;
+      replayed.push({
+        approved: decision.approved,
+        baseScore,
+        adjustedScore: Math.max(0, Math.min(100, baseScore + adjustment.points)),
+        adjusted: adjustment.points !== 0
+      });
+
+      this.learn(model, decision.job, decision.approved);
+    }
+
+    const adjusted = replayed.filter(item => item.adjusted);
+    const agreed = adjusted.filter(item => (item.adjustedScore > item.baseScore) === item.approved);
+
+    return {
+      decisions: replayed.length,
+      users: models.size,
+      approvalRate: replayed.length ? replayed.filter(item => item.approved).length / replayed.length : 0,
+      baseAuc: this.auc(replayed, 'baseScore'),
+      adjustedAuc: this.auc(replayed, 'adjustedScore'),
+      adjustedDecisions: adjusted.length,
+      adjustmentAgreement: adjusted.length ? agreed.length / adjusted.length : null
+    };
+  }
+
+  /**
+   * Probability that a random approval outscores a random rejection (ties count half)
+   */
+  auc(items, key) {
+    const positives = items.filter(item => item.approved).map(item => item[key]);
+    const negatives = items.filter(item => !item.approved).map(item => item[key]);
+    if (positives.length === 0 || negatives.length === 0) return null;
+
+    let wins = 0;
+    for (const positive of positives) {
+      for (const negative of negatives) {
+        if (positive > negative) wins++;
+        else if (positive === negative) wins += 0.5;
+      }
+    }
+    return wins / (positives.length * negatives.length);
+  }
+
+  /**
+   * Reviewed matches with the listing fields features are built from, oldest first
+   */
+  async getDecisions(userId = null) {
+    const result = await query(
+      `SELECT jm.user_id, jm.approved, jm.match_score, jm.match_reasons,
+              COALESCE(jm.reviewed_at, jm.created_at) as decided_at,
+              jl.title, jl.company, jl.description, jl.required_skills, jl.preferred_skills,
+              jl.salary_annual_max, jl.remote_type
+       FROM job_matches jm
+       JOIN job_listings jl ON jm.job_id = jl.id
+       WHERE jm.reviewed = TRUE
+       AND ($1::uuid IS NULL OR jm.user_id = $1)
+       ORDER BY decided_at ASC`,
+      [userId]
+    );
+
+    // Stored scores may already include a feedback adjustment; replay from the score without it
+    return result.rows.map(row => {
+      const feedback = toArray(row.match_reasons).find(reason => reason.type === 'feedback');
+      return {
+        userId: row.user_id,
+        approved: row.approved,
+        matchScore: row.match_score - (feedback ? feedback.weight : 0),
+        job: row
+      };
+    });
+  }
+
+  /**
+   * Feedback model from a user's review history
+   */
+  async getModel(userId) {
+    return this.train(await this.getDecisions(userId));
+  }
+}
+
+module.exports = new MatchFeedbackService();
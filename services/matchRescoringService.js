@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const rescoring = require('./rescoring');
+const rescoringConfig = require('../config/rescoring');
+const logger = require('../utils/logger');
+
+class MatchRescoringService {
+  get provider() {
+    return rescoring.getProvider();
+  }
+
+  hash(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Content hashes, so edits to the listing or CV invalidate cached assessments
+   */
+  jobHash(job) {
+    return this.hash([job.title, job.company, job.description]);
+  }
+
+  profileHash(profile) {
+    return this.hash([profile.resume_text, profile.skills, profile.experience, profile.desired_job_titles]);
+  }
+
+  /**
+   * LLM fit assessment for one job, from the cache when this job and profile were seen before
+   */
+  async rescore(provider, profile, job) {
+    const jobHash = this.jobHash(job);
+    const profileHash = this.profileHash(profile);
+
+    const cached = await query(
+      `SELECT fit_score, strengths, gaps, summary FROM match_rescore_cache
+       WHERE job_hash = $1 AND profile_hash = $2 AND model = $3`,
+      [jobHash, profileHash, provider.model]
+    );
+
+    if (cached.rows.length > 0) {
+      const row = cached.rows[0];
+      return { fitScore: row.fit_score, strengths: row.strengths, gaps: row.gaps, summary: row.summary, model: provider.model, cached: true };
+    }
+
+    const result = await provider.rescore({ job, profile });
+
+    await query(
+      `INSERT INTO match_rescore_cache (job_hash, profile_hash, model, fit_score, strengths, gaps, summary)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (job_hash, profile_hash, model) DO NOTHING`,
+      [jobHash, profileHash, provider.model, result.fitScore, JSON.stringify(result.strengths), JSON.stringify(result.gaps), result.summary]
+    );
+
+    return { ...result, model: provider.model, cached: false };
+  }
+
+  /**
+   * Blend an LLM fit score into the top N of `scored` ([{ job, score }], best first).
+   * Failures leave the rule-based score in place.
+   */
+  async rescoreTop(profile, scored, topN = rescoringConfig.topN) {
+    const provider = this.provider;
+    if (!provider || topN <= 0) return scored;
+
+    for (const { job, score } of scored.slice(0, topN)) {
+      try {
+        const assessment = await this.rescore(provider, profile, job);
+        const ruleScore = score.total;
+        score.total = Math.round(ruleScore * (1 - rescoringConfig.blendWeight) + assessment.fitScore * rescoringConfig.blendWeight);
+
+        score.reasons.push({
+          type: 'llm',
+          description: `LLM fit: ${assessment.fitScore}/100 (${score.total - ruleScore >= 0 ? '+' : ''}${score.total - ruleScore} points)`,
+          weight: score.total - ruleScore,
+          strengths: assessment.strengths,
+          gaps: assessment.gaps
+        });
+
+        if (score.details) score.details.llm = { ruleScore, ...assessment };
+      } catch (error) {
+        logger.error(`LLM rescoring failed for job ${job.id}:`, error);
+      }
+    }
+
+    return scored;
+  }
+}
+
+module.exports = new MatchRescoringService();
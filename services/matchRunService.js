@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+const matchingService = require('./matchingServices');
+const matchingConfig = require('../config/matching');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+class MatchRunService {
+  /**
+   * Incrementally match every user with a completed profile, a few users at a
+   * time, and store the run's metrics
+   */
+  async runAll() {
+    const startedAt = new Date();
+    const metrics = { usersTotal: 0, usersFailed: 0, jobsScanned: 0, jobsExcluded: 0, matchesCreated: 0 };
+    let runError = null;
+
+    try {
+      const usersResult = await query(
+        `SELECT up.user_id
+         FROM user_profiles up
+         JOIN users u ON u.id = up.user_id
+         WHERE up.profile_completed = TRUE AND u.is_active = TRUE`
+      );
+      metrics.usersTotal = usersResult.rows.length;
+
+      logger.info(`Matching new jobs for ${metrics.usersTotal} users`);
+
+      await mapWithConcurrency(usersResult.rows, matchingConfig.userConcurrency, async ({ user_id: userId }) => {
+        try {
+          const result = await matchingService.matchNewJobsForUser(userId);
+          metrics.jobsScanned += result.scanned;
+          metrics.jobsExcluded += result.excluded;
+          metrics.matchesCreated += result.matched;
+        } catch (error) {
+          metrics.usersFailed++;
+          logger.error(`Matching failed for user ${userId}:`, error);
+        }
+      });
+    } catch (error) {
+      runError = error;
+      logger.error('Match run failed:', error);
+    }
+
+    const run = await this.recordRun(startedAt, metrics, runError);
+    logger.info(`✅ Match run: ${metrics.matchesCreated} matches from ${metrics.jobsScanned} listings for ${metrics.usersTotal} users in ${run.duration_ms}ms`);
+
+    return { ...metrics, runId: run.id, durationMs: run.duration_ms };
+  }
+
+  async recordRun(startedAt, metrics, error) {
+    const finishedAt = new Date();
+    const status = error ? 'failed' : metrics.usersFailed > 0 ? 'partial' : 'success';
+
+    const result = await query(
+      `INSERT INTO match_runs
+       (status, started_at, finished_at, duration_ms, users_total, users_failed,
+        jobs_scanned, jobs_excluded, matches_created, error_message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        status,
+        startedAt,
+        finishedAt,
+        finishedAt - startedAt,
+        metrics.usersTotal,
+        metrics.usersFailed,
+        metrics.jobsScanned,
+        metrics.jobsExcluded,
+        metrics.matchesCreated,
+        error ? error.message : null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Browse run history, newest first
+   */
+  async getRuns({ page = 1, limit = 50 } = {}) {
+    const result = await query(
+      `SELECT * FROM match_runs
+       ORDER BY started_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, (page - 1) * limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = new MatchRunService();
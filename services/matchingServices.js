@@ -1,20 +1,31 @@
 const { query } = require('../config/database');
+const geocodingService = require('./geocodingService');
+const jobDedupeService = require('./jobDedupeService');
+const embeddingService = require('./embeddingService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const matchFeedbackService = require('./matchFeedbackService');
+const exclusionService = require('./exclusionService');
+const experienceService = require('./experienceService');
+const jobClassifierService = require('./jobClassifierService');
+const matchRescoringService = require('./matchRescoringService');
+const matchingConfig = require('../config/matching');
+const { toArray } = require('../utils/json');
 const logger = require('../utils/logger');
 
-// ✅ FIX: Properly initialize OpenAI only if available
-let openai = null;
-
-if (process.env.OPENAI_API_KEY) {
-  try {
-    const { OpenAI } = require('openai');
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    logger.info('✅ OpenAI initialized for job matching');
-  } catch (error) {
-    logger.warn('⚠️  OpenAI not available for matching:', error.message);
-  }
-}
+const { DEFAULT_WEIGHTS, PRESETS, defaultMinScore } = matchingConfig;
+
+// Listing fields scoring reads
+const JOB_COLUMNS = `id, source, title, company, location, description, salary_range, salary_currency, salary_annual_min, salary_annual_max,
+                remote_type, job_type, location_region, location_country, location_lat, location_lng,
+                embedding, embedding_model, required_skills, preferred_skills, seniority`;
+
+// When a listing became matchable. Truncated to what a JS Date holds so watermarks round-trip exactly.
+const MATCHABLE_AT = "date_trunc('milliseconds', COALESCE(enriched_at, scraped_at))";
+
+// Listings that are ready to be matched
+const MATCHABLE_JOB = `is_active = TRUE
+         AND enrichment_status <> 'pending'
+         AND canonical_id IS NULL`;
 
 class MatchingService {
   /**
@@ -24,26 +35,17 @@ class MatchingService {
     try {
       logger.info(`🎯 Matching jobs for user ${userId}`);
 
-      // Get user profile from database
-      const profileResult = await query(
-        `SELECT * FROM user_profiles WHERE user_id = $1`,
-        [userId]
-      );
-
-      if (profileResult.rows.length === 0) {
+      const context = await this.loadMatchContext(userId);
+      if (!context) {
         logger.warn(`No profile found for user ${userId}`);
         return [];
       }
 
-      const profile = profileResult.rows[0];
-      const skills = profile.skills ? JSON.parse(profile.skills) : [];
-      const desiredTitles = profile.desired_job_titles ? JSON.parse(profile.desired_job_titles) : [];
-
       // Get recent jobs (last 30 days)
       const jobsResult = await query(
-        `SELECT id, title, company, location, description, salary_range, remote_type, job_type
+        `SELECT ${JOB_COLUMNS}
          FROM job_listings 
-         WHERE is_active = TRUE 
+         WHERE ${MATCHABLE_JOB}
          AND scraped_at > NOW() - INTERVAL '30 days'
          AND id NOT IN (
            SELECT job_id FROM job_matches 
@@ -54,191 +56,538 @@ class MatchingService {
         [userId]
       );
 
+      const { matches, excluded } = await this.scoreJobs(context, jobsResult.rows, limit);
+
+      logger.info(`✅ Created ${matches.length} job matches for user ${userId} from ${jobsResult.rows.length} jobs (${excluded} excluded)`);
+      return matches;
+    } catch (error) {
+      logger.error('❌ Job matching error:', error);
+      return []; // Return empty array instead of throwing
+    }
+  }
+
+  /**
+   * Score only listings that became matchable since the user's watermark,
+   * oldest first and in batches. The LLM pass then rescores the user's best
+   * listings across all batches once, the matches are saved and the
+   * watermark moves past everything scanned.
+   */
+  async matchNewJobsForUser(userId, { batchSize = matchingConfig.jobBatchSize, maxJobs = matchingConfig.maxJobsPerUser } = {}) {
+    const context = await this.loadMatchContext(userId);
+    const result = { scanned: 0, excluded: 0, matched: 0 };
+    if (!context) return result;
+
+    let watermarkAt = context.profile.match_watermark_at ||
+      new Date(Date.now() - matchingConfig.initialLookbackDays * 24 * 60 * 60 * 1000);
+    let watermarkId = context.profile.match_watermark_id || '00000000-0000-0000-0000-000000000000';
+    const scored = [];
+
+    while (result.scanned < maxJobs) {
+      const jobsResult = await query(
+        `SELECT ${JOB_COLUMNS}, ${MATCHABLE_AT} as matchable_at
+         FROM job_listings
+         WHERE ${MATCHABLE_JOB}
+         AND (${MATCHABLE_AT} > $2::timestamp OR (${MATCHABLE_AT} = $2::timestamp AND id > $3::uuid))
+         AND id NOT IN (
+           SELECT job_id FROM job_matches
+           WHERE user_id = $1
+         )
+         ORDER BY ${MATCHABLE_AT}, id
+         LIMIT $4`,
+        [userId, watermarkAt, watermarkId, Math.min(batchSize, maxJobs - result.scanned)]
+      );
+
       const jobs = jobsResult.rows;
-      logger.info(`📋 Found ${jobs.length} unmatched jobs`);
+      if (jobs.length === 0) break;
 
-      if (jobs.length === 0) {
-        return [];
+      const batch = await this.rankJobs(context, jobs);
+      result.scanned += jobs.length;
+      result.excluded += batch.excluded;
+      scored.push(...batch.scored);
+
+      const last = jobs[jobs.length - 1];
+      watermarkAt = last.matchable_at;
+      watermarkId = last.id;
+
+      if (jobs.length < batchSize) break;
+    }
+
+    if (result.scanned === 0) return result;
+
+    const matches = await this.saveMatches(context, scored);
+    result.matched = matches.length;
+
+    await query(
+      'UPDATE user_profiles SET match_watermark_at = $1, match_watermark_id = $2 WHERE id = $3',
+      [watermarkAt, watermarkId, context.profile.id]
+    );
+
+    return result;
+  }
+
+  /**
+   * Make the next incremental run rescan from the initial lookback, e.g. after
+   * the user changes how matches are scored. Listings already matched stay skipped.
+   */
+  async resetWatermark(userId) {
+    await query(
+      'UPDATE user_profiles SET match_watermark_at = NULL, match_watermark_id = NULL WHERE user_id = $1',
+      [userId]
+    );
+  }
+
+  /**
+   * Everything scoring needs about a user, loaded once per matching call
+   */
+  async loadMatchContext(userId) {
+    // Get user profile from database
+    const profileResult = await query(
+      `SELECT * FROM user_profiles WHERE user_id = $1`,
+      [userId]
+    );
+
+    if (profileResult.rows.length === 0) return null;
+
+    const profile = profileResult.rows[0];
+
+    // Profiles parsed before experience was inferred
+    if (!profile.seniority && !profile.years_experience) {
+      const summary = experienceService.summarize(toArray(profile.experience));
+      profile.years_experience = summary.yearsExperience;
+      profile.seniority = summary.seniority;
+    }
+
+    const settings = await this.getMatchSettings(userId);
+    const exclusions = exclusionService.compile(await exclusionService.getRules(userId));
+
+    // Without review history (or if it can't be loaded) scores are unadjusted
+    let feedbackModel = null;
+    try {
+      feedbackModel = await matchFeedbackService.getModel(userId);
+    } catch (error) {
+      logger.error(`Feedback model failed for user ${userId}:`, error);
+    }
+
+    // Semantic matching is skipped (neutral score) if embeddings can't be computed
+    let profileEmbedding = null;
+    try {
+      profileEmbedding = await embeddingService.ensureProfileEmbedding(profile);
+    } catch (error) {
+      logger.error(`Profile embedding failed for user ${userId}:`, error);
+    }
+
+    return {
+      userId,
+      profile,
+      settings,
+      exclusions,
+      feedbackModel,
+      profileEmbedding,
+      skills: skillTaxonomyService.normalizeSkills(toArray(profile.skills)),
+      desiredTitles: toArray(profile.desired_job_titles)
+    };
+  }
+
+  /**
+   * Drop excluded jobs, score the rest, let the LLM pass rescore the best ones,
+   * and save the top `limit` that clear the user's minimum.
+   */
+  async scoreJobs(context, rows, limit = Infinity) {
+    const { scored, excluded } = await this.rankJobs(context, rows);
+    const matches = await this.saveMatches(context, scored, limit);
+    return { matches, excluded };
+  }
+
+  /**
+   * Drop excluded jobs and score the rest with the rule-based scorer.
+   * Returns { scored: [{ job, score }] clearing the user's minimum, excluded }.
+   */
+  async rankJobs(context, rows) {
+    const { profile, skills, desiredTitles, settings, feedbackModel } = context;
+
+    // Hard exclusions apply before any scoring
+    const jobs = rows.filter(job => !exclusionService.check(context.exclusions, job));
+    const excluded = rows.length - jobs.length;
+
+    if (jobs.length === 0) {
+      return { scored: [], excluded };
+    }
+
+    let profileEmbedding = context.profileEmbedding;
+    if (profileEmbedding) {
+      try {
+        await embeddingService.ensureJobEmbeddings(jobs);
+      } catch (error) {
+        logger.error('Job embedding failed:', error);
+        profileEmbedding = null;
       }
+    }
 
-      const matches = [];
-
-      for (const job of jobs) {
-        // Calculate match score
-        const score = await this.calculateMatchScore(profile, skills, desiredTitles, job);
-
-        if (score.total >= 60) { // Minimum 60% match
-          // Save match to database
-          try {
-            await query(
-              `INSERT INTO job_matches 
-               (user_id, job_id, match_score, match_reasons)
-               VALUES ($1, $2, $3, $4)
-               ON CONFLICT (user_id, job_id) DO NOTHING`,
-              [userId, job.id, score.total, JSON.stringify(score.reasons)]
-            );
-
-            matches.push({
-              jobId: job.id,
-              title: job.title,
-              company: job.company,
-              location: job.location,
-              match_score: score.total,
-              match_reasons: score.reasons
-            });
-          } catch (dbError) {
-            logger.error(`Error saving match for job ${job.id}:`, dbError);
-          }
-        }
+    const scored = [];
+    for (const job of jobs) {
+      // Calculate match score
+      const score = await this.calculateMatchScore(profile, skills, desiredTitles, job, profileEmbedding, settings.weights);
+      this.applyFeedback(score, matchFeedbackService.adjust(feedbackModel, job));
 
-        // Limit matches
-        if (matches.length >= limit) break;
+      if (score.total >= settings.minScore) scored.push({ job, score });
+    }
+
+    return { scored, excluded };
+  }
+
+  /**
+   * Rescore the best of `scored` with the LLM pass, then save the top `limit`
+   * still clearing the user's minimum. Returns the saved matches.
+   */
+  async saveMatches(context, scored, limit = Infinity) {
+    const { userId, profile, settings } = context;
+    const matches = [];
+
+    const byScore = (a, b) => b.score.total - a.score.total;
+    const ranked = [...scored].sort(byScore);
+    await matchRescoringService.rescoreTop(profile, ranked);
+    const kept = ranked.filter(({ score }) => score.total >= settings.minScore).sort(byScore);
+
+    for (const { job, score } of kept.slice(0, limit)) {
+      // Save match to database
+      try {
+        await query(
+          `INSERT INTO job_matches 
+           (user_id, job_id, match_score, match_reasons, match_details)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, job_id) DO NOTHING`,
+          [userId, job.id, score.total, JSON.stringify(score.reasons), JSON.stringify(score.details)]
+        );
+
+        matches.push({
+          jobId: job.id,
+          title: job.title,
+          company: job.company,
+          location: job.location,
+          match_score: score.total,
+          match_reasons: score.reasons
+        });
+      } catch (dbError) {
+        logger.error(`Error saving match for job ${job.id}:`, dbError);
       }
+    }
 
-      logger.info(`✅ Created ${matches.length} job matches for user ${userId}`);
-      return matches;
-    } catch (error) {
-      logger.error('❌ Job matching error:', error);
-      return []; // Return empty array instead of throwing
+    return matches;
+  }
+
+  /**
+   * The user's match weights and minimum score, from users.preferences.matching
+   */
+  async getMatchSettings(userId) {
+    const result = await query('SELECT preferences FROM users WHERE id = $1', [userId]);
+    return this.resolveMatchSettings(result.rows[0]?.preferences);
+  }
+
+  /**
+   * Apply a preset and any per-component overrides on top of the defaults.
+   * Weights are relative and rescaled to sum to 100.
+   */
+  resolveMatchSettings(preferences) {
+    const matching = preferences?.matching || {};
+    const preset = PRESETS[matching.preset] ? matching.preset : 'balanced';
+
+    const weights = { ...PRESETS[preset] };
+    for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+      const value = matching.weights?.[key];
+      if (typeof value === 'number' && value >= 0) weights[key] = value;
     }
+
+    const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+    if (total === 0) return this.resolveMatchSettings(null);
+
+    for (const key of Object.keys(weights)) weights[key] = weights[key] * 100 / total;
+
+    return {
+      preset,
+      weights,
+      minScore: Number.isInteger(matching.minScore) ? matching.minScore : defaultMinScore
+    };
   }
 
   /**
-   * Calculate comprehensive match score
+   * Calculate comprehensive match score. Each component scores on its
+   * default scale and is rescaled to the user's weight for it.
+   * `details` holds the reasoning behind every component, for explanations.
    */
-  async calculateMatchScore(profile, skills, desiredTitles, job) {
+  async calculateMatchScore(profile, skills, desiredTitles, job, profileEmbedding = null, weights = this.resolveMatchSettings(null).weights) {
     const reasons = [];
+    const details = {};
     let totalScore = 0;
 
-    // 1. Skills matching (40 points)
-    const skillScore = this.matchSkills(skills, job.description || job.title);
-    totalScore += skillScore;
-    if (skillScore > 0) {
-      reasons.push({
+    const skillMatch = this.matchSkills(skills, job);
+    const detail = { semantic: {}, title: {}, location: {}, salary: {}, jobType: {}, seniority: {} };
+    const components = [
+      {
+        key: 'skills',
         type: 'skill',
-        description: `Skills match: ${skillScore}/40 points`,
-        weight: skillScore
-      });
-    }
-
-    // 2. Title matching (25 points)
-    const titleScore = this.matchTitle(desiredTitles, job.title);
-    totalScore += titleScore;
-    if (titleScore > 0) {
-      reasons.push({
-        type: 'title',
-        description: `Title match: ${titleScore}/25 points`,
-        weight: titleScore
-      });
-    }
-
-    // 3. Location/Remote matching (20 points)
-    const locationScore = this.matchLocation(profile, job);
-    totalScore += locationScore;
-    if (locationScore > 0) {
-      reasons.push({
-        type: 'location',
-        description: `Location match: ${locationScore}/20 points`,
-        weight: locationScore
-      });
-    }
-
-    // 4. Salary matching (10 points) - optional
-    const salaryScore = this.matchSalary(profile, job.salary_range);
-    totalScore += salaryScore;
-    if (salaryScore > 0) {
-      reasons.push({
-        type: 'salary',
-        description: `Salary match: ${salaryScore}/10 points`,
-        weight: salaryScore
-      });
-    }
-
-    // 5. Job type matching (5 points)
-    const typeScore = this.matchJobType(profile, job.job_type);
-    totalScore += typeScore;
-    if (typeScore > 0) {
-      reasons.push({
-        type: 'type',
-        description: `Job type match: ${typeScore}/5 points`,
-        weight: typeScore
-      });
+        label: 'Skills match',
+        points: skillMatch.score,
+        detail: { matched: skillMatch.matched, partial: skillMatch.partial, missing: skillMatch.missing }
+      },
+      // Semantic similarity of resume and description
+      { key: 'semantic', type: 'semantic', label: 'Resume similarity', points: this.matchSemantic(profileEmbedding, job.embedding, detail.semantic) },
+      { key: 'title', type: 'title', label: 'Title match', points: this.matchTitle(desiredTitles, job.title, detail.title) },
+      { key: 'location', type: 'location', label: 'Location match', points: this.matchLocation(profile, job, detail.location) },
+      { key: 'salary', type: 'salary', label: 'Salary match', points: this.matchSalary(profile, job, detail.salary) },
+      { key: 'jobType', type: 'type', label: 'Job type match', points: this.matchJobType(profile, job.job_type, detail.jobType) },
+      { key: 'seniority', type: 'seniority', label: 'Seniority match', points: this.matchSeniority(profile, job, detail.seniority) }
+    ];
+
+    for (const component of components) {
+      const weight = weights[component.key] || 0;
+      const points = component.points / DEFAULT_WEIGHTS[component.key] * weight;
+      totalScore += points;
+
+      details[component.key] = {
+        points: Math.round(points),
+        maxPoints: Math.round(weight),
+        ...(component.detail || detail[component.key])
+      };
+
+      if (Math.round(points) > 0) {
+        reasons.push({
+          type: component.type,
+          description: `${component.label}: ${Math.round(points)}/${Math.round(weight)} points`,
+          weight: Math.round(points),
+          ...(component.key === 'skills' ? component.detail : {})
+        });
+      }
     }
 
     return {
       total: Math.min(100, Math.round(totalScore)),
-      reasons
+      reasons,
+      details
     };
   }
 
   /**
-   * Match skills (basic keyword matching)
+   * Shift a score by what the user's past approvals and rejections say about the job
    */
-  matchSkills(userSkills, jobText) {
-    if (!userSkills || userSkills.length === 0 || !jobText) return 0;
+  applyFeedback(score, adjustment) {
+    const reason = matchFeedbackService.toReason(adjustment);
+    if (!reason) return score;
 
-    const jobTextLower = jobText.toLowerCase();
-    const matchedSkills = userSkills.filter(skill => 
-      jobTextLower.includes(skill.toLowerCase())
-    );
+    if (score.details) score.details.feedback = { points: adjustment.points, signals: reason.signals };
 
-    const matchPercentage = matchedSkills.length / userSkills.length;
-    return Math.round(matchPercentage * 40); // Max 40 points
+    score.total = Math.max(0, Math.min(100, score.total + adjustment.points));
+    score.reasons.push(reason);
+    return score;
+  }
+
+  /**
+   * Match the user's skills against the job's required and nice-to-have skills.
+   * Required skills carry 80% of the score when both are listed; related skills
+   * (React for JavaScript, MySQL for SQL) earn partial credit.
+   */
+  matchSkills(userSkills, job) {
+    const result = { score: 0, matched: [], partial: [], missing: [] };
+    if (!userSkills || userSkills.length === 0) return result;
+
+    let required = toArray(job.required_skills);
+    let preferred = toArray(job.preferred_skills);
+    if (required.length === 0 && preferred.length === 0) {
+      ({ required, preferred } = skillTaxonomyService.extractJobSkills(job.title, job.description));
+    }
+
+    // Nothing recognizable in the listing - fall back to keyword overlap
+    if (required.length === 0 && preferred.length === 0) {
+      const jobText = (job.description || job.title || '').toLowerCase();
+      const matchedSkills = userSkills.filter(skill => jobText.includes(skill.toLowerCase()));
+      result.matched = matchedSkills;
+      result.score = Math.round(matchedSkills.length / userSkills.length * 25);
+      return result;
+    }
+
+    const coverage = skills => {
+      if (skills.length === 0) return null;
+
+      let earned = 0;
+      for (const skill of skills) {
+        const { credit, relation, via } = skillTaxonomyService.credit(userSkills, skill);
+        earned += credit;
+
+        if (relation === 'exact') result.matched.push(skill);
+        else if (relation) result.partial.push({ skill, via, relation });
+        else result.missing.push(skill);
+      }
+      return earned / skills.length;
+    };
+
+    const requiredCoverage = coverage(required);
+    const preferredCoverage = coverage(preferred);
+
+    const ratio = requiredCoverage !== null && preferredCoverage !== null
+      ? requiredCoverage * 0.8 + preferredCoverage * 0.2
+      : (requiredCoverage ?? preferredCoverage);
+
+    result.score = Math.round(ratio * 25); // Max 25 points
+    return result;
+  }
+
+  /**
+   * Match resume and job description embeddings
+   */
+  matchSemantic(profileEmbedding, jobEmbedding, detail = {}) {
+    if (!profileEmbedding || !Array.isArray(jobEmbedding)) {
+      detail.reason = 'No embedding for the resume or listing; neutral score';
+      return 5; // Neutral
+    }
+
+    const similarity = embeddingService.cosine(profileEmbedding, jobEmbedding);
+    detail.similarity = Math.round(similarity * 1000) / 1000;
+    detail.model = embeddingService.provider.model;
+    return embeddingService.similarityPoints(similarity, 15);
   }
 
   /**
    * Match job title
    */
-  matchTitle(desiredTitles, jobTitle) {
-    if (!desiredTitles || desiredTitles.length === 0 || !jobTitle) return 5; // Default points
+  matchTitle(desiredTitles, jobTitle, detail = {}) {
+    if (!desiredTitles || desiredTitles.length === 0 || !jobTitle) {
+      detail.reason = 'No desired titles to compare';
+      return 5; // Default points
+    }
 
     const jobTitleLower = jobTitle.toLowerCase();
-    const hasMatch = desiredTitles.some(title => 
+    const matchedTitle = desiredTitles.find(title => 
       jobTitleLower.includes(title.toLowerCase()) || 
       title.toLowerCase().includes(jobTitleLower)
     );
 
-    return hasMatch ? 25 : 5; // Full points if match, minimal if not
+    // Shared words explain near misses ("Backend Engineer" vs "Backend Developer")
+    const jobTerms = new Set(jobDedupeService.normalizeTitle(jobTitle).split(' ').filter(Boolean));
+    const desiredTerms = new Set(desiredTitles.flatMap(title => jobDedupeService.normalizeTitle(title).split(' ').filter(Boolean)));
+    detail.matchedTitle = matchedTitle || null;
+    detail.overlap = [...jobTerms].filter(term => desiredTerms.has(term));
+    detail.jobOnlyTerms = [...jobTerms].filter(term => !desiredTerms.has(term));
+
+    return matchedTitle ? 25 : 5; // Full points if match, minimal if not
   }
 
   /**
    * Match location/remote preference
    */
-  matchLocation(profile, job) {
-    const remotePreference = profile.remote_preference;
+  matchLocation(profile, job, detail = {}) {
+    const remotePreference = profile.remote_preference === 'remote_only' ? 'remote' : profile.remote_preference;
     const jobRemoteType = job.remote_type;
+    detail.remotePreference = profile.remote_preference || null;
+    detail.jobRemoteType = jobRemoteType || null;
+
+    // Onsite and hybrid jobs are only as good as the commute
+    if ((jobRemoteType === 'onsite' || jobRemoteType === 'hybrid') && remotePreference !== 'remote') {
+      const proximityScore = this.matchProximity(profile, job, detail);
+      if (proximityScore !== null) return proximityScore;
+    }
 
     // Perfect match
-    if (remotePreference === 'any') return 20;
-    if (remotePreference === jobRemoteType) return 20;
+    if (remotePreference === 'any' || remotePreference === jobRemoteType) {
+      detail.reason = 'Work arrangement matches preference';
+      return 20;
+    }
     
     // Partial match
     if (remotePreference === 'hybrid' && (jobRemoteType === 'remote' || jobRemoteType === 'onsite')) {
+      detail.reason = 'Hybrid preferred; job is fully remote or onsite';
       return 10;
     }
 
     // No match
+    detail.reason = 'Work arrangement does not match preference';
     return 5;
   }
 
   /**
-   * Match salary
+   * Score a job by its distance to the closest of the user's desired locations.
+   * Returns null when either side can't be placed, so preference matching applies instead.
+   */
+  matchProximity(profile, job, detail = {}) {
+    const desired = toArray(profile.desired_locations);
+
+    const places = desired.map(location => geocodingService.geocode(location)).filter(Boolean);
+    if (places.length === 0 || !job.location_country) return null;
+
+    if (job.location_lat !== null && job.location_lat !== undefined) {
+      const distances = places
+        .filter(place => place.precision === 'city')
+        .map(place => ({ place: place.city, km: geocodingService.distanceKm(place, { lat: job.location_lat, lng: job.location_lng }) }));
+
+      if (distances.length > 0) {
+        const closest = distances.reduce((best, item) => (item.km < best.km ? item : best));
+        detail.closestDesired = closest.place;
+        detail.distanceKm = Math.round(closest.km);
+
+        const score = closest.km <= 30 ? 20 : closest.km <= 60 ? 15 : closest.km <= 100 ? 10 : null;
+        if (score !== null) {
+          detail.reason = `${detail.distanceKm} km from ${closest.place}`;
+          return score;
+        }
+      }
+    }
+
+    // Desired "California" or "Germany" rather than a city
+    const region = places.find(place => place.precision === 'region' && place.region === job.location_region && place.country === job.location_country);
+    if (region) {
+      detail.reason = `In desired region ${region.region}`;
+      return 15;
+    }
+    if (places.some(place => place.country === job.location_country)) {
+      detail.reason = `In desired country ${job.location_country} but not near a desired city`;
+      return 5;
+    }
+
+    detail.reason = 'Not near any desired location';
+    return 0;
+  }
+
+  /**
+   * Match salary against the listing's annualized range
    */
-  matchSalary(profile, salaryRange) {
-    if (!profile.salary_min || !salaryRange) return 5; // Neutral
+  matchSalary(profile, job, detail = {}) {
+    const jobMax = parseInt(job.salary_annual_max);
+    detail.desiredMin = profile.salary_min || null;
+    detail.jobAnnualMin = parseInt(job.salary_annual_min) || null;
+    detail.jobAnnualMax = jobMax || null;
+    detail.currency = job.salary_currency || null;
+
+    if (!profile.salary_min || !jobMax) {
+      detail.reason = profile.salary_min ? 'Listing has no salary; neutral score' : 'No minimum salary set; neutral score';
+      return 5; // Neutral
+    }
+
+    // The minimum has no currency of its own; amounts in another currency aren't comparable
+    if (job.salary_currency && job.salary_currency !== matchingConfig.salaryCurrency) {
+      detail.reason = `Listing pays in ${job.salary_currency}, not ${matchingConfig.salaryCurrency}; neutral score`;
+      return 5;
+    }
 
-    const salaryMatch = this.parseSalary(salaryRange);
-    if (salaryMatch >= profile.salary_min) {
+    detail.ratio = Math.round(jobMax / profile.salary_min * 100) / 100;
+
+    if (jobMax >= profile.salary_min) {
+      detail.reason = 'Top of range meets your minimum';
       return 10; // Meets requirement
     }
 
+    if (jobMax >= profile.salary_min * 0.9) {
+      detail.reason = 'Top of range within 10% of your minimum';
+      return 5; // Close enough to negotiate
+    }
+
+    detail.reason = 'Top of range below your minimum';
     return 0; // Below requirement
   }
 
   /**
    * Match job type
    */
-  matchJobType(profile, jobType) {
+  matchJobType(profile, jobType, detail = {}) {
+    detail.jobType = jobType || null;
+
     // Most people prefer full-time, so default match
     if (!jobType) return 3;
     if (jobType === 'full_time' || jobType === 'full-time') return 5;
@@ -246,15 +595,40 @@ class MatchingService {
   }
 
   /**
-   * Parse salary string to number
+   * Match the seniority inferred from the CV against the listing's.
+   * One level either way is a stretch or a step down; further apart scores little.
    */
-  parseSalary(salaryString) {
-    if (!salaryString) return 0;
-    
-    const match = salaryString.match(/\$?(\d{1,3}(?:,?\d{3})*(?:\.\d+)?)/);
-    if (match) {
-      return parseFloat(match[1].replace(/,/g, ''));
+  matchSeniority(profile, job, detail = {}) {
+    const userRank = jobClassifierService.seniorityRank(profile.seniority);
+    const jobRank = jobClassifierService.seniorityRank(job.seniority);
+    detail.userSeniority = profile.seniority || null;
+    detail.jobSeniority = job.seniority || null;
+    detail.yearsExperience = profile.years_experience !== null && profile.years_experience !== undefined
+      ? parseFloat(profile.years_experience)
+      : null;
+
+    if (userRank === null || jobRank === null) {
+      detail.reason = userRank === null ? 'No seniority inferred from your CV; neutral score' : 'Listing has no seniority; neutral score';
+      return 5; // Neutral
+    }
+
+    const gap = jobRank - userRank;
+    if (gap === 0) {
+      detail.reason = 'Seniority matches your experience';
+      return 10;
     }
+
+    if (Math.abs(gap) === 1) {
+      detail.reason = gap > 0 ? 'One level above your experience' : 'One level below your experience';
+      return 6;
+    }
+
+    if (Math.abs(gap) === 2) {
+      detail.reason = gap > 0 ? 'Two levels above your experience' : 'Two levels below your experience';
+      return 2;
+    }
+
+    detail.reason = gap > 0 ? 'Far more senior than your experience' : 'Far more junior than your experience';
     return 0;
   }
 
@@ -277,12 +651,21 @@ class MatchingService {
            jl.location,
            jl.description,
            jl.application_url as url,
+           jl.alternate_urls,
            jl.salary_range,
+           jl.salary_min,
+           jl.salary_max,
+           jl.salary_currency,
+           jl.salary_period,
+           jl.salary_annual_min,
+           jl.salary_annual_max,
            jl.remote_type,
            jl.posted_date
          FROM job_matches jm
          JOIN job_listings jl ON jm.job_id = jl.id
          WHERE jm.user_id = $1 AND jm.reviewed = $2
+         AND jl.canonical_id IS NULL
+         AND jm.status <> 'expired'
          ORDER BY jm.match_score DESC, jm.created_at DESC
          LIMIT 50`,
         [userId, reviewed]
@@ -295,6 +678,64 @@ class MatchingService {
     }
   }
 
+  /**
+   * Per-component breakdown of a match: skills matched and missing, title term
+   * overlap, salary numbers and location reasoning. Matches saved before
+   * breakdowns were stored are rescored against the current profile.
+   */
+  async explainMatch(userId, matchId) {
+    const result = await query(
+      `SELECT jm.id, jm.job_id, jm.match_score, jm.match_reasons, jm.match_details, jm.created_at,
+              jl.title, jl.company, jl.location
+       FROM job_matches jm
+       JOIN job_listings jl ON jm.job_id = jl.id
+       WHERE jm.id = $1 AND jm.user_id = $2`,
+      [matchId, userId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const match = result.rows[0];
+    let components = match.match_details;
+    let recomputed = false;
+
+    if (!components) {
+      const context = await this.loadMatchContext(userId);
+      const jobResult = await query(`SELECT ${JOB_COLUMNS} FROM job_listings WHERE id = $1`, [match.job_id]);
+
+      if (context && jobResult.rows.length > 0) {
+        const job = jobResult.rows[0];
+        let profileEmbedding = context.profileEmbedding;
+        try {
+          if (profileEmbedding) await embeddingService.ensureJobEmbeddings([job]);
+        } catch (error) {
+          logger.error('Job embedding failed:', error);
+          profileEmbedding = null;
+        }
+
+        const score = await this.calculateMatchScore(
+          context.profile, context.skills, context.desiredTitles, job, profileEmbedding, context.settings.weights
+        );
+        this.applyFeedback(score, matchFeedbackService.adjust(context.feedbackModel, job));
+        components = score.details;
+        recomputed = true;
+      }
+    }
+
+    return {
+      matchId: match.id,
+      jobId: match.job_id,
+      title: match.title,
+      company: match.company,
+      location: match.location,
+      matchScore: match.match_score,
+      reasons: match.match_reasons,
+      components,
+      recomputed,
+      matchedAt: match.created_at
+    };
+  }
+
   /**
    * Update match review status
    */
@@ -302,7 +743,7 @@ class MatchingService {
     try {
       const result = await query(
         `UPDATE job_matches 
-         SET reviewed = TRUE, approved = $1
+         SET reviewed = TRUE, approved = $1, reviewed_at = NOW()
          WHERE id = $2 AND user_id = $3
          RETURNING *`,
         [approved, matchId, userId]
@@ -0,0 +1,39 @@
+const rescoringConfig = require('../../config/rescoring');
+const logger = require('../../utils/logger');
+
+/**
+ * Rescoring provider registry
+ *
+ * A provider is a plain object:
+ *   name                      - provider key used in RESCORE_PROVIDER
+ *   model                     - part of the cache key; a new model rescores everything
+ *   available()               -> whether the provider can be used in this deployment
+ *   rescore({ job, profile }) -> { fitScore: 0-100, strengths: [string], gaps: [string], summary }
+ */
+const providers = {
+  openai: require('./openai'),
+  stub: require('./stub')
+};
+
+let warned = false;
+
+/**
+ * Configured provider, or null when rescoring is off or the provider can't be used
+ */
+function getProvider(name = rescoringConfig.provider) {
+  if (name === 'none') return null;
+
+  const provider = providers[name];
+  if (provider && provider.available()) return provider;
+
+  if (!warned) {
+    logger.warn(`⚠️  Rescoring provider "${name}" unavailable - LLM rescoring disabled`);
+    warned = true;
+  }
+  return null;
+}
+
+module.exports = {
+  getProvider,
+  providers
+};
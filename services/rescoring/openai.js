@@ -0,0 +1,74 @@
+const rescoringConfig = require('../../config/rescoring');
+const { toArray } = require('../../utils/json');
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const { OpenAI } = require('openai');
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+const SYSTEM_PROMPT = `You are a recruiter assessing how well a candidate fits a job.
+Read the full job description and the candidate's parsed CV. Return only JSON:
+{"fitScore": 0-100, "strengths": ["..."], "gaps": ["..."], "summary": "one sentence"}
+Give at most 3 strengths and 3 gaps, each under 15 words. Judge hard requirements
+(years, must-have skills, certifications, location or visa) strictly.`;
+
+function candidateText(profile) {
+  const experience = toArray(profile.experience)
+    .map(item => `- ${item.role || item.title || ''} at ${item.company || ''} (${item.duration || ''}): ${item.description || ''}`)
+    .join('\n');
+
+  return [
+    `Skills: ${toArray(profile.skills).join(', ')}`,
+    `Desired titles: ${toArray(profile.desired_job_titles).join(', ')}`,
+    experience && `Experience:\n${experience}`,
+    profile.resume_text && `Resume:\n${profile.resume_text.substring(0, rescoringConfig.maxResumeChars)}`
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * OpenAI chat model asked for a JSON fit assessment
+ */
+module.exports = {
+  name: 'openai',
+  model: rescoringConfig.openaiModel,
+
+  available() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async rescore({ job, profile }) {
+    const jobText = [
+      `Title: ${job.title}`,
+      `Company: ${job.company}`,
+      `Location: ${job.location || 'n/a'} (${job.remote_type || 'unknown'})`,
+      `Description:\n${(job.description || '').substring(0, rescoringConfig.maxJobChars)}`
+    ].join('\n');
+
+    const response = await getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: `JOB\n${jobText}\n\nCANDIDATE\n${candidateText(profile)}` }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+      max_tokens: 400
+    });
+
+    const parsed = JSON.parse(response.choices[0].message.content);
+    const fitScore = Math.round(Number(parsed.fitScore));
+    if (!Number.isFinite(fitScore)) throw new Error('Rescoring response has no fitScore');
+
+    return {
+      fitScore: Math.max(0, Math.min(100, fitScore)),
+      strengths: toArray(parsed.strengths).slice(0, 3).map(String),
+      gaps: toArray(parsed.gaps).slice(0, 3).map(String),
+      summary: typeof parsed.summary === 'string' ? parsed.summary : null
+    };
+  }
+};
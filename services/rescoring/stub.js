@@ -0,0 +1,32 @@
+const skillTaxonomyService = require('../skillTaxonomyService');
+const { toArray } = require('../../utils/json');
+
+/**
+ * Deterministic stand-in for an LLM: the fit score is the share of the job's
+ * skills the profile has. Lets the rescoring pass run in tests and offline.
+ */
+module.exports = {
+  name: 'stub',
+  model: 'stub-v1',
+
+  available() {
+    return true;
+  },
+
+  async rescore({ job, profile }) {
+    const userSkills = skillTaxonomyService.normalizeSkills(toArray(profile.skills));
+    const { required, preferred } = skillTaxonomyService.extractJobSkills(job.title, job.description);
+    const jobSkills = [...required, ...preferred];
+
+    const strengths = jobSkills.filter(skill => userSkills.includes(skill));
+    const gaps = required.filter(skill => !userSkills.includes(skill));
+    const fitScore = jobSkills.length ? Math.round(strengths.length / jobSkills.length * 100) : 50;
+
+    return {
+      fitScore,
+      strengths: strengths.map(skill => `Has ${skill}`),
+      gaps: gaps.map(skill => `No ${skill} experience listed`),
+      summary: `${strengths.length} of ${jobSkills.length} listed skills on the resume`
+    };
+  }
+};
@@ -0,0 +1,231 @@
+const { query, transaction } = require('../config/database');
+const embeddingService = require('./embeddingService');
+const experienceService = require('./experienceService');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+const toKey = (...parts) => parts.map(part => (part || '').toString().toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+
+// Version fields safe to list; resume_text is only returned for a single version
+const VERSION_COLUMNS = `id, version_number, resume_url, filename, original_filename, parse_status,
+       parse_error, parsed_data, is_active, created_at, activated_at`;
+
+class ResumeVersionService {
+  /**
+   * Record an uploaded CV as the user's next version, pending parsing
+   */
+  async create(userId, { resumeUrl, filename, originalFilename }) {
+    return transaction(async client => {
+      // Concurrent uploads would both read the same MAX(version_number); the user row lock serializes them
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const result = await client.query(
+        `INSERT INTO resume_versions (user_id, version_number, resume_url, filename, original_filename)
+         VALUES ($1, (SELECT COALESCE(MAX(version_number), 0) + 1 FROM resume_versions WHERE user_id = $1), $2, $3, $4)
+         RETURNING ${VERSION_COLUMNS}`,
+        [userId, resumeUrl, filename, originalFilename || null]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Store the text and parsed output of a version, or why parsing failed
+   */
+  async recordParse(versionId, cvResult) {
+    await query(
+      `UPDATE resume_versions
+       SET parse_status = $1, resume_text = $2, parsed_data = $3, parse_error = $4
+       WHERE id = $5`,
+      [
+        cvResult.success ? 'parsed' : 'failed',
+        cvResult.cvText || null,
+        cvResult.success ? JSON.stringify(cvResult.parsedData) : null,
+        cvResult.success ? null : cvResult.error || 'CV processing failed',
+        versionId
+      ]
+    );
+  }
+
+  /**
+   * Make a parsed version the one matching uses: copy its text and parsed data
+   * onto user_profiles, restart incremental matching from the lookback window and
+   * recompute the resume embedding. Returns the version, or null if it doesn't
+   * belong to the user or hasn't parsed.
+   */
+  async activate(userId, versionId) {
+    const version = await transaction(async client => {
+      const result = await client.query(
+        `SELECT id, resume_url, filename, resume_text, parsed_data
+         FROM resume_versions
+         WHERE id = $1 AND user_id = $2 AND parse_status = 'parsed'
+         FOR UPDATE`,
+        [versionId, userId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const row = result.rows[0];
+      const parsed = row.parsed_data || {};
+      const experience = experienceService.summarize(toArray(parsed.experience));
+
+      // Deactivate first: at most one active version per user is enforced row by row
+      await client.query(
+        'UPDATE resume_versions SET is_active = FALSE WHERE user_id = $1 AND is_active AND id <> $2',
+        [userId, versionId]
+      );
+      await client.query(
+        'UPDATE resume_versions SET is_active = TRUE, activated_at = NOW() WHERE id = $1',
+        [versionId]
+      );
+
+      await client.query(
+        `INSERT INTO user_profiles
+         (user_id, resume_url, resume_text, resume_filename, skills, experience, education,
+          certifications, years_experience, skill_years, seniority, active_resume_version_id, cv_parsed)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, TRUE)
+         ON CONFLICT (user_id)
+         DO UPDATE SET
+           resume_url = $2, resume_text = $3, resume_filename = $4,
+           skills = $5, experience = $6, education = $7, certifications = $8,
+           years_experience = $9, skill_years = $10, seniority = $11,
+           active_resume_version_id = $12, cv_parsed = TRUE,
+           match_watermark_at = NULL, match_watermark_id = NULL, updated_at = CURRENT_TIMESTAMP`,
+        [
+          userId,
+          row.resume_url,
+          row.resume_text,
+          row.filename,
+          JSON.stringify(toArray(parsed.skills)),
+          JSON.stringify(toArray(parsed.experience)),
+          JSON.stringify(toArray(parsed.education)),
+          JSON.stringify(toArray(parsed.certifications)),
+          experience.yearsExperience,
+          JSON.stringify(experience.skillYears),
+          experience.seniority,
+          versionId
+        ]
+      );
+
+      return row;
+    });
+
+    if (!version) return null;
+
+    // New resume, new vector for semantic matching
+    try {
+      await embeddingService.refreshProfileEmbedding(userId);
+    } catch (error) {
+      logger.error(`Profile embedding failed for user ${userId}:`, error);
+    }
+
+    return this.get(userId, versionId);
+  }
+
+  /**
+   * One version with its extracted text
+   */
+  async get(userId, versionId) {
+    const result = await query(
+      `SELECT ${VERSION_COLUMNS}, resume_text
+       FROM resume_versions
+       WHERE id = $1 AND user_id = $2`,
+      [versionId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * All versions, newest first, each with what changed since the version before it
+   */
+  async list(userId) {
+    const result = await query(
+      `SELECT ${VERSION_COLUMNS}
+       FROM resume_versions
+       WHERE user_id = $1
+       ORDER BY version_number DESC`,
+      [userId]
+    );
+
+    return result.rows.map((version, index) => {
+      const previous = result.rows.slice(index + 1).find(row => row.parse_status === 'parsed');
+      const { parsed_data: parsedData, ...rest } = version;
+
+      return {
+        ...rest,
+        skillCount: toArray(parsedData?.skills).length,
+        roleCount: toArray(parsedData?.experience).length,
+        changes: previous && version.parse_status === 'parsed' ? this.diff(previous.parsed_data, parsedData) : null
+      };
+    });
+  }
+
+  /**
+   * What changed between two versions' parsed data: skills, roles, education
+   * and certifications added or removed, and roles whose dates changed
+   */
+  diff(fromParsed, toParsed) {
+    const from = fromParsed || {};
+    const to = toParsed || {};
+
+    const compare = (fromItems, toItems, keyOf) => {
+      const fromKeys = new Map(toArray(fromItems).map(item => [keyOf(item), item]));
+      const toKeys = new Map(toArray(toItems).map(item => [keyOf(item), item]));
+      return {
+        added: [...toKeys].filter(([key]) => !fromKeys.has(key)).map(([, item]) => item),
+        removed: [...fromKeys].filter(([key]) => !toKeys.has(key)).map(([, item]) => item),
+        kept: [...toKeys].filter(([key]) => fromKeys.has(key)).map(([key, item]) => [fromKeys.get(key), item])
+      };
+    };
+
+    const skills = compare(from.skills, to.skills, skill => toKey(skill));
+    const roles = compare(from.experience, to.experience, role => toKey(role.company, role.role));
+    const education = compare(from.education, to.education, item => toKey(item.degree, item.institution));
+    const certifications = compare(from.certifications, to.certifications, item => toKey(item));
+
+    const role = ({ company, role: title, duration }) => ({ company: company || null, role: title || null, duration: duration || null });
+
+    return {
+      skills: { added: skills.added, removed: skills.removed },
+      roles: {
+        added: roles.added.map(role),
+        removed: roles.removed.map(role),
+        changed: roles.kept
+          .filter(([before, after]) => (before.duration || null) !== (after.duration || null))
+          .map(([before, after]) => ({ ...role(after), previousDuration: before.duration || null }))
+      },
+      education: { added: education.added, removed: education.removed },
+      certifications: { added: certifications.added, removed: certifications.removed }
+    };
+  }
+
+  /**
+   * Diff of one version against another (by default, the parsed version before it)
+   */
+  async compare(userId, versionId, againstId = null) {
+    const version = await this.get(userId, versionId);
+    if (!version) return null;
+
+    const againstResult = againstId
+      ? await query(
+        `SELECT ${VERSION_COLUMNS} FROM resume_versions WHERE id = $1 AND user_id = $2`,
+        [againstId, userId]
+      )
+      : await query(
+        `SELECT ${VERSION_COLUMNS} FROM resume_versions
+         WHERE user_id = $1 AND version_number < $2 AND parse_status = 'parsed'
+         ORDER BY version_number DESC
+         LIMIT 1`,
+        [userId, version.version_number]
+      );
+
+    const against = againstResult.rows[0] || null;
+    if (againstId && !against) return null;
+
+    return {
+      version: { id: version.id, versionNumber: version.version_number },
+      against: against ? { id: against.id, versionNumber: against.version_number } : null,
+      changes: this.diff(against?.parsed_data, version.parsed_data)
+    };
+  }
+}
+
+module.exports = new ResumeVersionService();
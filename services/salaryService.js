@@ -0,0 +1,172 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Longest symbols first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['$', 'USD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['₹', 'INR'],
+  ['¥', 'JPY']
+];
+
+const CURRENCY_CODES = ['USD', 'CAD', 'AUD', 'GBP', 'EUR', 'INR', 'JPY', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'SGD', 'NZD'];
+
+const PERIOD_PATTERNS = [
+  ['hourly', /\/\s*h(ou)?r\b|per\s+hour|an\s+hour|hourly|\bph\b/i],
+  ['daily', /\/\s*day\b|per\s+day|a\s+day|daily/i],
+  ['weekly', /\/\s*w(ee)?k\b|per\s+week|a\s+week|weekly/i],
+  ['monthly', /\/\s*mo(nth)?\b|per\s+month|a\s+month|monthly|\bpcm\b/i],
+  ['yearly', /\/\s*y(ea)?r\b|per\s+(year|annum)|a\s+year|annual(ly)?|yearly|\bpa\b|p\.a\./i]
+];
+
+// Multipliers to a yearly figure (40h weeks, 260 working days)
+const ANNUAL_MULTIPLIERS = {
+  hourly: 2080,
+  daily: 260,
+  weekly: 52,
+  monthly: 12,
+  yearly: 1
+};
+
+// "80,000", "80.000", "80 000", "80000", "62.50" with an optional k/m suffix
+const AMOUNT = /(\d{1,3}(?:[,.\s]\d{3})+|\d+(?:\.\d+)?)\s*([km])?\b/gi;
+
+class SalaryService {
+  /**
+   * Parse a free-text salary into structured fields:
+   *   "$80k–$120k"      -> { min: 80000, max: 120000, currency: 'USD', period: 'yearly', ... }
+   *   "$60/hr"          -> { min: 60, max: 60, period: 'hourly', annualMin: 124800, ... }
+   * Returns null when no amount can be found.
+   */
+  parse(text) {
+    if (!text) return null;
+
+    const amounts = this.extractAmounts(text);
+    if (amounts.length === 0) return null;
+
+    let min = amounts[0];
+    let max = amounts.length > 1 ? amounts[1] : amounts[0];
+    if (max < min) [min, max] = [max, min];
+
+    const currency = this.detectCurrency(text);
+    const period = this.detectPeriod(text) || this.inferPeriod(max);
+    const multiplier = ANNUAL_MULTIPLIERS[period];
+
+    return {
+      min,
+      max,
+      currency,
+      period,
+      annualMin: Math.round(min * multiplier),
+      annualMax: Math.round(max * multiplier)
+    };
+  }
+
+  /**
+   * Pull the first two amounts, applying a trailing "k" to a bare lower bound ("80-120k").
+   * Benefits after a "+" ("$120k + bonus") and 401(k) mentions are not pay.
+   */
+  extractAmounts(text) {
+    const pay = text.replace(/\b401\s*\(?k\)?/gi, ' ').split('+')[0];
+    const matches = [...pay.matchAll(AMOUNT)]
+      .map(match => ({ value: this.toNumber(match[1]), suffix: (match[2] || '').toLowerCase() }))
+      .filter(amount => amount.value > 0)
+      .slice(0, 2);
+
+    if (matches.length === 2 && !matches[0].suffix && matches[1].suffix && matches[0].value < 1000) {
+      matches[0].suffix = matches[1].suffix;
+    }
+
+    return matches.map(({ value, suffix }) => {
+      if (suffix === 'k') return value * 1000;
+      if (suffix === 'm') return value * 1000000;
+      return value;
+    });
+  }
+
+  /**
+   * "80,000" / "80.000" / "80 000" -> 80000, "62.50" -> 62.5
+   */
+  toNumber(raw) {
+    if (/^\d{1,3}([,.\s]\d{3})+$/.test(raw)) {
+      return parseInt(raw.replace(/[,.\s]/g, ''), 10);
+    }
+    return parseFloat(raw);
+  }
+
+  detectCurrency(text) {
+    const upper = text.toUpperCase();
+    const code = CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`).test(upper));
+    if (code) return code;
+
+    const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+    return symbol ? symbol[1] : null;
+  }
+
+  detectPeriod(text) {
+    const found = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+  }
+
+  /**
+   * No stated period: small amounts are hourly rates, anything else is a yearly salary
+   */
+  inferPeriod(amount) {
+    return amount < 500 ? 'hourly' : 'yearly';
+  }
+
+  /**
+   * Column values for job_listings, in insert order:
+   * salary_min, salary_max, salary_currency, salary_period, salary_annual_min, salary_annual_max
+   */
+  toColumns(text) {
+    const salary = this.parse(text);
+    if (!salary) return [null, null, null, null, null, null];
+
+    return [salary.min, salary.max, salary.currency, salary.period, salary.annualMin, salary.annualMax];
+  }
+
+  /**
+   * Store structured salary for one listing from its salary_range text
+   */
+  async updateListing(jobId, salaryRange) {
+    await query(
+      `UPDATE job_listings
+       SET salary_min = $1, salary_max = $2, salary_currency = $3, salary_period = $4,
+           salary_annual_min = $5, salary_annual_max = $6
+       WHERE id = $7`,
+      [...this.toColumns(salaryRange), jobId]
+    );
+  }
+
+  /**
+   * Parse salary_range on listings saved before structured salaries existed
+   */
+  async backfill() {
+    const result = await query(
+      `SELECT id, salary_range FROM job_listings
+       WHERE salary_range IS NOT NULL AND salary_period IS NULL`
+    );
+
+    let parsed = 0;
+    for (const row of result.rows) {
+      try {
+        await this.updateListing(row.id, row.salary_range);
+        if (this.parse(row.salary_range)) parsed++;
+      } catch (error) {
+        logger.error(`Salary backfill failed for job ${row.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Salary backfill complete: ${parsed} of ${result.rows.length} listings parsed`);
+    return { scanned: result.rows.length, parsed };
+  }
+}
+
+module.exports = new SalaryService();
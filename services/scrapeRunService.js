@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const scraperConfig = require('../config/scrapers');
+const emailService = require('./emailServices');
+const logger = require('../utils/logger');
+
+class ScrapeRunService {
+  /**
+   * New id grouping all sources scraped in one run
+   */
+  newRunId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Map a scraping error to a coarse class for run history
+   */
+  classifyError(error) {
+    if (!error) return null;
+
+    const message = (error.message || '').toLowerCase();
+    if (error.name === 'BlockedError') return 'blocked';
+    if (error.name === 'RobotsDisallowedError') return 'robots_disallowed';
+    if (message.includes('waiting for selector')) return 'selector_timeout';
+    if (message.includes('navigation timeout')) return 'navigation_timeout';
+    if (message.includes('net::err') || message.includes('fetch failed') || message.includes('econn')) return 'network';
+    if (/returned (4|5)\d\d/.test(message)) return 'http_error';
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return 'timeout';
+    return error.name || 'Error';
+  }
+
+  /**
+   * Compare a run's yield against recent runs of the same source and query
+   * (search keywords, or board slug for ATS sources)
+   */
+  async detectAnomaly(source, keywords, cardsParsed) {
+    const { baselineRuns, dropRatio } = scraperConfig.health;
+
+    const history = await query(
+      `SELECT AVG(cards_parsed)::NUMERIC(8, 2) as baseline, COUNT(*) as runs
+       FROM (
+         SELECT cards_parsed FROM scrape_runs
+         WHERE source = $1 AND keywords IS NOT DISTINCT FROM $2 AND status = 'success'
+         ORDER BY started_at DESC
+         LIMIT $3
+       ) recent`,
+      [source, keywords || null, baselineRuns]
+    );
+
+    const baseline = parseFloat(history.rows[0].baseline) || 0;
+    if (parseInt(history.rows[0].runs) === 0 || baseline === 0) {
+      return { alert: null, baseline };
+    }
+
+    if (cardsParsed === 0) return { alert: 'zero_yield', baseline };
+    if (cardsParsed < baseline * dropRatio) return { alert: 'yield_drop', baseline };
+    return { alert: null, baseline };
+  }
+
+  /**
+   * Store one source's run and flag it if the yield looks broken
+   */
+  async recordRun(run) {
+    const errorClass = this.classifyError(run.error);
+    const status = run.error ? 'failed' : run.cardsParsed === 0 ? 'empty' : 'success';
+
+    let alert = null;
+    let baseline = null;
+    try {
+      ({ alert, baseline } = await this.detectAnomaly(run.source, run.keywords, run.cardsParsed || 0));
+    } catch (error) {
+      logger.error(`Health check failed for ${run.source}:`, error);
+    }
+
+    const finishedAt = run.finishedAt || new Date();
+
+    const result = await query(
+      `INSERT INTO scrape_runs
+       (run_id, source, keywords, location, status, started_at, finished_at, duration_ms,
+        cards_found, cards_parsed, saved, duplicates, blocked_count, block_reason,
+        error_class, error_message, alert, baseline_yield)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING *`,
+      [
+        run.runId,
+        run.source,
+        run.keywords || null,
+        run.location || null,
+        status,
+        run.startedAt,
+        finishedAt,
+        finishedAt - run.startedAt,
+        run.cardsFound || 0,
+        run.cardsParsed || 0,
+        run.saved || 0,
+        run.duplicates || 0,
+        run.blocked || 0,
+        run.blockReason || null,
+        errorClass,
+        run.error ? run.error.message : null,
+        alert,
+        baseline
+      ]
+    );
+
+    if (alert) {
+      logger.warn(`🚨 ${run.source} ${alert}: parsed ${run.cardsParsed} cards vs baseline ${baseline} - selectors may have changed`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Email admins about sources flagged in a run
+   */
+  async notifyAlerts(runs) {
+    const alerts = runs.filter(run => run && run.alert);
+    if (alerts.length === 0 || !process.env.ADMIN_EMAIL) return;
+
+    await emailService.sendScraperAlertEmail(process.env.ADMIN_EMAIL, alerts);
+  }
+
+  /**
+   * Browse run history
+   */
+  async getRuns({ source, status, alertsOnly = false, page = 1, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (source) {
+      params.push(source);
+      conditions.push(`source = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (alertsOnly) {
+      conditions.push('alert IS NOT NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit, (page - 1) * limit);
+
+    const result = await query(
+      `SELECT * FROM scrape_runs
+       ${where}
+       ORDER BY started_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Latest run and 7-day aggregates per source
+   */
+  async getSourceHealth() {
+    const result = await query(
+      `SELECT
+         source,
+         COUNT(*) as runs_7d,
+         COUNT(*) FILTER (WHERE status = 'failed') as failed_7d,
+         COUNT(*) FILTER (WHERE alert IS NOT NULL) as alerts_7d,
+         SUM(blocked_count) as blocked_requests_7d,
+         ROUND(AVG(cards_parsed), 1) as avg_cards_parsed_7d,
+         SUM(saved) as saved_7d,
+         ROUND(AVG(duration_ms)) as avg_duration_ms_7d,
+         (ARRAY_AGG(status ORDER BY started_at DESC))[1] as last_status,
+         (ARRAY_AGG(alert ORDER BY started_at DESC))[1] as last_alert,
+         (ARRAY_AGG(error_class ORDER BY started_at DESC))[1] as last_error_class,
+         MAX(started_at) as last_run_at
+       FROM scrape_runs
+       WHERE started_at > NOW() - INTERVAL '7 days'
+       GROUP BY source
+       ORDER BY source`
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = new ScrapeRunService();
@@ -0,0 +1,77 @@
+const cheerio = require('cheerio');
+const { cleanText, absoluteUrl, textOf, isClosedText, isRemoteLocation } = require('../helpers');
+
+/**
+ * AngelList/Wellfound job search adapter
+ */
+module.exports = {
+  name: 'angellist',
+  baseUrl: 'https://wellfound.com',
+  resultsSelector: '[data-test="JobSearchResults"]',
+  infiniteScroll: true,
+  enabledByDefault: true,
+
+  /**
+   * Build search results URL
+   */
+  buildSearchUrl({ keywords }) {
+    return `${this.baseUrl}/jobs?q=${encodeURIComponent(keywords)}`;
+  },
+
+  /**
+   * Extract raw job cards from a search results page
+   */
+  extractCards(html) {
+    const $ = cheerio.load(html);
+
+    return $('[data-test="StartupResult"]').toArray().map((el) => {
+      const url = absoluteUrl($(el).find('a[data-test="StartupResult-link"]').attr('href'), this.baseUrl);
+
+      return {
+        title: textOf($, el, '[data-test="StartupResult-title"]'),
+        company: textOf($, el, '[data-test="StartupResult-startupName"]'),
+        location: textOf($, el, '[data-test="StartupResult-location"]'),
+        url,
+        externalId: url.split('/').pop() || ''
+      };
+    });
+  },
+
+  /**
+   * Extract full details from an individual job page
+   */
+  extractDetail(html) {
+    const $ = cheerio.load(html);
+
+    return {
+      description: cleanText($('[data-test="JobDescription"]').text() || $('#job-description').text()),
+      salary: textOf($, 'body', '[data-test="JobListing-compensation"]') || null,
+      employmentType: textOf($, 'body', '[data-test="JobListing-jobType"]') || null,
+      seniority: textOf($, 'body', '[data-test="JobListing-experience"]') || null,
+      postedAt: null
+    };
+  },
+
+  /**
+   * Whether a job page shows the posting as closed
+   */
+  detectClosed(html) {
+    const $ = cheerio.load(html);
+    return isClosedText($('main').text() || $('body').text());
+  },
+
+  /**
+   * Normalize a raw card into the shape saveJobs expects
+   */
+  normalize(card) {
+    if (!card.title || !card.company || !card.externalId) return null;
+
+    return {
+      ...card,
+      source: this.name,
+      description: '',
+      postedAt: new Date().toISOString(),
+      remote: isRemoteLocation(card.location)
+    };
+  }
+};
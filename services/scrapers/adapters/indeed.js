@@ -0,0 +1,87 @@
+const cheerio = require('cheerio');
+const { cleanText, absoluteUrl, textOf, isClosedText, isRemoteLocation } = require('../helpers');
+
+/**
+ * Indeed job search adapter
+ */
+module.exports = {
+  name: 'indeed',
+  baseUrl: 'https://www.indeed.com',
+  resultsSelector: '.job_seen_beacon',
+  infiniteScroll: false,
+  enabledByDefault: true,
+  pageSize: 10,
+
+  /**
+   * Build search results URL. Sorted newest first so paging can stop at stored listings.
+   */
+  buildSearchUrl({ keywords, location = '', page = 0 }) {
+    const start = page > 0 ? `&start=${page * this.pageSize}` : '';
+    return `${this.baseUrl}/jobs?q=${encodeURIComponent(keywords)}&l=${encodeURIComponent(location)}&sort=date${start}`;
+  },
+
+  /**
+   * Extract raw job cards from a search results page
+   */
+  extractCards(html) {
+    const $ = cheerio.load(html);
+
+    return $('.job_seen_beacon').toArray().map((el) => {
+      const linkEl = $(el).find('h2.jobTitle a').first();
+      const externalId = (linkEl.attr('id') || '').replace('job_', '') || linkEl.attr('data-jk') || '';
+
+      return {
+        title: textOf($, el, 'h2.jobTitle span'),
+        company: textOf($, el, '[data-testid="company-name"]'),
+        location: textOf($, el, '[data-testid="text-location"]'),
+        url: externalId ? `${this.baseUrl}/viewjob?jk=${externalId}` : absoluteUrl(linkEl.attr('href'), this.baseUrl),
+        description: textOf($, el, '.job-snippet'),
+        externalId
+      };
+    });
+  },
+
+  /**
+   * Extract full details from an individual job page
+   */
+  extractDetail(html) {
+    const $ = cheerio.load(html);
+
+    const jobTypes = $('#salaryInfoAndJobType span').toArray().map(el => cleanText($(el).text()));
+    const salary = jobTypes.find(text => /[$£€]\s?\d/.test(text)) || null;
+    const employmentType = jobTypes.find(text => text && text !== salary) || null;
+
+    return {
+      description: cleanText($('#jobDescriptionText').text()),
+      salary,
+      employmentType: employmentType ? employmentType.replace(/^-\s*/, '') : null,
+      seniority: null,
+      postedAt: null
+    };
+  },
+
+  /**
+   * Whether a job page shows the posting as closed
+   */
+  detectClosed(html) {
+    const $ = cheerio.load(html);
+    if ($('#jobDescriptionText').length === 0 && $('.jobsearch-JobInfoHeader-title').length === 0) {
+      return isClosedText($('body').text());
+    }
+    return isClosedText(textOf($, 'body', '.jobsearch-JobInfoHeader-expiredHeader, [data-testid="expired-job-message"]'));
+  },
+
+  /**
+   * Normalize a raw card into the shape saveJobs expects
+   */
+  normalize(card) {
+    if (!card.title || !card.company || !card.externalId) return null;
+
+    return {
+      ...card,
+      source: this.name,
+      postedAt: new Date().toISOString(),
+      remote: isRemoteLocation(card.location)
+    };
+  }
+};
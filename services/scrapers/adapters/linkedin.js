@@ -0,0 +1,93 @@
+const cheerio = require('cheerio');
+const { cleanText, absoluteUrl, textOf, isClosedText, isRemoteLocation } = require('../helpers');
+
+/**
+ * LinkedIn guest job search adapter
+ */
+module.exports = {
+  name: 'linkedin',
+  baseUrl: 'https://www.linkedin.com',
+  resultsSelector: '.base-card',
+  infiniteScroll: false,
+  enabledByDefault: true,
+  pageSize: 25,
+
+  /**
+   * Build search results URL. Later pages come from the guest pagination
+   * endpoint, which returns bare result cards. Sorted newest first so paging
+   * can stop at stored listings.
+   */
+  buildSearchUrl({ keywords, location = '', page = 0 }) {
+    const params = `keywords=${encodeURIComponent(keywords)}&location=${encodeURIComponent(location)}&sortBy=DD`;
+    if (page === 0) {
+      return `${this.baseUrl}/jobs/search/?${params}`;
+    }
+    return `${this.baseUrl}/jobs-guest/jobs/api/seeMoreJobPostings/search?${params}&start=${page * this.pageSize}`;
+  },
+
+  /**
+   * Extract raw job cards from a search results page
+   */
+  extractCards(html) {
+    const $ = cheerio.load(html);
+
+    return $('.base-card').toArray().map((el) => {
+      const href = $(el).find('a.base-card__full-link').attr('href') || '';
+      const urn = $(el).attr('data-entity-urn') || '';
+
+      return {
+        title: textOf($, el, '.base-search-card__title'),
+        company: textOf($, el, '.base-search-card__subtitle'),
+        location: textOf($, el, '.job-search-card__location'),
+        url: absoluteUrl(href.split('?')[0], this.baseUrl),
+        postedAt: $(el).find('time').attr('datetime') || null,
+        externalId: href.match(/\/(\d+)\//)?.[1] || href.match(/-(\d+)\/?(?:\?|$)/)?.[1] || urn.split(':').pop() || ''
+      };
+    });
+  },
+
+  /**
+   * Extract full details from an individual job page
+   */
+  extractDetail(html) {
+    const $ = cheerio.load(html);
+
+    const criteria = {};
+    $('.description__job-criteria-item').each((i, el) => {
+      const label = textOf($, el, '.description__job-criteria-subheader').toLowerCase();
+      criteria[label] = textOf($, el, '.description__job-criteria-text');
+    });
+
+    return {
+      description: cleanText($('.show-more-less-html__markup').first().text() || $('.description__text').first().text()),
+      salary: textOf($, 'body', '.salary.compensation__salary') || null,
+      employmentType: criteria['employment type'] || null,
+      seniority: criteria['seniority level'] || null,
+      postedAt: $('.posted-time-ago__text').first().attr('datetime') || null
+    };
+  },
+
+  /**
+   * Whether a job page shows the posting as closed
+   */
+  detectClosed(html) {
+    const $ = cheerio.load(html);
+    if ($('.closed-job').length > 0) return true;
+    return isClosedText(textOf($, 'body', '.top-card-layout__entity-info-container, .closed-job__flavor--closed'));
+  },
+
+  /**
+   * Normalize a raw card into the shape saveJobs expects
+   */
+  normalize(card) {
+    if (!card.title || !card.company || !card.externalId) return null;
+
+    return {
+      ...card,
+      source: this.name,
+      description: '',
+      postedAt: card.postedAt || new Date().toISOString(),
+      remote: isRemoteLocation(card.location)
+    };
+  }
+};
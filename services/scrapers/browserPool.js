@@ -0,0 +1,60 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const proxyPool = require('./proxyPool');
+
+puppeteer.use(StealthPlugin());
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu'
+];
+
+/**
+ * Stealth browsers for scraping, one per proxy.
+ * Pages open in the browser for the pool's current proxy, so rotating the
+ * proxy doesn't disturb pages already in flight.
+ */
+class BrowserPool {
+  constructor() {
+    this.browsers = new Map();
+  }
+
+  async getBrowser(proxy = proxyPool.current()) {
+    const key = proxy ? proxy.server : 'direct';
+
+    // Cache the launch itself so concurrent callers share one browser per proxy
+    if (!this.browsers.has(key)) {
+      const args = proxy ? [...LAUNCH_ARGS, `--proxy-server=${proxy.server}`] : LAUNCH_ARGS;
+      const launching = puppeteer.launch({ headless: 'new', args });
+      this.browsers.set(key, launching);
+
+      // A failed launch must not stay cached, or the next call could never retry
+      launching.catch(() => {
+        if (this.browsers.get(key) === launching) this.browsers.delete(key);
+      });
+    }
+    return this.browsers.get(key);
+  }
+
+  async newPage() {
+    const proxy = proxyPool.current();
+    const browser = await this.getBrowser(proxy);
+    const page = await browser.newPage();
+
+    if (proxy && proxy.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+    return page;
+  }
+
+  async closeAll() {
+    const browsers = [...this.browsers.values()];
+    this.browsers.clear();
+    await Promise.all(browsers.map(launching => launching.then(browser => browser.close()).catch(() => {})));
+  }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,40 @@
+const scraperConfig = require('../../config/scrapers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Spaces out requests to the same host: each request reserves the next free
+ * slot for its domain (interval + random jitter) and waits until it comes up.
+ */
+class DomainScheduler {
+  constructor(config = scraperConfig.politeness) {
+    this.config = config;
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Minimum gap between requests to a host
+   */
+  intervalFor(host) {
+    return this.config.domainIntervals[host] || this.config.defaultIntervalMs;
+  }
+
+  /**
+   * Wait for this URL's domain slot
+   */
+  async wait(url) {
+    const host = new URL(url).hostname.toLowerCase();
+    const now = Date.now();
+
+    // Reserve synchronously so concurrent callers queue up instead of racing
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    const jitter = Math.round(Math.random() * this.config.jitterMs);
+    this.nextSlot.set(host, slot + this.intervalFor(host) + jitter);
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+module.exports = new DomainScheduler();
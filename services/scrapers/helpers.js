@@ -0,0 +1,76 @@
+const cheerio = require('cheerio');
+
+/**
+ * Shared helpers for scraper adapters
+ */
+
+/**
+ * Collapse whitespace in text pulled out of HTML
+ */
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Strip tags from an HTML fragment, keeping block boundaries as line breaks
+ */
+function htmlToText(html) {
+  if (!html) return '';
+  const $ = cheerio.load(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/(p|div|li|h[1-6])>|<br\s*\/?>/gi, '$&\n'));
+  return $.root().text().split('\n').map(cleanText).filter(Boolean).join('\n');
+}
+
+/**
+ * Resolve a (possibly relative) href against the board's base URL
+ */
+function absoluteUrl(href, baseUrl) {
+  if (!href) return '';
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Text of the first element matching selector inside a cheerio node
+ */
+function textOf($, root, selector) {
+  return cleanText($(root).find(selector).first().text());
+}
+
+// Phrases boards show on closed or expired postings
+const CLOSED_PATTERNS = [
+  /no longer accepting applications/i,
+  /no longer available/i,
+  /this job has expired/i,
+  /job (posting )?(has )?(been )?(closed|removed|filled)/i,
+  /position has been filled/i,
+  /this (job|position|posting) is (closed|no longer open)/i,
+  /the job you are looking for (is no longer|was not found)/i
+];
+
+/**
+ * Whether page text says the posting is closed
+ */
+function isClosedText(text) {
+  return CLOSED_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+/**
+ * Basic remote detection from a location string
+ */
+function isRemoteLocation(location) {
+  return (location || '').toLowerCase().includes('remote');
+}
+
+module.exports = {
+  cleanText,
+  htmlToText,
+  absoluteUrl,
+  textOf,
+  isClosedText,
+  isRemoteLocation
+};
@@ -0,0 +1,77 @@
+const scraperConfig = require('../../config/scrapers');
+
+/**
+ * Scraper adapter registry
+ *
+ * An adapter is a plain object describing one job board:
+ *   name              - unique source name stored in job_listings.source
+ *   baseUrl           - used to resolve relative links
+ *   resultsSelector   - selector to wait for on the search page
+ *   infiniteScroll    - whether the search page needs scrolling to load cards
+ *   enabledByDefault  - scraped when SCRAPER_SOURCES is not set
+ *   pageSize          - (optional) cards per results page; boards with it are paginated
+ *   buildSearchUrl({ keywords, location, page })  -> string, page is zero-based
+ *   extractCards(html)                      -> raw card objects
+ *   extractDetail(html)                     -> { description, salary, employmentType, seniority, postedAt }
+ *   normalize(card)                         -> job for saveJobs, or null to drop it
+ *   detectClosed(html)  (optional)          -> true if the job page shows the posting as closed
+ *
+ * Extractors take HTML strings so they can run against saved fixtures without a browser.
+ */
+const REQUIRED_METHODS = ['buildSearchUrl', 'extractCards', 'extractDetail', 'normalize'];
+
+const adapters = new Map();
+
+/**
+ * Register a scraper adapter
+ */
+function register(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Scraper adapter must have a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Scraper adapter "${adapter.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+/**
+ * Get adapter by source name
+ */
+function get(name) {
+  return adapters.get(name) || null;
+}
+
+/**
+ * List all registered adapters
+ */
+function list() {
+  return [...adapters.values()];
+}
+
+/**
+ * Adapters enabled for this deployment
+ */
+function enabled(config = scraperConfig) {
+  return list().filter((adapter) => {
+    if (config.disabledSources.includes(adapter.name)) return false;
+    if (config.enabledSources.length > 0) return config.enabledSources.includes(adapter.name);
+    return adapter.enabledByDefault !== false;
+  });
+}
+
+// Built-in boards
+register(require('./adapters/linkedin'));
+register(require('./adapters/indeed'));
+register(require('./adapters/angellist'));
+
+module.exports = {
+  register,
+  get,
+  list,
+  enabled
+};
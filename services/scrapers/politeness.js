@@ -0,0 +1,90 @@
+const domainScheduler = require('./domainScheduler');
+const robots = require('./robots');
+const proxyPool = require('./proxyPool');
+const scraperConfig = require('../../config/scrapers');
+const logger = require('../../utils/logger');
+
+const CAPTCHA_PATTERNS = [
+  /g-recaptcha|hcaptcha|cf-challenge|challenge-platform|captcha-delivery/i,
+  /verify (that )?you are (a )?human/i,
+  /unusual traffic from your (computer )?network/i,
+  /are you a robot/i,
+  /security check to access/i
+];
+
+class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`robots.txt disallows ${url}`);
+    this.name = 'RobotsDisallowedError';
+  }
+}
+
+class BlockedError extends Error {
+  constructor(url, reason, blocked) {
+    super(`Blocked (${reason}) fetching ${url}`);
+    this.name = 'BlockedError';
+    this.blockReason = reason;
+    this.blocked = blocked;
+  }
+}
+
+/**
+ * Detect rate limiting or bot walls from a response
+ */
+function detectBlock(status, html) {
+  if (status === 429) return 'rate_limited';
+  if (CAPTCHA_PATTERNS.some(pattern => pattern.test(html || ''))) return 'captcha';
+  if (status === 403 || status === 999) return 'forbidden';
+  return null;
+}
+
+/**
+ * Navigate politely: honour robots.txt, wait for the domain's slot, and on a
+ * block rotate to the next proxy and retry. Resolves with an open page the
+ * caller must close, plus how many attempts were blocked.
+ */
+async function openPage(browsers, url, options = {}) {
+  if (!(await robots.isAllowed(url))) {
+    throw new RobotsDisallowedError(url);
+  }
+
+  const maxAttempts = Math.min(scraperConfig.politeness.maxBlockedRetries, Math.max(1, proxyPool.size));
+  let blocked = 0;
+  let blockReason = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    await domainScheduler.wait(url);
+
+    const page = await browsers.newPage();
+    try {
+      const response = await page.goto(url, {
+        waitUntil: options.waitUntil || 'domcontentloaded',
+        timeout: options.timeout || scraperConfig.navigationTimeout
+      });
+
+      const status = response ? response.status() : 200;
+      blockReason = detectBlock(status, await page.content());
+
+      if (!blockReason) {
+        return { page, status, blocked };
+      }
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error;
+    }
+
+    await page.close().catch(() => {});
+    blocked++;
+    logger.warn(`⛔ ${new URL(url).hostname} blocked request (${blockReason}), attempt ${attempt + 1}/${maxAttempts}`);
+    proxyPool.rotate(blockReason);
+  }
+
+  throw new BlockedError(url, blockReason, blocked);
+}
+
+module.exports = {
+  detectBlock,
+  openPage,
+  RobotsDisallowedError,
+  BlockedError
+};
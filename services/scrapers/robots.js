@@ -0,0 +1,120 @@
+const scraperConfig = require('../../config/scrapers');
+const logger = require('../../utils/logger');
+
+const cache = new Map();
+
+/**
+ * Parse robots.txt into rules for our user agent.
+ * Uses the most specific matching group, falling back to "*".
+ */
+function parseRobots(text, userAgent = scraperConfig.politeness.robotsUserAgent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+      lastWasAgent = false;
+    } else {
+      lastWasAgent = false;
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const specific = groups.filter(group => group.agents.some(a => a !== '*' && agent.includes(a)));
+  const matched = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+  return matched.flatMap(group => group.rules);
+}
+
+/**
+ * Convert a robots path pattern (with * and $) to a RegExp
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Longest matching rule wins; ties go to allow
+ */
+function isPathAllowed(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch (and cache) robots.txt rules for an origin
+ */
+async function getRules(origin) {
+  const cached = cache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < scraperConfig.politeness.robotsCacheTtlMs) {
+    return cached.rules;
+  }
+
+  let rules;
+  try {
+    const response = await fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(10000) });
+
+    if (response.ok) {
+      rules = parseRobots(await response.text());
+    } else if (response.status >= 500) {
+      // Server error: treat the whole site as off-limits until next fetch
+      rules = [{ allow: false, path: '/' }];
+    } else {
+      // No robots.txt: everything allowed
+      rules = [];
+    }
+  } catch (error) {
+    logger.warn(`Could not fetch robots.txt for ${origin}: ${error.message}`);
+    rules = [];
+  }
+
+  cache.set(origin, { rules, fetchedAt: Date.now() });
+  return rules;
+}
+
+/**
+ * Whether robots.txt lets us fetch this URL
+ */
+async function isAllowed(url) {
+  if (!scraperConfig.politeness.respectRobots) return true;
+
+  const { origin, pathname, search } = new URL(url);
+  const rules = await getRules(origin);
+  return isPathAllowed(rules, `${pathname}${search}`);
+}
+
+module.exports = {
+  parseRobots,
+  isPathAllowed,
+  isAllowed
+};
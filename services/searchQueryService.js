@@ -0,0 +1,71 @@
+const { query } = require('../config/database');
+const scraperConfig = require('../config/scrapers');
+const { toArray } = require('../utils/json');
+const logger = require('../utils/logger');
+
+// Per-user caps so one profile with many titles can't crowd out everyone else
+const MAX_TITLES_PER_USER = 3;
+const MAX_LOCATIONS_PER_USER = 3;
+
+class SearchQueryService {
+  /**
+   * Normalize a keyword or location for deduplication
+   */
+  normalize(value) {
+    return (value || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build weighted, deduplicated keyword/location pairs from profiles.
+   * Weight = number of users sharing the pair. Highest weights win the cap.
+   */
+  aggregateQueries(profiles, maxQueries = scraperConfig.maxQueriesPerRun) {
+    const queries = new Map();
+
+    for (const profile of profiles) {
+      const titles = [...new Set(toArray(profile.desired_job_titles).map(t => this.normalize(t)).filter(Boolean))]
+        .slice(0, MAX_TITLES_PER_USER);
+      const locations = [...new Set(toArray(profile.desired_locations).map(l => this.normalize(l)))]
+        .slice(0, MAX_LOCATIONS_PER_USER);
+
+      if (locations.length === 0) locations.push('');
+
+      for (const keywords of titles) {
+        for (const location of locations) {
+          const key = `${keywords}|${location}`;
+          const existing = queries.get(key) || { keywords, location, weight: 0 };
+          existing.weight++;
+          queries.set(key, existing);
+        }
+      }
+    }
+
+    return [...queries.values()]
+      .sort((a, b) => b.weight - a.weight || a.keywords.localeCompare(b.keywords) || a.location.localeCompare(b.location))
+      .slice(0, maxQueries);
+  }
+
+  /**
+   * Search queries for today's scrape from every completed profile
+   */
+  async buildQueries(maxQueries = scraperConfig.maxQueriesPerRun) {
+    const result = await query(
+      `SELECT up.desired_job_titles, up.desired_locations
+       FROM user_profiles up
+       JOIN users u ON u.id = up.user_id
+       WHERE up.profile_completed = TRUE AND u.is_active = TRUE`
+    );
+
+    const queries = this.aggregateQueries(result.rows, maxQueries);
+
+    if (queries.length === 0) {
+      logger.info('No desired titles in profiles - using default search keywords');
+      return [{ keywords: scraperConfig.defaultKeywords, location: '', weight: 1 }];
+    }
+
+    logger.info(`Built ${queries.length} search queries from ${result.rows.length} profiles`);
+    return queries;
+  }
+}
+
+module.exports = new SearchQueryService();
@@ -0,0 +1,184 @@
+const { query } = require('../config/database');
+const { SKILLS } = require('./skills/taxonomy');
+const logger = require('../utils/logger');
+
+// Credit for a related skill, by how the user's skill relates to the one asked for
+const RELATED_CREDIT = {
+  exact: 1,
+  narrower: 0.8, // Job asks for JavaScript, user knows React
+  broader: 0.4, // Job asks for React, user knows JavaScript
+  sibling: 0.3 // Job asks for Vue, user knows React
+};
+
+// Section headings in job descriptions
+const REQUIRED_HEADING = /\b(requirements|required|qualifications|must[- ]haves?|what you('ll)? (need|bring)|you have|about you|who you are|skills)\b/i;
+const PREFERRED_HEADING = /\b(nice[- ]to[- ]haves?|preferred|bonus|pluses|desired|desirable|good to have|extra credit)\b/i;
+const PREFERRED_INLINE = /\b(a plus|is a plus|are a plus|nice[- ]to[- ]have|bonus( points)?|preferred|desirable|ideally)\b/i;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const toKey = text => (text || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Skill names contain "+", "#" and "." so word boundaries are spelled out
+const wrap = alternatives => `(?<![a-z0-9+#.])(${alternatives})(?![a-z0-9+#])`;
+
+class SkillTaxonomyService {
+  constructor() {
+    this.skills = new Map();
+    this.aliases = new Map();
+
+    const insensitive = [];
+    const sensitive = [];
+
+    for (const skill of SKILLS) {
+      this.skills.set(skill.name, skill);
+      this.aliases.set(toKey(skill.name), skill.name);
+      for (const alias of skill.aliases) this.aliases.set(toKey(alias), skill.name);
+
+      (skill.caseSensitive ? sensitive : insensitive).push(skill.name);
+      insensitive.push(...skill.aliases);
+    }
+
+    // Longest first so "React Native" wins over "React"
+    const byLength = (a, b) => b.length - a.length;
+    this.insensitivePattern = new RegExp(wrap(insensitive.sort(byLength).map(escapeRegex).join('|')), 'gi');
+    this.sensitivePattern = new RegExp(wrap(sensitive.sort(byLength).map(escapeRegex).join('|')), 'g');
+  }
+
+  /**
+   * Canonical taxonomy name for a skill or alias, or null if unknown
+   */
+  canonicalize(name) {
+    return this.aliases.get(toKey(name)) || null;
+  }
+
+  /**
+   * Map a skill list onto the taxonomy. Unknown skills are kept as written.
+   */
+  normalizeSkills(skills) {
+    const result = new Map();
+    for (const skill of skills || []) {
+      if (typeof skill !== 'string' || !skill.trim()) continue;
+
+      const name = this.canonicalize(skill) || skill.trim();
+      if (!result.has(toKey(name))) result.set(toKey(name), name);
+    }
+    return [...result.values()];
+  }
+
+  /**
+   * Canonical skills mentioned in free text
+   */
+  extractSkills(text) {
+    if (!text) return [];
+
+    const found = new Set();
+    for (const pattern of [this.insensitivePattern, this.sensitivePattern]) {
+      for (const match of text.matchAll(pattern)) {
+        const name = this.canonicalize(match[1]);
+        if (name) found.add(name);
+      }
+    }
+    return [...found];
+  }
+
+  /**
+   * Split a job's skills into required and nice-to-have using description
+   * sections ("Nice to have", "Bonus") and inline cues ("... is a plus").
+   * A skill named anywhere as required stays required.
+   */
+  extractJobSkills(title, description) {
+    const required = new Set(this.extractSkills(title));
+    const preferred = new Set();
+
+    let section = 'required';
+    for (const line of (description || '').split(/\n+/)) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      // Short lines without sentence punctuation are headings
+      if (trimmed.length <= 60 && !/[.!?]$/.test(trimmed.replace(/:$/, ''))) {
+        if (PREFERRED_HEADING.test(trimmed)) {
+          section = 'preferred';
+        } else if (REQUIRED_HEADING.test(trimmed)) {
+          section = 'required';
+        }
+      }
+
+      const target = section === 'preferred' || PREFERRED_INLINE.test(trimmed) ? preferred : required;
+      for (const skill of this.extractSkills(trimmed)) target.add(skill);
+    }
+
+    for (const skill of required) preferred.delete(skill);
+    return { required: [...required], preferred: [...preferred] };
+  }
+
+  /**
+   * Parent chain of a skill, nearest first
+   */
+  ancestors(name) {
+    const chain = [];
+    let skill = this.skills.get(name);
+    while (skill && skill.parent && !chain.includes(skill.parent)) {
+      chain.push(skill.parent);
+      skill = this.skills.get(skill.parent);
+    }
+    return chain;
+  }
+
+  /**
+   * How a user's skill relates to a required one: 'exact', 'narrower', 'broader', 'sibling' or null
+   */
+  relation(userSkill, jobSkill) {
+    if (userSkill === jobSkill) return 'exact';
+    if (this.ancestors(userSkill).includes(jobSkill)) return 'narrower';
+    if (this.ancestors(jobSkill).includes(userSkill)) return 'broader';
+
+    const userParent = this.skills.get(userSkill)?.parent;
+    if (userParent && userParent === this.skills.get(jobSkill)?.parent) return 'sibling';
+
+    return null;
+  }
+
+  /**
+   * Best credit (0..1) a set of canonical user skills earns for one job skill
+   */
+  credit(userSkills, jobSkill) {
+    let best = { credit: 0, relation: null, via: null };
+
+    for (const userSkill of userSkills) {
+      const relation = this.relation(userSkill, jobSkill);
+      if (relation && RELATED_CREDIT[relation] > best.credit) {
+        best = { credit: RELATED_CREDIT[relation], relation, via: userSkill };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Extract required and preferred skills for listings saved before the taxonomy existed
+   */
+  async backfill() {
+    const result = await query(
+      `SELECT id, title, description FROM job_listings
+       WHERE required_skills IS NULL AND is_active = TRUE`
+    );
+
+    for (const row of result.rows) {
+      try {
+        const skills = this.extractJobSkills(row.title, row.description);
+        await query(
+          'UPDATE job_listings SET required_skills = $1, preferred_skills = $2 WHERE id = $3',
+          [JSON.stringify(skills.required), JSON.stringify(skills.preferred), row.id]
+        );
+      } catch (error) {
+        logger.error(`Skill extraction failed for job ${row.id}:`, error);
+      }
+    }
+
+    logger.info(`✅ Skill backfill complete: ${result.rows.length} listings tagged`);
+    return { tagged: result.rows.length };
+  }
+}
+
+module.exports = new SkillTaxonomyService();
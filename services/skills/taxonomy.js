@@ -0,0 +1,151 @@
+/**
+ * Skill taxonomy used to normalize CV and job skills.
+ *
+ * Each skill has a canonical name, a category, the aliases it appears under,
+ * and optionally a parent it is a kind of (React is a JavaScript framework,
+ * PostgreSQL is a SQL database). Abstract parents such as "SQL" or "Cloud"
+ * are skills too, so a job asking for "SQL" is partly met by "PostgreSQL".
+ *
+ * caseSensitive skills are only recognized in free text with their exact
+ * casing, because their names are also common words ("Go", "Swift", "REST").
+ */
+const SKILLS = [
+  // Languages
+  { name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6', 'vanilla js'] },
+  { name: 'TypeScript', category: 'language', parent: 'JavaScript', aliases: ['ts'] },
+  { name: 'Python', category: 'language', aliases: ['python3'] },
+  { name: 'Java', category: 'language', aliases: ['jvm'] },
+  { name: 'Kotlin', category: 'language', parent: 'Java', aliases: [] },
+  { name: 'Scala', category: 'language', parent: 'Java', aliases: [] },
+  { name: 'C#', category: 'language', aliases: ['csharp', 'c sharp'] },
+  { name: 'C++', category: 'language', aliases: ['cpp', 'c plus plus'] },
+  { name: 'Go', category: 'language', aliases: ['golang'], caseSensitive: true },
+  { name: 'Rust', category: 'language', aliases: [], caseSensitive: true },
+  { name: 'Ruby', category: 'language', aliases: [], caseSensitive: true },
+  { name: 'PHP', category: 'language', aliases: [] },
+  { name: 'Swift', category: 'language', aliases: [], caseSensitive: true },
+  { name: 'Objective-C', category: 'language', aliases: ['objective c', 'objc'] },
+  { name: 'Elixir', category: 'language', aliases: [] },
+  { name: 'Haskell', category: 'language', aliases: [] },
+  { name: 'Bash', category: 'language', aliases: ['shell scripting'] },
+  { name: 'HTML', category: 'language', aliases: ['html5'] },
+  { name: 'CSS', category: 'language', aliases: ['css3'] },
+  { name: 'Sass', category: 'language', parent: 'CSS', aliases: ['scss'] },
+
+  // Frontend
+  { name: 'Frontend Frameworks', category: 'frontend', parent: 'JavaScript', aliases: [] },
+  { name: 'React', category: 'frontend', parent: 'Frontend Frameworks', aliases: ['react.js', 'reactjs'] },
+  { name: 'Next.js', category: 'frontend', parent: 'React', aliases: ['nextjs'] },
+  { name: 'Redux', category: 'frontend', parent: 'React', aliases: [] },
+  { name: 'React Native', category: 'mobile', parent: 'React', aliases: [] },
+  { name: 'Vue', category: 'frontend', parent: 'Frontend Frameworks', aliases: ['vue.js', 'vuejs'] },
+  { name: 'Nuxt', category: 'frontend', parent: 'Vue', aliases: ['nuxt.js', 'nuxtjs'] },
+  { name: 'Angular', category: 'frontend', parent: 'Frontend Frameworks', aliases: ['angularjs', 'angular.js'] },
+  { name: 'Svelte', category: 'frontend', parent: 'Frontend Frameworks', aliases: ['sveltekit'] },
+  { name: 'Tailwind CSS', category: 'frontend', parent: 'CSS', aliases: ['tailwind', 'tailwindcss'] },
+  { name: 'Webpack', category: 'frontend', aliases: [] },
+
+  // Backend
+  { name: 'Node.js', category: 'backend', parent: 'JavaScript', aliases: ['node', 'nodejs', 'node js'] },
+  { name: 'Express', category: 'backend', parent: 'Node.js', aliases: ['express.js', 'expressjs'], caseSensitive: true },
+  { name: 'NestJS', category: 'backend', parent: 'Node.js', aliases: ['nest.js'] },
+  { name: 'Django', category: 'backend', parent: 'Python', aliases: [] },
+  { name: 'Flask', category: 'backend', parent: 'Python', aliases: [] },
+  { name: 'FastAPI', category: 'backend', parent: 'Python', aliases: [] },
+  { name: 'Spring', category: 'backend', parent: 'Java', aliases: ['spring boot', 'springboot'], caseSensitive: true },
+  { name: '.NET', category: 'backend', parent: 'C#', aliases: ['dotnet', 'asp.net', '.net core'] },
+  { name: 'Ruby on Rails', category: 'backend', parent: 'Ruby', aliases: ['rails', 'ror'] },
+  { name: 'Laravel', category: 'backend', parent: 'PHP', aliases: [] },
+  { name: 'GraphQL', category: 'backend', parent: 'APIs', aliases: [] },
+  { name: 'REST', category: 'backend', parent: 'APIs', aliases: ['rest api', 'restful', 'rest apis'], caseSensitive: true },
+  { name: 'gRPC', category: 'backend', parent: 'APIs', aliases: [] },
+  { name: 'APIs', category: 'backend', aliases: ['api design'] },
+  { name: 'Microservices', category: 'backend', aliases: ['microservice architecture'] },
+
+  // Databases
+  { name: 'SQL', category: 'database', aliases: ['relational databases', 'rdbms'] },
+  { name: 'PostgreSQL', category: 'database', parent: 'SQL', aliases: ['postgres', 'psql', 'postgre'] },
+  { name: 'MySQL', category: 'database', parent: 'SQL', aliases: ['mariadb'] },
+  { name: 'SQL Server', category: 'database', parent: 'SQL', aliases: ['mssql', 'ms sql', 't-sql'] },
+  { name: 'Oracle Database', category: 'database', parent: 'SQL', aliases: ['oracle db', 'pl/sql'] },
+  { name: 'SQLite', category: 'database', parent: 'SQL', aliases: [] },
+  { name: 'NoSQL', category: 'database', aliases: [] },
+  { name: 'MongoDB', category: 'database', parent: 'NoSQL', aliases: ['mongo'] },
+  { name: 'DynamoDB', category: 'database', parent: 'NoSQL', aliases: ['dynamo'] },
+  { name: 'Cassandra', category: 'database', parent: 'NoSQL', aliases: [] },
+  { name: 'Redis', category: 'database', parent: 'NoSQL', aliases: [] },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elastic search', 'opensearch'] },
+
+  // Cloud and infrastructure
+  { name: 'Cloud', category: 'cloud', aliases: ['cloud computing'] },
+  { name: 'AWS', category: 'cloud', parent: 'Cloud', aliases: ['amazon web services'] },
+  { name: 'Lambda', category: 'cloud', parent: 'AWS', aliases: ['aws lambda'] },
+  { name: 'Azure', category: 'cloud', parent: 'Cloud', aliases: ['microsoft azure'] },
+  { name: 'GCP', category: 'cloud', parent: 'Cloud', aliases: ['google cloud', 'google cloud platform'] },
+  { name: 'Containers', category: 'devops', aliases: ['containerization'] },
+  { name: 'Docker', category: 'devops', parent: 'Containers', aliases: [] },
+  { name: 'Kubernetes', category: 'devops', parent: 'Containers', aliases: ['k8s', 'eks', 'gke', 'aks'] },
+  { name: 'Helm', category: 'devops', parent: 'Kubernetes', aliases: [], caseSensitive: true },
+  { name: 'Infrastructure as Code', category: 'devops', aliases: ['iac'] },
+  { name: 'Terraform', category: 'devops', parent: 'Infrastructure as Code', aliases: [] },
+  { name: 'Ansible', category: 'devops', parent: 'Infrastructure as Code', aliases: [] },
+  { name: 'CI/CD', category: 'devops', aliases: ['ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Jenkins', category: 'devops', parent: 'CI/CD', aliases: [] },
+  { name: 'GitHub Actions', category: 'devops', parent: 'CI/CD', aliases: [] },
+  { name: 'GitLab CI', category: 'devops', parent: 'CI/CD', aliases: [] },
+  { name: 'Linux', category: 'devops', aliases: ['unix'] },
+  { name: 'Git', category: 'tool', aliases: ['github', 'gitlab'] },
+  { name: 'Observability', category: 'devops', aliases: ['monitoring'] },
+  { name: 'Prometheus', category: 'devops', parent: 'Observability', aliases: [] },
+  { name: 'Grafana', category: 'devops', parent: 'Observability', aliases: [] },
+  { name: 'Datadog', category: 'devops', parent: 'Observability', aliases: [] },
+
+  // Data and ML
+  { name: 'Machine Learning', category: 'data', aliases: ['ml'] },
+  { name: 'Deep Learning', category: 'data', parent: 'Machine Learning', aliases: [] },
+  { name: 'PyTorch', category: 'data', parent: 'Deep Learning', aliases: ['torch'] },
+  { name: 'TensorFlow', category: 'data', parent: 'Deep Learning', aliases: ['keras'] },
+  { name: 'scikit-learn', category: 'data', parent: 'Machine Learning', aliases: ['sklearn', 'scikit learn'] },
+  { name: 'NLP', category: 'data', parent: 'Machine Learning', aliases: ['natural language processing'] },
+  { name: 'LLMs', category: 'data', parent: 'NLP', aliases: ['llm', 'large language models', 'generative ai', 'genai'] },
+  { name: 'Data Engineering', category: 'data', aliases: ['etl', 'data pipelines'] },
+  { name: 'Apache Spark', category: 'data', parent: 'Data Engineering', aliases: ['spark', 'pyspark'] },
+  { name: 'Kafka', category: 'data', parent: 'Data Engineering', aliases: ['apache kafka'] },
+  { name: 'Airflow', category: 'data', parent: 'Data Engineering', aliases: ['apache airflow'] },
+  { name: 'dbt', category: 'data', parent: 'Data Engineering', aliases: [] },
+  { name: 'Snowflake', category: 'data', parent: 'Data Engineering', aliases: [] },
+  { name: 'Pandas', category: 'data', parent: 'Python', aliases: [] },
+  { name: 'NumPy', category: 'data', parent: 'Python', aliases: [] },
+  { name: 'Data Analysis', category: 'data', aliases: ['data analytics'] },
+  { name: 'Tableau', category: 'data', parent: 'Data Analysis', aliases: [] },
+  { name: 'Power BI', category: 'data', parent: 'Data Analysis', aliases: ['powerbi'] },
+  { name: 'Excel', category: 'data', parent: 'Data Analysis', aliases: ['microsoft excel'], caseSensitive: true },
+
+  // Mobile
+  { name: 'Mobile Development', category: 'mobile', aliases: ['mobile apps'] },
+  { name: 'iOS', category: 'mobile', parent: 'Mobile Development', aliases: [] },
+  { name: 'SwiftUI', category: 'mobile', parent: 'iOS', aliases: [] },
+  { name: 'Android', category: 'mobile', parent: 'Mobile Development', aliases: [] },
+  { name: 'Flutter', category: 'mobile', parent: 'Mobile Development', aliases: ['dart'] },
+
+  // Testing
+  { name: 'Testing', category: 'testing', aliases: ['test automation', 'automated testing', 'qa'] },
+  { name: 'Jest', category: 'testing', parent: 'Testing', aliases: [] },
+  { name: 'Cypress', category: 'testing', parent: 'Testing', aliases: [] },
+  { name: 'Playwright', category: 'testing', parent: 'Testing', aliases: [] },
+  { name: 'Selenium', category: 'testing', parent: 'Testing', aliases: [] },
+  { name: 'pytest', category: 'testing', parent: 'Testing', aliases: [] },
+
+  // Practices and design
+  { name: 'Agile', category: 'practice', aliases: ['agile methodologies'] },
+  { name: 'Scrum', category: 'practice', parent: 'Agile', aliases: [] },
+  { name: 'Kanban', category: 'practice', parent: 'Agile', aliases: [] },
+  { name: 'System Design', category: 'practice', aliases: ['distributed systems', 'software architecture'] },
+  { name: 'Cybersecurity', category: 'practice', aliases: ['infosec', 'application security', 'appsec'] },
+  { name: 'Figma', category: 'design', aliases: [] },
+  { name: 'UX Design', category: 'design', aliases: ['ux', 'user experience', 'ui/ux', 'ui ux'] }
+];
+
+module.exports = {
+  SKILLS
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const atsProviders = require('../services/ats');
+const atsIngestionService = require('../services/atsIngestionService');
+const domainScheduler = require('../services/scrapers/domainScheduler');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'ats', `${name}.json`), 'utf8'));
+
+test('greenhouse normalizes a recorded board response', () => {
+  const jobs = atsProviders.get('greenhouse').normalize(fixture('greenhouse'), 'acmelabs', 'Acme');
+
+  assert.equal(jobs.length, 3);
+  assert.deepEqual(jobs[0], {
+    source: 'greenhouse',
+    externalId: 'acmelabs:4012345',
+    title: 'Senior Platform Engineer',
+    company: 'Acme Labs',
+    location: 'Remote - US',
+    url: 'https://boards.greenhouse.io/acmelabs/jobs/4012345',
+    description: 'We are looking for a Platform Engineer to scale our Kubernetes clusters.\n5+ years with Go\nTerraform',
+    postedAt: '2024-04-29T09:00:00-04:00',
+    remote: true
+  });
+
+  // Jobs without company_name use the board's display name
+  assert.equal(jobs[1].company, 'Acme');
+  assert.equal(jobs[1].remote, false);
+});
+
+test('lever normalizes a recorded postings response with the board display name', () => {
+  const jobs = atsProviders.get('lever').normalize(fixture('lever'), 'leverdemo', 'Lever Demo');
+
+  assert.deepEqual(jobs[0], {
+    source: 'lever',
+    externalId: 'leverdemo:5ac21346-8e0c-4494-8e7a-3eb92ff77902',
+    title: 'Backend Engineer',
+    company: 'Lever Demo',
+    location: 'Toronto, ON',
+    url: 'https://jobs.lever.co/leverdemo/5ac21346-8e0c-4494-8e7a-3eb92ff77902',
+    description: "Join the payments team.\nWhat you'll do\nDesign APIs in Node.js\nOwn PostgreSQL schemas\nWe offer equity and a learning budget.",
+    salary: 'CAD 120000 - 150000/year',
+    jobType: 'full_time',
+    remoteType: 'hybrid',
+    postedAt: new Date(1714560000000).toISOString(),
+    remote: false
+  });
+
+  // No hosted page falls back to the apply link; workplaceType marks it remote
+  assert.equal(jobs[1].url, 'https://jobs.lever.co/leverdemo/0f3b1c2d-1111-2222-3333-444455556666/apply');
+  assert.equal(jobs[1].jobType, 'internship');
+  assert.equal(jobs[1].remote, true);
+  assert.equal(jobs[1].salary, null);
+});
+
+test('ashby normalizes a recorded job board response and drops unlisted jobs', () => {
+  const jobs = atsProviders.get('ashby').normalize(fixture('ashby'), 'umbrella', 'Umbrella');
+
+  assert.deepEqual(jobs.map(job => job.title), ['Staff Frontend Engineer', 'Contract Data Engineer']);
+  assert.equal(jobs[0].company, 'Umbrella Analytics');
+  assert.equal(jobs[0].salary, '$180K – $220K • Offers Equity');
+  assert.equal(jobs[0].jobType, 'full_time');
+  assert.equal(jobs[0].remoteType, 'hybrid');
+  assert.equal(jobs[1].description, 'Build dbt models.\nSix month contract.');
+  assert.equal(jobs[1].jobType, 'contract');
+  assert.equal(jobs[1].remoteType, 'remote');
+  assert.equal(jobs[1].remote, true);
+});
+
+test.describe('fetchBoard', () => {
+  const originalFetch = global.fetch;
+  const originalWait = domainScheduler.wait;
+  let requests;
+
+  const respondWith = (status, body) => {
+    global.fetch = async (url) => {
+      requests.push(url);
+      return { ok: status < 400, status, json: async () => body };
+    };
+  };
+
+  test.beforeEach(() => {
+    requests = [];
+    domainScheduler.wait = async () => {};
+  });
+
+  test.afterEach(() => {
+    global.fetch = originalFetch;
+    domainScheduler.wait = originalWait;
+  });
+
+  test('fetches the board URL and drops postings without a link', async () => {
+    respondWith(200, fixture('greenhouse'));
+
+    const jobs = await atsIngestionService.fetchBoard('greenhouse', 'acmelabs');
+
+    assert.deepEqual(requests, ['https://boards-api.greenhouse.io/v1/boards/acmelabs/jobs?content=true']);
+    assert.deepEqual(jobs.map(job => job.externalId), ['acmelabs:4012345', 'acmelabs:4012399']);
+  });
+
+  test('names Lever postings after the configured board name, else the title-cased slug', async () => {
+    respondWith(200, fixture('lever'));
+
+    const named = await atsIngestionService.fetchBoard('lever', 'leverdemo', 'Lever Demo Inc');
+    assert.ok(named.every(job => job.company === 'Lever Demo Inc'));
+
+    const unnamed = await atsIngestionService.fetchBoard('lever', 'lever-demo');
+    assert.ok(unnamed.every(job => job.company === 'Lever Demo'));
+  });
+
+  test('rejects unknown providers and failed responses', async () => {
+    respondWith(404, {});
+
+    await assert.rejects(atsIngestionService.fetchBoard('workday', 'acme'), /Unknown ATS provider/);
+    await assert.rejects(atsIngestionService.fetchBoard('ashby', 'missing'), /ashby board "missing" returned 404/);
+  });
+});
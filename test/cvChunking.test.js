@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { chunkCV, splitSections } = require('../services/cv/sections');
+const cvParserService = require('../services/cvParserService');
+const cvParserConfig = require('../config/cvParser');
+
+const sample = fs.readFileSync(path.join(__dirname, 'fixtures', 'cvs', 'backend-engineer.txt'), 'utf8');
+
+// Chunks may trim and re-join whitespace, but every word stays, in order
+const words = text => text.split(/\s+/).filter(Boolean);
+
+test('chunks keep all text and whole sections', () => {
+  const chunks = chunkCV(sample, 400);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 400));
+  assert.deepEqual(words(chunks.join('\n')), words(sample));
+
+  // Every section fits in 400 characters, so none is cut
+  for (const section of splitSections(sample)) {
+    assert.ok(section.text.trim().length <= 400);
+    assert.ok(chunks.some(chunk => chunk.includes(section.text.trim())), section.name);
+  }
+
+  assert.deepEqual(chunkCV(sample, 10000), [sample.trim()]);
+});
+
+test('sections longer than a chunk split between paragraphs, then lines', () => {
+  const roles = Array.from({ length: 6 }, (_, i) =>
+    `Engineer | Company ${i} | 201${i} - 201${i + 1}\n• Built service number ${i} in Node.js.\n• Ran it in production.`
+  );
+  const text = `EXPERIENCE\n${roles.join('\n\n')}\n\nSKILLS\nNode.js, Go`;
+
+  const chunks = chunkCV(text, 200);
+  assert.ok(chunks.every(chunk => chunk.length <= 200));
+  assert.deepEqual(words(chunks.join('\n')), words(text));
+
+  // Roles are never split across chunks
+  for (const role of roles) {
+    assert.ok(chunks.some(chunk => chunk.includes(role)), role);
+  }
+
+  // A single line longer than a chunk is cut at the limit rather than lost
+  const long = 'x'.repeat(250);
+  assert.deepEqual(chunkCV(long, 100), ['x'.repeat(100), 'x'.repeat(100), 'x'.repeat(50)]);
+});
+
+test('a role split across chunks is merged into one entry', () => {
+  const merged = cvParserService.mergeParsedChunks([
+    {
+      skills: ['node', 'PostgreSQL'],
+      experience: [{ company: 'Stripe', role: 'Senior Software Engineer', duration: 'Jan 2020 - Present', description: 'Led the ledger migration.' }],
+      education: [],
+      certifications: ['AWS Certified Solutions Architect'],
+      summary: null
+    },
+    {
+      skills: ['Node.js', 'Go'],
+      experience: [
+        { company: ' stripe ', role: 'Senior  Software Engineer', duration: null, description: 'Led the ledger migration. Designed PostgreSQL partitioning.' },
+        { company: 'Acme', role: 'Software Engineer', duration: '2016 - 2019', description: 'Built REST APIs.' }
+      ],
+      education: [{ degree: 'B.Sc. Computer Science', institution: 'University of Washington', year: '2016' }],
+      certifications: ['aws certified solutions architect', 'CKA'],
+      summary: 'Backend engineer.'
+    }
+  ]);
+
+  assert.deepEqual(merged, {
+    skills: ['Node.js', 'PostgreSQL', 'Go'],
+    experience: [
+      { company: 'Stripe', role: 'Senior Software Engineer', duration: 'Jan 2020 - Present', description: 'Led the ledger migration. Designed PostgreSQL partitioning.' },
+      { company: 'Acme', role: 'Software Engineer', duration: '2016 - 2019', description: 'Built REST APIs.' }
+    ],
+    education: [{ degree: 'B.Sc. Computer Science', institution: 'University of Washington', year: '2016' }],
+    certifications: ['AWS Certified Solutions Architect', 'CKA'],
+    summary: 'Backend engineer.'
+  });
+});
+
+test.describe('parsing with the model', () => {
+  const valid = {
+    skills: ['Go'],
+    experience: [{ company: 'Stripe', role: 'Senior Software Engineer', duration: 'Jan 2020 - Present', description: 'Ledger.' }],
+    education: [],
+    certifications: [],
+    summary: 'Backend engineer.'
+  };
+
+  // Answers each call with the next queued response and records what it was sent
+  let requests;
+  const respondWith = (...contents) => {
+    requests = [];
+    cvParserService.openai = {
+      chat: {
+        completions: {
+          create: async (request) => {
+            requests.push(JSON.parse(JSON.stringify(request.messages)));
+            return { choices: [{ message: { content: contents.shift() } }] };
+          }
+        }
+      }
+    };
+  };
+
+  const original = cvParserService.openai;
+  test.afterEach(() => {
+    cvParserService.openai = original;
+  });
+
+  test('invalid output is sent back once for repair', async () => {
+    respondWith('Here is the JSON: {"skills": [', '```json\n' + JSON.stringify(valid) + '\n```');
+
+    const parsed = await cvParserService.parseChunk('Jane Doe\nStripe', 0, 1);
+    assert.deepEqual(parsed, valid);
+    assert.equal(requests.length, 2);
+
+    const repair = requests[1].slice(-2);
+    assert.deepEqual(repair[0], { role: 'assistant', content: 'Here is the JSON: {"skills": [' });
+    assert.match(repair[1].content, /^The response is not valid JSON/);
+  });
+
+  test('schema errors are named in the repair request', async () => {
+    respondWith(JSON.stringify({ ...valid, experience: [{ company: '', role: null }] }), JSON.stringify(valid));
+
+    assert.deepEqual(await cvParserService.parseChunk('Jane Doe', 0, 1), valid);
+    assert.match(requests[1][requests[1].length - 1].content, /^The JSON does not match the required structure/);
+  });
+
+  test('output still invalid after the repairs falls back to the rule-based parse', async () => {
+    const attempts = cvParserConfig.llm.repairAttempts + 1;
+    respondWith(...Array.from({ length: attempts }, () => 'not json'));
+
+    await assert.rejects(cvParserService.parseChunk('Jane Doe', 0, 1), new RegExp(`after ${attempts} attempts`));
+
+    respondWith(...Array.from({ length: attempts }, () => 'not json'));
+    const parsed = await cvParserService.parseCV(sample);
+    assert.equal(requests.length, attempts);
+    assert.equal(parsed.parseError, true);
+    assert.ok(parsed.experience.some(item => item.company === 'Stripe Inc'));
+  });
+
+  test('long CVs are parsed chunk by chunk and merged', async (t) => {
+    const { chunkChars } = cvParserConfig.llm;
+    t.after(() => { cvParserConfig.llm.chunkChars = chunkChars; });
+
+    cvParserConfig.llm.chunkChars = 400;
+    const chunks = chunkCV(sample, 400);
+    respondWith(...chunks.map(() => JSON.stringify(valid)));
+
+    const parsed = await cvParserService.parseCV(sample);
+    assert.equal(requests.length, chunks.length);
+    assert.match(requests[1][1].content, new RegExp(`part 2 of ${chunks.length}`));
+    assert.deepEqual(parsed, valid);
+  });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseCVHeuristically } = require('../services/cv/heuristicParser');
+
+// Each sample CV (name.txt) sits next to the parse it should produce (name.json)
+const FIXTURES = path.join(__dirname, 'fixtures', 'cvs');
+
+const samples = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.txt'))
+  .map(file => path.basename(file, '.txt'));
+
+test('every sample CV has an expected parse', () => {
+  assert.ok(samples.length > 0);
+  for (const name of samples) {
+    assert.ok(fs.existsSync(path.join(FIXTURES, `${name}.json`)), `${name}.json is missing`);
+  }
+});
+
+for (const name of samples) {
+  test(`parses ${name}.txt`, () => {
+    const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+    assert.deepEqual(parseCVHeuristically(text), expected);
+  });
+}
+
+test('windows line endings parse the same', () => {
+  const text = fs.readFileSync(path.join(FIXTURES, 'backend-engineer.txt'), 'utf8');
+  assert.deepEqual(parseCVHeuristically(text.replace(/\n/g, '\r\n')), parseCVHeuristically(text));
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const cvParserService = require('../services/cvParserService');
+const cvParserConfig = require('../config/cvParser');
+
+// Small documents in the formats users upload besides PDF and DOCX
+const fixture = name => path.join(__dirname, 'fixtures', 'cvs', 'formats', name);
+
+test('rtf keeps unicode and hex escapes and skips metadata groups', async () => {
+  const text = await cvParserService.extractTextFromCV(fixture('resume.rtf'));
+
+  assert.equal(text, [
+    'Renée Dupont',
+    'Senior Backend Engineer – Zürich',
+    '',
+    'Skills',
+    '•\tNode.js, PostgreSQL {JSONB}',
+    '•\tPayments ﬁnance systems',
+    '•\tDay rate in € or £',
+    'Experience',
+    'Acme Bank – 2019 - Present',
+    '“Built café ordering APIs”'
+  ].join('\n'));
+
+  // Font names, the document title, generator and picture data are not content
+  for (const metadata of ['Helvetica', 'Resume of', 'Microsoft Word', '89504e47']) {
+    assert.ok(!text.includes(metadata), metadata);
+  }
+});
+
+test('an rtf saved as .doc is read as rtf', async () => {
+  assert.equal(await cvParserService.detectFormat(fixture('mislabelled-rtf.doc')), '.rtf');
+  assert.equal(await cvParserService.extractTextFromCV(fixture('mislabelled-rtf.doc')), 'Jordan Lee\nData Analyst');
+});
+
+test('odt text keeps spacing, line breaks and decoded entities', async () => {
+  assert.equal(await cvParserService.detectFormat(fixture('resume.odt')), '.odt');
+  assert.equal(
+    await cvParserService.extractTextFromCV(fixture('resume.odt')),
+    'Sam O\'Neil\nPlatform Engineer – Dublin\nSkills\nKubernetes\tTerraform   Go & Rust\nLatency < 10ms\nCafé "Ops" lead\n'
+  );
+});
+
+test('utf-16 text files are decoded from either byte order', async () => {
+  const expected = 'Zoë Müller\nData Analyst – Köln\nSQL, Tableau\n';
+
+  assert.equal(await cvParserService.extractTextFromCV(fixture('utf16le.txt')), expected);
+  assert.equal(await cvParserService.extractTextFromCV(fixture('utf16be.txt')), expected);
+});
+
+test('ocr returns no text when it is disabled or its tools are missing', async (t) => {
+  const ocr = { ...cvParserConfig.ocr };
+  t.after(() => Object.assign(cvParserConfig.ocr, ocr));
+
+  Object.assign(cvParserConfig.ocr, {
+    enabled: true,
+    pdftoppmPath: path.join(__dirname, 'no-such-pdftoppm'),
+    tesseractPath: path.join(__dirname, 'no-such-tesseract')
+  });
+  assert.equal(await cvParserService.ocrPDF(fixture('resume.rtf')), '');
+
+  cvParserConfig.ocr.enabled = false;
+  assert.equal(await cvParserService.ocrPDF(fixture('resume.rtf')), '');
+});
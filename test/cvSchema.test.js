@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateParsedCV } = require('../services/cv/schema');
+
+test('fills defaults and drops unknown keys', () => {
+  const { value, error } = validateParsedCV({ skills: [' React '], experience: null, extra: true });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(value, { skills: ['React'], experience: [], education: [], certifications: [], summary: null });
+});
+
+test('experience needs a non-empty company or role', () => {
+  assert.deepEqual(
+    validateParsedCV({ experience: [{ company: 'Acme', role: null, duration: '2019 - 2021' }] }).value.experience,
+    [{ company: 'Acme', role: null, duration: '2019 - 2021' }]
+  );
+
+  const { error } = validateParsedCV({ experience: [{ company: null, role: '  ', duration: '2019 - 2021' }] });
+  assert.match(error, /experience\[0\].*"company" or "role"/);
+  assert.ok(validateParsedCV({ experience: [{ description: 'Built things' }] }).error);
+});
+
+test('education needs a non-empty degree or institution', () => {
+  assert.equal(validateParsedCV({ education: [{ institution: 'MIT', year: 2015 }] }).error, undefined);
+
+  const { error } = validateParsedCV({ education: [{ degree: '', institution: null, year: '2015' }] });
+  assert.match(error, /education\[0\].*"degree" or "institution"/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Without an API key the local provider is used; these tests need no network
+delete process.env.OPENAI_API_KEY;
+delete process.env.EMBEDDING_PROVIDER;
+
+const embeddings = require('../services/embeddings');
+const embeddingService = require('../services/embeddingService');
+const embeddingConfig = require('../config/embeddings');
+
+const local = embeddings.providers.local;
+
+test('falls back to the local provider when OpenAI is not configured', () => {
+  assert.equal(embeddings.getProvider('openai'), local);
+  assert.equal(embeddingService.provider.name, 'local');
+});
+
+test('local embeddings are deterministic, unit-length and sized for the vector column', async () => {
+  const [first, second] = await local.embed(['Senior Node.js engineer', 'Senior Node.js engineer']);
+
+  assert.equal(first.length, embeddingConfig.dimensions);
+  assert.deepEqual(first, second);
+
+  const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+});
+
+test('related texts are more similar than unrelated ones, including synonym spellings', async () => {
+  const [resume, related, unrelated] = await embeddingService.embedTexts([
+    'Backend engineer: Node.js, Postgres, Kubernetes, REST APIs',
+    'We are hiring a backend developer with nodejs, postgresql and k8s experience',
+    'Registered nurse for night shifts in a pediatric ward'
+  ]);
+
+  const relatedSimilarity = embeddingService.cosine(resume, related);
+  const unrelatedSimilarity = embeddingService.cosine(resume, unrelated);
+
+  assert.ok(relatedSimilarity > unrelatedSimilarity);
+  assert.ok(embeddingService.similarityPoints(relatedSimilarity, 15) > embeddingService.similarityPoints(unrelatedSimilarity, 15));
+});
+
+test('profile text falls back to structured fields, tolerating JSON strings and bad values', () => {
+  const text = embeddingService.profileText({
+    resume_text: null,
+    desired_job_titles: '["Data Engineer"]',
+    skills: ['Python', 'Airflow'],
+    experience: 'not json'
+  });
+
+  assert.equal(text, 'Data Engineer\nPython\nAirflow');
+});
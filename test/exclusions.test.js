@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDatabase } = require('./helpers/db');
+
+const { pool } = useMemoryDatabase(`
+  CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255),
+    preferences JSONB
+  );
+  CREATE TABLE user_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    match_watermark_at TIMESTAMP,
+    match_watermark_id UUID
+  );
+  CREATE TABLE job_listings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(50),
+    title VARCHAR(255),
+    company VARCHAR(255),
+    description TEXT,
+    salary_annual_max INTEGER,
+    salary_currency VARCHAR(3)
+  );
+  CREATE TABLE job_matches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES job_listings(id) ON DELETE CASCADE,
+    status VARCHAR(50) DEFAULT 'pending',
+    reviewed BOOLEAN DEFAULT FALSE
+  );
+  CREATE TABLE company_whitelist (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    company_name VARCHAR(255) NOT NULL,
+    list_type VARCHAR(10) NOT NULL DEFAULT 'allow',
+    added_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (user_id, company_name)
+  );
+  CREATE TABLE match_exclusions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    rule_type VARCHAR(20) NOT NULL,
+    value VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (user_id, rule_type, value)
+  );
+`);
+
+const exclusionService = require('../services/exclusionService');
+const matchingConfig = require('../config/matching');
+
+const insertId = async (text, params) => (await pool.query(text, params)).rows[0].id;
+
+const noRules = { companies: [], rules: [], salaryFloor: null, excludeRecruiters: false };
+
+test('the salary floor only compares pay in the configured currency', () => {
+  const compiled = exclusionService.compile({ ...noRules, salaryFloor: 100000 });
+  const otherCurrency = matchingConfig.salaryCurrency === 'INR' ? 'JPY' : 'INR';
+
+  assert.deepEqual(
+    exclusionService.check(compiled, { salary_annual_max: 90000, salary_currency: matchingConfig.salaryCurrency }),
+    { rule: 'salary_floor', value: 100000 }
+  );
+  assert.deepEqual(exclusionService.check(compiled, { salary_annual_max: 90000 }), { rule: 'salary_floor', value: 100000 });
+  assert.equal(exclusionService.check(compiled, { salary_annual_max: 90000, salary_currency: otherCurrency }), null);
+  assert.equal(exclusionService.check(compiled, { salary_annual_max: 120000, salary_currency: matchingConfig.salaryCurrency }), null);
+  assert.equal(exclusionService.check(compiled, {}), null);
+});
+
+test('new deny rules expire the unreviewed matches they rule out', async () => {
+  const userId = await insertId("INSERT INTO users (email) VALUES ('deny@example.com') RETURNING id");
+  await pool.query('INSERT INTO user_profiles (user_id, match_watermark_at) VALUES ($1, NOW())', [userId]);
+
+  const match = async (company, title, reviewed = false) => {
+    const jobId = await insertId(
+      "INSERT INTO job_listings (source, title, company) VALUES ('linkedin', $1, $2) RETURNING id",
+      [title, company]
+    );
+    return insertId('INSERT INTO job_matches (user_id, job_id, reviewed) VALUES ($1, $2, $3) RETURNING id', [userId, jobId, reviewed]);
+  };
+  const statuses = async () => Object.fromEntries((await pool.query(
+    'SELECT id, status FROM job_matches WHERE user_id = $1', [userId]
+  )).rows.map(row => [row.id, row.status]));
+
+  const initech = await match('Initech LLC', 'Backend Engineer');
+  const reviewedInitech = await match('Initech', 'Platform Engineer', true);
+  const acmeSales = await match('Acme', 'Sales Engineer');
+  const acme = await match('Acme', 'Backend Engineer');
+
+  await exclusionService.setCompany(userId, 'Initech', 'deny');
+  await exclusionService.addRule(userId, 'title_keyword', 'sales');
+
+  assert.deepEqual(await statuses(), {
+    [initech]: 'expired',
+    [reviewedInitech]: 'pending',
+    [acmeSales]: 'expired',
+    [acme]: 'pending'
+  });
+
+  // Allow-listing rules nothing out; the rules also restart incremental matching
+  await exclusionService.setCompany(userId, 'Acme', 'allow');
+  assert.equal((await statuses())[acme], 'pending');
+
+  const profile = (await pool.query('SELECT match_watermark_at FROM user_profiles WHERE user_id = $1', [userId])).rows[0];
+  assert.equal(profile.match_watermark_at, null);
+});
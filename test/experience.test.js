@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const experienceService = require('../services/experienceService');
+
+const NOW = new Date(2024, 5, 15); // June 2024
+const yearsOf = (...durations) => experienceService.summarize(
+  durations.map(duration => ({ company: 'Acme', role: 'Engineer', duration })),
+  NOW
+).yearsExperience;
+
+test('year-only ranges include the whole end year', () => {
+  assert.equal(yearsOf('2019 - 2019'), 1);
+  assert.equal(yearsOf('2018 - 2019'), 2);
+  assert.equal(yearsOf('Mar 2018 - 2019'), 1.8);
+  assert.equal(yearsOf('2018 - Jun 2019'), 1.5);
+});
+
+test('month ranges include both end months', () => {
+  assert.equal(yearsOf('Jan 2020 - Dec 2020'), 1);
+  assert.equal(yearsOf('03/2016 – 02/2017'), 1);
+});
+
+test('ongoing roles and end years in the future stop at now', () => {
+  assert.equal(yearsOf('Jan 2024 - Present'), 0.5);
+  assert.equal(yearsOf('2024 - 2024'), 0.5);
+});
+
+test('overlapping roles count once', () => {
+  assert.equal(yearsOf('2016 - 2019', '2018 - 2020'), 5);
+  assert.equal(yearsOf('2016 - 2020', 'Jun 2017 - Aug 2017'), 5);
+});
+
+test('gaps between roles are not counted', () => {
+  assert.equal(yearsOf('2015 - 2016', '2019 - 2019'), 3);
+  assert.equal(yearsOf('Jan 2018 - Jun 2018', 'Jan 2020 - Jun 2020'), 1);
+});
+
+test('roles without dates are ignored', () => {
+  assert.equal(yearsOf('2019 - 2020', null, 'a while'), 2);
+  assert.equal(yearsOf(null), null);
+});
+
+test('per-skill years come from the roles that mention the skill', () => {
+  const summary = experienceService.summarize([
+    { company: 'Acme', role: 'Backend Engineer', duration: '2016 - 2019', description: 'Node.js services on PostgreSQL.' },
+    { company: 'Globex', role: 'Senior Engineer', duration: '2020 - Present', description: 'Go and PostgreSQL.' }
+  ], NOW);
+
+  assert.equal(summary.skillYears.PostgreSQL, 8.5);
+  assert.equal(summary.skillYears['Node.js'], 4);
+  assert.equal(summary.skillYears.Go, 4.5);
+  assert.equal(summary.seniority, 'lead');
+});
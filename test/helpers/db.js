@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { newDb, DataType } = require('pg-mem');
+const database = require('../../config/database');
+
+/**
+ * Point config/database at an in-memory Postgres built from `ddl`.
+ * Call before requiring any service: services take `query` when they load.
+ */
+function useMemoryDatabase(ddl) {
+  const db = newDb();
+  db.public.registerFunction({
+    name: 'uuid_generate_v4',
+    returns: DataType.uuid,
+    implementation: () => crypto.randomUUID(),
+    impure: true
+  });
+  db.public.none(ddl);
+
+  const { Pool } = db.adapters.createPg();
+  const pool = new Pool();
+
+  database.query = (text, params) => pool.query(text, params);
+  database.transaction = async (callback) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return { db, pool };
+}
+
+module.exports = { useMemoryDatabase };
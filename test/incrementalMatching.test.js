@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DataType } = require('pg-mem');
+const { useMemoryDatabase } = require('./helpers/db');
+
+const { db, pool } = useMemoryDatabase(`
+  CREATE TABLE job_listings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(50),
+    title VARCHAR(255),
+    company VARCHAR(255),
+    location VARCHAR(255),
+    description TEXT,
+    application_url VARCHAR(500),
+    salary_range VARCHAR(100),
+    salary_currency VARCHAR(3),
+    salary_annual_min INTEGER,
+    salary_annual_max INTEGER,
+    remote_type VARCHAR(20),
+    job_type VARCHAR(50),
+    location_region VARCHAR(100),
+    location_country VARCHAR(100),
+    location_lat NUMERIC,
+    location_lng NUMERIC,
+    embedding TEXT,
+    embedding_model VARCHAR(100),
+    required_skills JSONB,
+    preferred_skills JSONB,
+    seniority VARCHAR(50),
+    posted_date TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE,
+    canonical_id UUID,
+    enrichment_status VARCHAR(20) DEFAULT 'pending',
+    enrichment_attempts INTEGER DEFAULT 0,
+    enriched_at TIMESTAMP,
+    scraped_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE TABLE job_matches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID,
+    job_id UUID
+  );
+  CREATE TABLE user_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID,
+    match_watermark_at TIMESTAMP,
+    match_watermark_id UUID
+  );
+`);
+
+// pg-mem timestamps already hold milliseconds, as MATCHABLE_AT truncates to
+db.public.registerFunction({
+  name: 'date_trunc',
+  args: [DataType.text, DataType.timestamp],
+  returns: DataType.timestamp,
+  implementation: (unit, value) => value
+});
+
+const matchingService = require('../services/matchingServices');
+const jobEnrichmentService = require('../services/jobEnrichmentService');
+const scraperConfig = require('../config/scrapers');
+const robots = require('../services/scrapers/robots');
+const domainScheduler = require('../services/scrapers/domainScheduler');
+
+const insertId = async (text, params) => (await pool.query(text, params)).rows[0].id;
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+test('a listing that gives up on enrichment is scanned by the next incremental run', async (t) => {
+  const userId = '00000000-0000-0000-0000-0000000000aa';
+  const profileId = await insertId('INSERT INTO user_profiles (user_id) VALUES ($1) RETURNING id', [userId]);
+
+  // Scoring is covered elsewhere; only which listings each run scans matters here
+  const scanned = [];
+  t.mock.method(matchingService, 'loadMatchContext', async () => (
+    (await pool.query('SELECT * FROM user_profiles WHERE id = $1', [profileId])).rows.map(profile => ({ userId, profile }))[0]
+  ));
+  t.mock.method(matchingService, 'rankJobs', async (context, jobs) => {
+    scanned.push(...jobs.map(job => job.title));
+    return { scored: [], excluded: 0 };
+  });
+  t.mock.method(matchingService, 'saveMatches', async () => []);
+
+  // Detail pages never load
+  t.mock.method(robots, 'isAllowed', async () => true);
+  t.mock.method(domainScheduler, 'wait', async () => {});
+  t.mock.method(jobEnrichmentService.browsers, 'newPage', async () => { throw new Error('net::ERR_CONNECTION_RESET'); });
+
+  await pool.query(
+    `INSERT INTO job_listings (source, title, application_url, enrichment_status, enriched_at, scraped_at)
+     VALUES ('linkedin', 'Enriched Engineer', 'https://www.linkedin.com/jobs/view/1', 'complete', $1, $2)`,
+    [hoursAgo(1), hoursAgo(24)]
+  );
+  const stuckId = await insertId(
+    `INSERT INTO job_listings (source, title, application_url, enrichment_attempts, scraped_at)
+     VALUES ('linkedin', 'Stuck Engineer', 'https://www.linkedin.com/jobs/view/2', $1, $2)
+     RETURNING id`,
+    [scraperConfig.enrichment.maxAttempts - 1, hoursAgo(48)]
+  );
+
+  await matchingService.matchNewJobsForUser(userId);
+  assert.deepEqual(scanned, ['Enriched Engineer']);
+
+  // Scraped before the watermark, but only matchable once enrichment gives up
+  const summary = await jobEnrichmentService.enrichPending();
+  assert.deepEqual(summary, { processed: 1, enriched: 0, failed: 1 });
+
+  const stuck = (await pool.query('SELECT enrichment_status, enriched_at FROM job_listings WHERE id = $1', [stuckId])).rows[0];
+  assert.equal(stuck.enrichment_status, 'failed');
+  assert.ok(stuck.enriched_at);
+
+  await matchingService.matchNewJobsForUser(userId);
+  assert.deepEqual(scanned, ['Enriched Engineer', 'Stuck Engineer']);
+});
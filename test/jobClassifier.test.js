@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const jobClassifierService = require('../services/jobClassifierService');
+
+test('normalizes board seniority labels', () => {
+  assert.equal(jobClassifierService.normalizeSeniority('Mid-Senior level'), 'senior');
+  assert.equal(jobClassifierService.normalizeSeniority('Senior'), 'senior');
+  assert.equal(jobClassifierService.normalizeSeniority('Associate'), 'mid');
+  assert.equal(jobClassifierService.normalizeSeniority('Entry level'), 'entry');
+  assert.equal(jobClassifierService.normalizeSeniority('Internship'), 'intern');
+  assert.equal(jobClassifierService.normalizeSeniority('Director'), 'executive');
+  assert.equal(jobClassifierService.normalizeSeniority('3+ years'), 'mid');
+  assert.equal(jobClassifierService.normalizeSeniority(null), null);
+});
+
+test('reads remote, hybrid and onsite from the header before the description', () => {
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Backend Engineer', location: 'Remote - US' }), 'remote');
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Data Engineer (Hybrid)', location: 'Berlin' }), 'hybrid');
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Nurse', location: 'Leeds', description: 'Join our remote teams.' }), 'onsite');
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Engineer', description: 'This is a fully remote role.' }), 'remote');
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Engineer' }), null);
+
+  // "Distributed" names the systems, not the team
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Distributed Systems Engineer', location: 'Seattle, WA' }), 'onsite');
+  assert.equal(jobClassifierService.classifyRemote({ title: 'Distributed Systems Engineer' }), null);
+});
+
+test('only trusts contract wording in a title when it qualifies the role', () => {
+  const fullTime = 'This is a full-time position managing supplier agreements.';
+
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Contract Manager', description: fullTime }), 'full_time');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Electrical Contractor' }), null);
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Data Engineer (Contract)', description: fullTime }), 'contract');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Data Engineer - Contract' }), 'contract');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Data Engineer, 6 month fixed-term' }), 'contract');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Data Engineer - Full-time' }), 'full_time');
+
+  // Unambiguous types count anywhere in the title; board labels come first
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Software Engineering Intern' }), 'internship');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Part-Time Barista' }), 'part_time');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Contract Manager', employmentType: 'Contract' }), 'contract');
+  assert.equal(jobClassifierService.classifyJobType({ title: 'Analyst', description: 'This is a 6-month contract role.' }), 'contract');
+});
+
+test('treats staff as a lead level only for engineers, developers and scientists', () => {
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Staff Software Engineer' }), 'lead');
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Staff Developer' }), 'lead');
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Staff Data Scientist' }), 'lead');
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Staff Accountant' }), null);
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Staff Nurse', description: '1 year of clinical experience' }), 'entry');
+  assert.equal(jobClassifierService.classifySeniority({ title: 'Principal Engineer' }), 'lead');
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toArray } = require('../utils/json');
+
+test('toArray passes arrays through and parses JSON array strings', () => {
+  const skills = ['Go', 'SQL'];
+  assert.equal(toArray(skills), skills);
+  assert.deepEqual(toArray('["Go","SQL"]'), ['Go', 'SQL']);
+});
+
+test('toArray treats empty, malformed and non-array values as empty', () => {
+  for (const value of [null, undefined, '', '   ', 'Go, SQL', '{"a":1}', '42', 42, { a: 1 }]) {
+    assert.deepEqual(toArray(value), [], `for ${JSON.stringify(value)}`);
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchFeedbackService = require('../services/matchFeedbackService');
+
+// Listings with every feature family: company, title, skills, salary band and remote type
+const recruiterJob = {
+  company: 'Jobot',
+  title: 'Sales Engineer',
+  required_skills: ['Salesforce'],
+  salary_annual_max: 45000,
+  remote_type: 'onsite'
+};
+const startupJob = {
+  company: 'Acme',
+  title: 'Backend Engineer',
+  required_skills: ['Node.js'],
+  salary_annual_max: 150000,
+  remote_type: 'remote'
+};
+
+const decisions = (job, approved, count) => Array.from({ length: count }, () => ({ job, approved }));
+
+test('a user with no review history gets no adjustment', () => {
+  assert.deepEqual(matchFeedbackService.adjust(null, startupJob), { points: 0, signals: [] });
+  assert.deepEqual(matchFeedbackService.adjust(matchFeedbackService.train([]), startupJob), { points: 0, signals: [] });
+
+  // A couple of decisions aren't enough to go on
+  const model = matchFeedbackService.train(decisions(recruiterJob, false, 2));
+  assert.deepEqual(matchFeedbackService.adjust(model, recruiterJob), { points: 0, signals: [] });
+  assert.equal(matchFeedbackService.toReason(matchFeedbackService.adjust(model, recruiterJob)), null);
+});
+
+test('adjustments are capped at 10 points either way', () => {
+  const model = matchFeedbackService.train([
+    ...decisions(recruiterJob, false, 30),
+    ...decisions(startupJob, true, 30)
+  ]);
+
+  const down = matchFeedbackService.adjust(model, recruiterJob);
+  const up = matchFeedbackService.adjust(model, startupJob);
+  assert.equal(down.points, -10);
+  assert.equal(up.points, 10);
+
+  // Strongest signals first, at most three
+  assert.equal(down.signals.length, 3);
+  assert.ok(down.signals.every(signal => signal.weight === -2 && signal.rejected === 30));
+
+  // Features the user never reviewed don't move the score
+  const unseen = matchFeedbackService.adjust(model, { company: 'Globex', title: 'Data Analyst' });
+  assert.deepEqual(unseen, { points: 0, signals: [] });
+});
+
+test('confidence grows with the number of decisions', () => {
+  const early = matchFeedbackService.train(decisions(recruiterJob, false, 5));
+  const late = matchFeedbackService.train(decisions(recruiterJob, false, 20));
+
+  const earlyPoints = matchFeedbackService.adjust(early, recruiterJob).points;
+  const latePoints = matchFeedbackService.adjust(late, recruiterJob).points;
+  assert.ok(earlyPoints < 0);
+  assert.ok(latePoints < earlyPoints);
+});
+
+test('auc is the share of approval and rejection pairs ranked correctly', () => {
+  const ranked = [
+    { approved: true, score: 90 },
+    { approved: false, score: 80 },
+    { approved: true, score: 70 },
+    { approved: false, score: 60 }
+  ];
+
+  // 3 of 4 pairs ordered correctly
+  assert.equal(matchFeedbackService.auc(ranked, 'score'), 0.75);
+
+  assert.equal(matchFeedbackService.auc([{ approved: true, score: 1 }, { approved: false, score: 0 }], 'score'), 1);
+  assert.equal(matchFeedbackService.auc([{ approved: true, score: 0 }, { approved: false, score: 1 }], 'score'), 0);
+  assert.equal(matchFeedbackService.auc([{ approved: true, score: 5 }, { approved: false, score: 5 }], 'score'), 0.5);
+  assert.equal(matchFeedbackService.auc([{ approved: true, score: 5 }], 'score'), null);
+});
+
+test('evaluate only scores each decision with the same user\'s earlier ones', () => {
+  const history = [
+    ...decisions(recruiterJob, false, 5).map(decision => ({ ...decision, userId: 'a', matchScore: 60 })),
+    { job: recruiterJob, approved: false, userId: 'b', matchScore: 60 }
+  ];
+
+  const report = matchFeedbackService.evaluate(history);
+  assert.equal(report.decisions, 6);
+  assert.equal(report.users, 2);
+  assert.equal(report.approvalRate, 0);
+  assert.equal(report.baseAuc, null);
+
+  // User a's 4th and 5th decisions follow three rejections; user b starts fresh
+  assert.equal(report.adjustedDecisions, 2);
+  assert.equal(report.adjustmentAgreement, 1);
+});
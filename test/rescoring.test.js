@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDatabase } = require('./helpers/db');
+
+process.env.RESCORE_PROVIDER = 'stub';
+
+const { pool } = useMemoryDatabase(`
+  CREATE TABLE match_rescore_cache (
+    job_hash CHAR(64) NOT NULL,
+    profile_hash CHAR(64) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    fit_score INTEGER NOT NULL,
+    strengths JSONB,
+    gaps JSONB,
+    summary TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (job_hash, profile_hash, model)
+  );
+`);
+
+const matchRescoringService = require('../services/matchRescoringService');
+const rescoringConfig = require('../config/rescoring');
+const stub = require('../services/rescoring/stub');
+
+const profile = { resume_text: 'Node.js and React developer', skills: ['React', 'Node.js'], experience: [], desired_job_titles: [] };
+
+const job = (id, description) => ({ id, title: 'Full Stack Engineer', company: 'Acme', description });
+const scoredEntry = (entryJob, total) => ({ job: entryJob, score: { total, reasons: [], details: {} } });
+
+// Count calls that reach the provider, i.e. cache misses
+let providerCalls = 0;
+const rescore = stub.rescore;
+const countingRescore = async (...args) => {
+  providerCalls++;
+  return rescore.apply(stub, args);
+};
+stub.rescore = countingRescore;
+
+test.beforeEach(async () => {
+  providerCalls = 0;
+  await pool.query('DELETE FROM match_rescore_cache');
+});
+
+test('rescoring is off unless RESCORE_PROVIDER is set, even with an OpenAI key', () => {
+  const configPath = require.resolve('../config/rescoring');
+  const loaded = require.cache[configPath];
+  const env = { ...process.env };
+
+  try {
+    delete process.env.RESCORE_PROVIDER;
+    process.env.OPENAI_API_KEY = 'sk-test';
+    delete require.cache[configPath];
+    assert.equal(require('../config/rescoring').provider, 'none');
+  } finally {
+    process.env = env;
+    require.cache[configPath] = loaded;
+  }
+
+  assert.equal(rescoringConfig.provider, 'stub');
+});
+
+test('rescoreTop blends the fit score into the top N only', async () => {
+  const best = scoredEntry(job('job-1', 'React, Node.js and PostgreSQL required.'), 80);
+  const second = scoredEntry(job('job-2', 'React and Node.js required.'), 70);
+
+  const { fitScore } = await rescore.call(stub, { job: best.job, profile });
+  const expected = Math.round(80 * (1 - rescoringConfig.blendWeight) + fitScore * rescoringConfig.blendWeight);
+
+  await matchRescoringService.rescoreTop(profile, [best, second], 1);
+
+  assert.equal(best.score.total, expected);
+  assert.equal(best.score.details.llm.ruleScore, 80);
+  assert.equal(best.score.details.llm.fitScore, fitScore);
+  assert.equal(best.score.reasons.length, 1);
+  assert.equal(best.score.reasons[0].type, 'llm');
+  assert.equal(best.score.reasons[0].weight, expected - 80);
+
+  assert.equal(second.score.total, 70);
+  assert.deepEqual(second.score.reasons, []);
+});
+
+test('assessments are cached per job and profile content', async () => {
+  const listing = job('job-1', 'React and Node.js required.');
+
+  const first = await matchRescoringService.rescore(stub, profile, listing);
+  assert.equal(first.cached, false);
+  assert.equal(providerCalls, 1);
+
+  const again = await matchRescoringService.rescore(stub, profile, { ...listing });
+  assert.equal(again.cached, true);
+  assert.equal(again.fitScore, first.fitScore);
+  assert.deepEqual(again.strengths, first.strengths);
+  assert.equal(providerCalls, 1);
+
+  // An edited listing or CV is a cache miss
+  await matchRescoringService.rescore(stub, profile, { ...listing, description: 'Go and Kubernetes required.' });
+  await matchRescoringService.rescore(stub, { ...profile, skills: ['Go'] }, listing);
+  assert.equal(providerCalls, 3);
+
+  const rows = await pool.query('SELECT COUNT(*)::int AS count FROM match_rescore_cache');
+  assert.equal(rows.rows[0].count, 3);
+});
+
+test('a failed assessment leaves the rule-based score in place', async () => {
+  const entry = scoredEntry(job('job-3', 'React required.'), 75);
+  stub.rescore = async () => {
+    throw new Error('provider down');
+  };
+
+  try {
+    await matchRescoringService.rescoreTop(profile, [entry]);
+  } finally {
+    stub.rescore = countingRescore;
+  }
+
+  assert.equal(entry.score.total, 75);
+  assert.deepEqual(entry.score.reasons, []);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDatabase } = require('./helpers/db');
+
+const { pool } = useMemoryDatabase(`
+  CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255)
+  );
+  CREATE TABLE job_listings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255)
+  );
+  CREATE TABLE resume_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    resume_url VARCHAR(500),
+    filename VARCHAR(255),
+    original_filename VARCHAR(255),
+    resume_text TEXT,
+    parsed_data JSONB,
+    parse_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    parse_error TEXT,
+    is_active BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    activated_at TIMESTAMP,
+    UNIQUE (user_id, version_number)
+  );
+  CREATE TABLE user_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    resume_url VARCHAR(500),
+    resume_text TEXT,
+    resume_filename VARCHAR(255),
+    skills JSONB,
+    experience JSONB,
+    education JSONB,
+    certifications JSONB,
+    years_experience NUMERIC(4,1),
+    skill_years JSONB,
+    seniority VARCHAR(50),
+    active_resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL,
+    cv_parsed BOOLEAN DEFAULT FALSE,
+    match_watermark_at TIMESTAMP,
+    match_watermark_id UUID,
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE TABLE applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES job_listings(id) ON DELETE SET NULL,
+    resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL,
+    status VARCHAR(50) DEFAULT 'pending',
+    applied_at TIMESTAMP DEFAULT NOW()
+  );
+`);
+
+const resumeVersionService = require('../services/resumeVersionService');
+const embeddingService = require('../services/embeddingService');
+const applicationService = require('../services/applicationServices');
+
+// Embeddings need pgvector; activation only has to call for a refresh
+embeddingService.refreshProfileEmbedding = async () => {};
+
+const insertId = async (text, params) => (await pool.query(text, params)).rows[0].id;
+
+const parsedCV = (company) => ({
+  success: true,
+  cvText: `Engineer at ${company}`,
+  parsedData: {
+    skills: ['Node.js'],
+    experience: [{ company, role: 'Software Engineer', duration: '2019 - Present', description: 'Node.js services.' }],
+    education: [],
+    certifications: []
+  }
+});
+
+const uploadParsed = async (userId, company) => {
+  const version = await resumeVersionService.create(userId, { resumeUrl: `/uploads/${company}.pdf`, filename: `${company}.pdf` });
+  await resumeVersionService.recordParse(version.id, parsedCV(company));
+  return version;
+};
+
+test('uploads are numbered per user, including simultaneous ones', async () => {
+  const userId = await insertId("INSERT INTO users (email) VALUES ('numbering@example.com') RETURNING id");
+
+  const first = await resumeVersionService.create(userId, { resumeUrl: '/uploads/a.pdf', filename: 'a.pdf' });
+  const [second, third] = await Promise.all([
+    resumeVersionService.create(userId, { resumeUrl: '/uploads/b.pdf', filename: 'b.pdf' }),
+    resumeVersionService.create(userId, { resumeUrl: '/uploads/c.pdf', filename: 'c.pdf' })
+  ]);
+
+  assert.equal(first.version_number, 1);
+  assert.deepEqual([second.version_number, third.version_number].sort(), [2, 3]);
+  assert.equal(first.parse_status, 'pending');
+});
+
+test('activating a version copies it onto the profile and restarts incremental matching', async () => {
+  const userId = await insertId("INSERT INTO users (email) VALUES ('activate@example.com') RETURNING id");
+  const version = await uploadParsed(userId, 'Acme');
+
+  await pool.query(
+    "INSERT INTO user_profiles (user_id, match_watermark_at, match_watermark_id) VALUES ($1, NOW(), $2)",
+    [userId, version.id]
+  );
+
+  const activated = await resumeVersionService.activate(userId, version.id);
+  assert.equal(activated.is_active, true);
+
+  const profile = (await pool.query('SELECT * FROM user_profiles WHERE user_id = $1', [userId])).rows[0];
+  assert.equal(profile.active_resume_version_id, version.id);
+  assert.equal(profile.resume_text, 'Engineer at Acme');
+  assert.equal(profile.cv_parsed, true);
+  assert.equal(profile.match_watermark_at, null);
+  assert.equal(profile.match_watermark_id, null);
+
+  // Versions that never parsed can't be activated
+  const pending = await resumeVersionService.create(userId, { resumeUrl: '/uploads/x.pdf', filename: 'x.pdf' });
+  assert.equal(await resumeVersionService.activate(userId, pending.id), null);
+});
+
+test('applications record the job and the CV version active when applying', async () => {
+  const userId = await insertId("INSERT INTO users (email) VALUES ('apply@example.com') RETURNING id");
+  const firstJob = await insertId("INSERT INTO job_listings (title) VALUES ('Backend Engineer') RETURNING id");
+  const secondJob = await insertId("INSERT INTO job_listings (title) VALUES ('Platform Engineer') RETURNING id");
+
+  const v1 = await uploadParsed(userId, 'Acme');
+  await resumeVersionService.activate(userId, v1.id);
+  const firstApplication = await applicationService.recordApplication(userId, firstJob);
+
+  const v2 = await uploadParsed(userId, 'Globex');
+  await resumeVersionService.activate(userId, v2.id);
+  const secondApplication = await applicationService.recordApplication(userId, secondJob);
+
+  const rows = (await pool.query(
+    'SELECT id, user_id, job_id, resume_version_id, status FROM applications WHERE user_id = $1',
+    [userId]
+  )).rows;
+  const byId = Object.fromEntries(rows.map(row => [row.id, row]));
+
+  assert.equal(rows.length, 2);
+  assert.deepEqual(byId[firstApplication], { id: firstApplication, user_id: userId, job_id: firstJob, resume_version_id: v1.id, status: 'applied' });
+  assert.equal(byId[secondApplication].job_id, secondJob);
+  assert.equal(byId[secondApplication].resume_version_id, v2.id);
+
+  const versions = await resumeVersionService.list(userId);
+  assert.deepEqual(versions.map(version => [version.version_number, version.is_active]), [[2, true], [1, false]]);
+});
+
+test('applying without a CV leaves the version empty', async () => {
+  const userId = await insertId("INSERT INTO users (email) VALUES ('nocv@example.com') RETURNING id");
+  const jobId = await insertId("INSERT INTO job_listings (title) VALUES ('Data Analyst') RETURNING id");
+
+  const applicationId = await applicationService.recordApplication(userId, jobId);
+
+  const row = (await pool.query('SELECT job_id, resume_version_id FROM applications WHERE id = $1', [applicationId])).rows[0];
+  assert.deepEqual(row, { job_id: jobId, resume_version_id: null });
+});
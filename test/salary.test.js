@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const salaryService = require('../services/salaryService');
+const matchingService = require('../services/matchingServices');
+
+test('parses ranges, suffixes and hourly rates', () => {
+  assert.deepEqual(salaryService.parse('$80k–$120k'), {
+    min: 80000, max: 120000, currency: 'USD', period: 'yearly', annualMin: 80000, annualMax: 120000
+  });
+  assert.equal(salaryService.parse('80-120k GBP').min, 80000);
+  assert.equal(salaryService.parse('$60/hr').annualMax, 124800);
+  assert.equal(salaryService.parse('Competitive'), null);
+});
+
+test('ignores 401(k) mentions and benefits after a plus sign', () => {
+  const upTo = salaryService.parse('Up to $120k + 401k');
+  assert.equal(upTo.min, 120000);
+  assert.equal(upTo.max, 120000);
+
+  assert.equal(salaryService.parse('$80k–$120k + equity').max, 120000);
+  assert.equal(salaryService.parse('$100k+').max, 100000);
+
+  const withBenefits = salaryService.parse('401(k) match, $90,000 - $110,000');
+  assert.equal(withBenefits.min, 90000);
+  assert.equal(withBenefits.max, 110000);
+});
+
+test('matchSalary only compares listings paid in the minimum salary currency', () => {
+  const profile = { salary_min: 100000 };
+
+  assert.equal(matchingService.matchSalary(profile, { salary_annual_max: 120000, salary_currency: 'USD' }), 10);
+  assert.equal(matchingService.matchSalary(profile, { salary_annual_max: 80000, salary_currency: 'USD' }), 0);
+  // Unstated currency is assumed to match
+  assert.equal(matchingService.matchSalary(profile, { salary_annual_max: 95000, salary_currency: null }), 5);
+
+  const detail = {};
+  assert.equal(matchingService.matchSalary(profile, { salary_annual_max: 60000, salary_currency: 'GBP' }, detail), 5);
+  assert.match(detail.reason, /GBP/);
+  assert.equal(detail.ratio, undefined);
+});
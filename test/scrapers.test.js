@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const scrapers = require('../services/scrapers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'scrapers', name), 'utf8');
+
+test('linkedin extracts cards from a saved search page', () => {
+  const linkedin = scrapers.get('linkedin');
+  const cards = linkedin.extractCards(fixture('linkedin-search.html'));
+
+  assert.equal(cards.length, 3);
+  assert.deepEqual(cards[0], {
+    title: 'Senior Backend Engineer',
+    company: 'Acme Corp',
+    location: 'Remote',
+    url: 'https://www.linkedin.com/jobs/view/senior-backend-engineer-at-acme-3912345678',
+    postedAt: '2024-05-02',
+    externalId: '3912345678'
+  });
+
+  // Relative links resolve against the board and lose their tracking query
+  assert.equal(cards[1].url, 'https://www.linkedin.com/jobs/view/3998765432/');
+  assert.equal(cards[1].externalId, '3998765432');
+  assert.equal(cards[1].postedAt, null);
+
+  // Cards without a company are dropped by normalize
+  const jobs = cards.map(card => linkedin.normalize(card)).filter(Boolean);
+  assert.deepEqual(jobs.map(job => job.externalId), ['3912345678', '3998765432']);
+  assert.equal(jobs[0].source, 'linkedin');
+  assert.equal(jobs[0].remote, true);
+  assert.equal(jobs[1].remote, false);
+});
+
+test('indeed extracts cards from a saved search page', () => {
+  const indeed = scrapers.get('indeed');
+  const cards = indeed.extractCards(fixture('indeed-search.html'));
+
+  assert.equal(cards.length, 3);
+  assert.deepEqual(cards[0], {
+    title: 'Full Stack Developer',
+    company: 'Initech',
+    location: 'Austin, TX',
+    url: 'https://www.indeed.com/viewjob?jk=a1b2c3d4e5f60718',
+    description: 'Build React and Node.js features. Work with PostgreSQL.',
+    externalId: 'a1b2c3d4e5f60718'
+  });
+
+  // Without a job_ id the data-jk attribute identifies the posting
+  assert.equal(cards[1].externalId, '0f9e8d7c6b5a4321');
+  assert.equal(cards[1].url, 'https://www.indeed.com/viewjob?jk=0f9e8d7c6b5a4321');
+
+  // Sponsored cards carry no job key and are dropped by normalize
+  assert.equal(cards[2].externalId, '');
+  const jobs = cards.map(card => indeed.normalize(card)).filter(Boolean);
+  assert.deepEqual(jobs.map(job => job.title), ['Full Stack Developer', 'DevOps Engineer']);
+  assert.equal(jobs[1].remote, true);
+});
+
+test('angellist extracts cards from a saved search page', () => {
+  const angellist = scrapers.get('angellist');
+  const cards = angellist.extractCards(fixture('angellist-search.html'));
+
+  assert.equal(cards.length, 3);
+  assert.deepEqual(cards[0], {
+    title: 'Machine Learning Engineer',
+    company: 'Pied Piper',
+    location: 'San Francisco, CA • Remote',
+    url: 'https://wellfound.com/jobs/2871234-machine-learning-engineer',
+    externalId: '2871234-machine-learning-engineer'
+  });
+  assert.equal(cards[1].url, 'https://wellfound.com/jobs/2875555-frontend-engineer');
+
+  // A result without a job link has no id
+  assert.equal(cards[2].externalId, '');
+  const jobs = cards.map(card => angellist.normalize(card)).filter(Boolean);
+  assert.deepEqual(jobs.map(job => job.company), ['Pied Piper', 'Aviato']);
+  assert.equal(jobs[0].remote, true);
+});
+
+test('adapters return no cards for pages without results', () => {
+  for (const adapter of scrapers.list()) {
+    assert.deepEqual(adapter.extractCards('<html><body><p>No jobs found</p></body></html>'), [], adapter.name);
+  }
+});
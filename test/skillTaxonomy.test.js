@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+
+test('ordinary words are not read as skills', () => {
+  const office = skillTaxonomyService.extractJobSkills(
+    'Office Manager',
+    'You will join the rest of our friendly team.\nYou will go the extra mile and express ideas clearly.\nA ruby anniversary is coming up, and we keep a swift pace.'
+  );
+
+  assert.deepEqual(office, { required: [], preferred: [] });
+});
+
+test('skills named like common words are found with their usual casing or an alias', () => {
+  const { required, preferred } = skillTaxonomyService.extractJobSkills(
+    'Backend Engineer (Go)',
+    'Requirements\nBuild REST services in Node.js and Express.\nDesign RESTful endpoints.\nNice to have\nExperience with golang tooling'
+  );
+
+  assert.deepEqual(required.sort(), ['Express', 'Go', 'Node.js', 'REST']);
+  assert.deepEqual(preferred, []);
+
+  // Aliases stay case-insensitive
+  assert.deepEqual(skillTaxonomyService.extractSkills('rest api and restful design'), ['REST']);
+  assert.equal(skillTaxonomyService.canonicalize('rest'), 'REST');
+});
@@ -0,0 +1,19 @@
+/**
+ * Array from a JSONB column. pg returns JSONB already parsed, but older rows
+ * may hold JSON strings; null, malformed JSON and non-array values give [].
+ */
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  toArray
+};
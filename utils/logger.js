@@ -9,6 +9,8 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'jobint-backend' },
+  // Tests assert on return values; keep their output and logs/ clean
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     // Write all logs to console
     new winston.transports.Console({